@@ -0,0 +1,179 @@
+/**
+ * Campaign - A run of discrete days, each with opening and closing times, a
+ * revenue target and a curated set of dishes
+ * DOM-free: progress is saved through any localStorage-like object passed in
+ * (window.localStorage in the browser, nothing under Node).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const PROGRESS_KEY = 'cookTap.campaign';
+
+// "HH:MM" -> minutes after midnight
+function parseClockTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) {
+        throw new Error(`Invalid clock time "${time}", expected HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatClockTime(minutes) {
+    const hours = Math.floor(minutes / 60) % 24;
+    const mins = Math.floor(minutes % 60);
+    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+class Campaign {
+    constructor(config, storage = null) {
+        if (!config || !Array.isArray(config.days) || config.days.length === 0) {
+            throw new Error('Campaign needs a non-empty days array');
+        }
+        
+        this.secondsPerHour = config.secondsPerHour || 60; // Game-clock seconds per in-game hour
+        this.starThresholds = config.starThresholds || [1, 1.5, 2]; // Share of target revenue per star
+        this.storage = storage;
+        
+        this.days = config.days.map((day, index) => {
+            const opening = parseClockTime(day.openingTime);
+            const closing = parseClockTime(day.closingTime);
+            if (closing <= opening) {
+                throw new Error(`Day "${day.id}" closes before it opens`);
+            }
+            
+            return { ...day, number: index + 1, opening, closing };
+        });
+        
+        this.progress = this.loadProgress();
+    }
+
+    getDay(dayId) {
+        return this.days.find(day => day.id === dayId) || null;
+    }
+
+    // The first day without a passing grade, or the last day once all are passed
+    getCurrentDay() {
+        return this.days.find(day => !this.isPassed(day)) || this.days[this.days.length - 1];
+    }
+
+    getNextDay(day) {
+        return this.days[day.number] || null;
+    }
+
+    isPassed(day) {
+        const result = this.progress.results[day.id];
+        return Boolean(result && result.stars > 0);
+    }
+
+    // A day can be played once every day before it has been passed
+    isUnlocked(day) {
+        return this.days.slice(0, day.number - 1).every(previous => this.isPassed(previous));
+    }
+
+    // Game-clock milliseconds between opening and closing
+    getDayLength(day) {
+        return (day.closing - day.opening) / 60 * this.secondsPerHour * 1000;
+    }
+
+    // In-game time of day ("HH:MM") after a number of game-clock milliseconds
+    getClockTime(day, gameMs) {
+        const minutes = Math.min(day.opening + gameMs / 1000 / this.secondsPerHour * 60, day.closing);
+        return formatClockTime(minutes);
+    }
+
+    // 0-3 stars from earnings against the day's target revenue
+    gradeEarnings(day, earnings) {
+        return this.starThresholds.filter(share => earnings >= day.targetRevenue * share).length;
+    }
+
+    // End-of-day summary built from the kitchen's order history
+    buildReport(day, orderSystem) {
+        const ratings = { perfect: 0, good: 0, average: 0, bad: 0 };
+        let expired = 0;
+        
+        orderSystem.completedOrders.forEach(order => {
+            if (order.rating === 'failed') {
+                expired++;
+            } else if (order.rating in ratings) {
+                ratings[order.rating]++;
+            }
+        });
+        
+        // Customers still waiting at closing leave without their food too
+        const walkouts = expired + orderSystem.activeOrders.size;
+        const earnings = orderSystem.totalScore;
+        
+        return {
+            dayId: day.id,
+            dayName: day.name,
+            dayNumber: day.number,
+            served: orderSystem.ordersCompleted,
+            ratings,
+            walkouts,
+            earnings,
+            expenses: orderSystem.expenses,
+            fines: orderSystem.fines,
+            tips: orderSystem.tips,
+            targetRevenue: day.targetRevenue,
+            stars: this.gradeEarnings(day, earnings),
+            maxStars: this.starThresholds.length
+        };
+    }
+
+    // Keep the best result for a day and save progress
+    recordResult(report) {
+        const previous = this.progress.results[report.dayId];
+        const isBest = !previous || report.stars > previous.stars ||
+            (report.stars === previous.stars && report.earnings > previous.earnings);
+        
+        if (isBest) {
+            this.progress.results[report.dayId] = {
+                stars: report.stars,
+                earnings: report.earnings,
+                served: report.served,
+                walkouts: report.walkouts
+            };
+            this.saveProgress();
+        }
+        
+        return isBest;
+    }
+
+    getResult(day) {
+        return this.progress.results[day.id] || null;
+    }
+
+    loadProgress() {
+        const empty = { results: {} };
+        if (!this.storage) return empty;
+        
+        try {
+            const saved = JSON.parse(this.storage.getItem(PROGRESS_KEY));
+            return saved && saved.results ? saved : empty;
+        } catch (error) {
+            console.warn('Ignoring unreadable campaign progress:', error);
+            return empty;
+        }
+    }
+
+    saveProgress() {
+        if (this.storage) {
+            this.storage.setItem(PROGRESS_KEY, JSON.stringify(this.progress));
+        }
+    }
+
+    resetProgress() {
+        this.progress = { results: {} };
+        this.saveProgress();
+    }
+}
+
+return { Campaign, parseClockTime, formatClockTime };
+}));
@@ -0,0 +1,187 @@
+/**
+ * Career Stats - Lifetime statistics and local high scores across shifts
+ * Each finished shift is summed up from the kitchen into a session record, and
+ * its served and expired orders add to their dish's totals. Everything is
+ * saved through any localStorage-like object passed in (window.localStorage
+ * in the browser, nothing under Node).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const STATS_KEY = 'cookTap.careerStats';
+const STATS_VERSION = 1;
+const MAX_SESSIONS = 100; // Older sessions are dropped; the totals and high scores keep them
+const HIGH_SCORE_COUNT = 10;
+
+function emptyTotals() {
+    return { sessions: 0, served: 0, perfect: 0, expired: 0, cleanings: 0, burnt: 0, completionTime: 0, bestScore: null };
+}
+
+function emptyData() {
+    return { version: STATS_VERSION, totals: emptyTotals(), sessions: [], dishes: {}, highScores: [] };
+}
+
+// Share of served orders that were perfect, in whole percent
+function getPerfectRate(perfect, served) {
+    return served > 0 ? Math.round((perfect / served) * 100) : 0;
+}
+
+// Mean time from order to serving, in seconds with one decimal
+function getAverageTime(totalMs, served) {
+    return served > 0 ? Math.round(totalMs / served / 100) / 10 : null;
+}
+
+class CareerStats {
+    constructor(storage = null) {
+        this.storage = storage;
+        this.data = this.loadData();
+    }
+
+    // Sum up a shift and save it; context: { label, difficulty } describing what was played.
+    // Returns the session with its high-score rank (null if it did not place), or null for a shift with no orders.
+    recordShift(kitchen, context = {}) {
+        const finished = kitchen.orderSystem.completedOrders;
+        if (finished.length === 0) return null;
+        
+        const served = finished.filter(order => order.rating !== 'failed');
+        const completionTime = served.reduce((total, order) => total + order.completedAt - order.createdAt, 0);
+        const stats = kitchen.getStats();
+        const session = {
+            date: context.date || new Date().toISOString(),
+            label: context.label || 'Free Play',
+            difficulty: context.difficulty || null,
+            seed: kitchen.random.seed,
+            score: stats.totalScore,
+            tips: stats.tips,
+            served: served.length,
+            perfect: stats.perfectOrders,
+            expired: finished.length - served.length,
+            cleanings: kitchen.cleanings,
+            burnt: stats.burntItems,
+            perfectRate: getPerfectRate(stats.perfectOrders, served.length),
+            averageTime: getAverageTime(completionTime, served.length),
+            gameTime: stats.gameTime
+        };
+        
+        finished.forEach(order => this.addOrder(order));
+        this.addToTotals(session, completionTime);
+        this.data.sessions.push(session);
+        this.data.sessions = this.data.sessions.slice(-MAX_SESSIONS);
+        
+        const rank = this.addHighScore(session);
+        this.saveData();
+        
+        return { ...session, rank };
+    }
+
+    addOrder(order) {
+        const dish = this.data.dishes[order.dishId] || {
+            name: order.dishName, served: 0, perfect: 0, expired: 0, completionTime: 0, fastestTime: null, bestScore: null
+        };
+        
+        if (order.rating === 'failed') {
+            dish.expired++;
+        } else {
+            const time = order.completedAt - order.createdAt;
+            dish.served++;
+            dish.completionTime += time;
+            dish.fastestTime = dish.fastestTime === null ? time : Math.min(dish.fastestTime, time);
+            dish.bestScore = dish.bestScore === null ? order.score : Math.max(dish.bestScore, order.score);
+            if (order.rating === 'perfect') dish.perfect++;
+        }
+        
+        this.data.dishes[order.dishId] = dish;
+    }
+
+    addToTotals(session, completionTime) {
+        const { totals } = this.data;
+        totals.sessions++;
+        totals.served += session.served;
+        totals.perfect += session.perfect;
+        totals.expired += session.expired;
+        totals.cleanings += session.cleanings;
+        totals.burnt += session.burnt;
+        totals.completionTime += completionTime;
+        totals.bestScore = totals.bestScore === null ? session.score : Math.max(totals.bestScore, session.score);
+    }
+
+    // Keep the session if it makes the table; returns its 1-based rank or null
+    addHighScore(session) {
+        const entry = { score: session.score, date: session.date, label: session.label, difficulty: session.difficulty };
+        const table = this.data.highScores.concat(entry)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, HIGH_SCORE_COUNT);
+        
+        this.data.highScores = table;
+        const index = table.indexOf(entry);
+        return index === -1 ? null : index + 1;
+    }
+
+    getTotals() {
+        const { totals } = this.data;
+        return {
+            ...totals,
+            perfectRate: getPerfectRate(totals.perfect, totals.served),
+            averageTime: getAverageTime(totals.completionTime, totals.served)
+        };
+    }
+
+    // Per-dish stats with their rates worked out, most served first
+    getDishStats() {
+        return Object.entries(this.data.dishes)
+            .map(([dishId, dish]) => ({
+                dishId,
+                ...dish,
+                perfectRate: getPerfectRate(dish.perfect, dish.served),
+                averageTime: getAverageTime(dish.completionTime, dish.served),
+                fastestTime: dish.fastestTime === null ? null : Math.round(dish.fastestTime / 100) / 10
+            }))
+            .sort((a, b) => b.served - a.served);
+    }
+
+    // The most recent sessions, oldest first
+    getSessions(count = MAX_SESSIONS) {
+        return this.data.sessions.slice(-count);
+    }
+
+    getHighScores() {
+        return this.data.highScores;
+    }
+
+    toJSON() {
+        return this.data;
+    }
+
+    loadData() {
+        if (!this.storage) return emptyData();
+        
+        try {
+            const saved = JSON.parse(this.storage.getItem(STATS_KEY));
+            return saved && saved.version === STATS_VERSION ? { ...emptyData(), ...saved } : emptyData();
+        } catch (error) {
+            console.warn('Ignoring unreadable career stats:', error);
+            return emptyData();
+        }
+    }
+
+    saveData() {
+        if (this.storage) {
+            this.storage.setItem(STATS_KEY, JSON.stringify(this.data));
+        }
+    }
+
+    resetData() {
+        this.data = emptyData();
+        this.saveData();
+    }
+}
+
+return { CareerStats };
+}));
@@ -0,0 +1,534 @@
+/**
+ * Cooking Stations System - Manages different cooking stations and their states
+ * DOM-free: the station renderer subscribes to the events emitted here.
+ *
+ * Items on a cooking station move through raw -> cooking -> done ->
+ * overcooked -> burnt on the game clock. Done and overcooked items can be
+ * retrieved; burnt items are thrown out. A cooking step may split its done
+ * stage into doneness zones (rare, medium rare...) that follow one another;
+ * an item notes the zone it was in when it comes off the station.
+ *
+ * CookingStation events:
+ *   slotChanged (slotIndex)
+ *   itemBurnt (slotIndex, item)        - the item has already been removed
+ *   cleanlinessChanged ()
+ *   cleaningStarted ()
+ *   cleaningComplete ()
+ *   brokenChanged (isBroken)           - a breakdown event started or ended
+ *   activated () / deactivated ()
+ *
+ * CookingStationManager re-emits every station event with the station as the
+ * first argument, plus:
+ *   stationActivated (station, dish)
+ *   dishCleared (station)
+ *   stationsReset ()
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter } = core;
+
+const STATION_EVENTS = ['slotChanged', 'itemBurnt', 'cleanlinessChanged', 'cleaningStarted', 'cleaningComplete', 'brokenChanged', 'activated', 'deactivated'];
+
+// How long an item stays done, then overcooked, unless its step says otherwise (ms)
+const DEFAULT_DONE_WINDOW = 5000;
+const DEFAULT_OVERCOOK_WINDOW = 4000;
+
+// Station capabilities before upgrades
+const DEFAULT_MAX_CLEANLINESS = 25;
+const DEFAULT_CLEANING_TIME = 5000;
+
+class CookingStation extends EventEmitter {
+    // modifiers: combined upgrade effects (see UpgradeShop.getStationModifiers)
+    constructor(id, config, clock, modifiers = {}) {
+        super();
+        this.id = id;
+        this.clock = clock; // Shared game clock driving cooking and cleaning
+        this.name = config.name;
+        this.allowedActions = config.allowedActions;
+        this.color = config.color;
+        this.cookingSlots = (config.cookingSlots || 1) + (modifiers.extraSlots || 0);
+        this.cookingSpeed = modifiers.cookingSpeed || 1; // Multiplier on cooking time
+        this.currentItems = new Map(); // Map of slot index to cooking item
+        this.isActive = false;
+        this.isBroken = false; // A broken station takes no new items (see KitchenEvents)
+        
+        // Cleanliness system (only for cooking stations, not prep)
+        this.maxCleanliness = modifiers.maxCleanliness || DEFAULT_MAX_CLEANLINESS;
+        this.currentCleanliness = this.id === 'prep' ? null : this.maxCleanliness;
+        this.cleaningTime = modifiers.cleaningTime || DEFAULT_CLEANING_TIME;
+        this.autoCleanAt = modifiers.autoClean || null; // Starts cleaning itself at or below this cleanliness
+        this.isBeingCleaned = false;
+        this.cleaningTimer = null;
+    }
+
+    // Add item to cooking station
+    addItem(slotIndex, item) {
+        if (slotIndex >= this.cookingSlots) return false;
+        
+        // Doneness zones make up the whole done stage
+        const zones = item.donenessZones || null;
+        const cookingItem = {
+            ...item,
+            startTime: this.clock.now(),
+            cookingTime: Math.round((item.cookingTime || 3000) * this.cookingSpeed),
+            donenessZones: zones,
+            doneWindow: zones ? zones.reduce((total, zone) => total + zone.time, 0) : item.doneWindow || DEFAULT_DONE_WINDOW,
+            overcookWindow: item.overcookWindow || DEFAULT_OVERCOOK_WINDOW,
+            doneness: 'raw',
+            isReady: false
+        };
+        this.currentItems.set(slotIndex, cookingItem);
+        
+        // Move the item through each later doneness stage on the game clock
+        this.getDonenessSchedule(cookingItem).slice(1).forEach(({ doneness, at }) => {
+            this.clock.setTimeout(() => {
+                if (this.currentItems.get(slotIndex) === cookingItem) {
+                    this.setDoneness(slotIndex, cookingItem, doneness);
+                }
+            }, at);
+        });
+        
+        this.emit('slotChanged', slotIndex);
+        return true;
+    }
+
+    // When (ms after going on the station) an item reaches each doneness stage
+    getDonenessSchedule(item) {
+        const done = item.cookingTime;
+        const overcooked = done + item.doneWindow;
+        
+        return [
+            { doneness: 'raw', at: 0 },
+            { doneness: 'cooking', at: Math.round(done / 3) },
+            { doneness: 'done', at: done },
+            { doneness: 'overcooked', at: overcooked },
+            { doneness: 'burnt', at: overcooked + item.overcookWindow }
+        ];
+    }
+
+    // The doneness zone id a done item is in; 'overcooked' past the last one, and
+    // null before it is done or when its step has no zones
+    getDonenessZone(item) {
+        if (!item.donenessZones) return null;
+        if (item.doneness === 'overcooked') return 'overcooked';
+        if (item.doneness !== 'done') return null;
+        
+        const elapsed = this.clock.now() - item.startTime;
+        let zoneEnd = item.cookingTime;
+        const zone = item.donenessZones.find(({ time }) => {
+            zoneEnd += time;
+            return elapsed < zoneEnd;
+        });
+        return (zone || item.donenessZones[item.donenessZones.length - 1]).id;
+    }
+
+    setDoneness(slotIndex, item, doneness) {
+        item.doneness = doneness;
+        item.isReady = doneness === 'done' || doneness === 'overcooked';
+        
+        if (doneness === 'burnt') {
+            // Burnt food goes in the bin and leaves the station dirtier
+            this.removeItem(slotIndex);
+            this.emit('itemBurnt', slotIndex, item);
+            return;
+        }
+        
+        this.emit('slotChanged', slotIndex);
+    }
+
+    // Remove item from cooking station
+    removeItem(slotIndex) {
+        const item = this.currentItems.get(slotIndex);
+        this.currentItems.delete(slotIndex);
+        this.emit('slotChanged', slotIndex);
+        
+        // Decrease cleanliness when item is removed (cooking is done)
+        if (this.currentCleanliness !== null && this.currentCleanliness > 0) {
+            this.currentCleanliness--;
+            console.log(`${this.name} cleanliness decreased to ${this.currentCleanliness}/${this.maxCleanliness}`);
+            this.emit('cleanlinessChanged');
+            
+            if (this.autoCleanAt !== null && this.currentCleanliness <= this.autoCleanAt && !this.isBeingCleaned) {
+                this.startCleaning();
+            }
+        }
+        
+        return item;
+    }
+
+    // Drop an item without cooking it to completion (no cleanliness cost)
+    discardItem(slotIndex) {
+        const item = this.currentItems.get(slotIndex);
+        this.currentItems.delete(slotIndex);
+        this.emit('slotChanged', slotIndex);
+        return item;
+    }
+
+    // Start cleaning the station (takes cleaningTime, 5 seconds before upgrades)
+    startCleaning() {
+        console.log(`Attempting to clean ${this.name}. Current cleanliness: ${this.currentCleanliness}, isBeingCleaned: ${this.isBeingCleaned}`);
+        
+        if (this.currentCleanliness === null || this.isBeingCleaned) {
+            console.log(`Cannot clean - cleanliness is null: ${this.currentCleanliness === null}, already being cleaned: ${this.isBeingCleaned}`);
+            return false;
+        }
+        
+        this.isBeingCleaned = true;
+        console.log(`Started cleaning ${this.name}...`);
+        this.emit('cleaningStarted');
+        
+        this.cleaningTimer = this.clock.setTimeout(() => {
+            this.currentCleanliness = this.maxCleanliness;
+            this.isBeingCleaned = false;
+            this.cleaningTimer = null;
+            console.log(`${this.name} is now fully clean!`);
+            
+            this.emit('cleaningComplete');
+        }, this.cleaningTime);
+        
+        return true;
+    }
+
+    // Check if station can be cleaned
+    canBeCleaned() {
+        return this.currentCleanliness !== null &&
+               this.currentCleanliness < this.maxCleanliness &&
+               !this.isBeingCleaned;
+    }
+
+    // Set how clean the station is (tutorials dirty one to teach cleaning)
+    setCleanliness(value) {
+        if (this.currentCleanliness === null) return false;
+        
+        this.currentCleanliness = Math.max(0, Math.min(this.maxCleanliness, value));
+        this.emit('cleanlinessChanged');
+        return true;
+    }
+
+    // Break down or repair the station; items already on it keep cooking
+    setBroken(isBroken) {
+        if (this.isBroken === isBroken) return;
+        
+        this.isBroken = isBroken;
+        this.emit('brokenChanged', isBroken);
+    }
+
+    // Check if station has available slots
+    hasAvailableSlot() {
+        return this.currentItems.size < this.cookingSlots;
+    }
+
+    // Get next available slot
+    getNextAvailableSlot() {
+        for (let i = 0; i < this.cookingSlots; i++) {
+            if (!this.currentItems.has(i)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // Seconds left until the item in a slot is ready
+    getTimeLeft(slotIndex) {
+        const item = this.currentItems.get(slotIndex);
+        if (!item || item.isReady) return 0;
+        
+        return Math.max(0, Math.ceil((item.cookingTime - (this.clock.now() - item.startTime)) / 1000));
+    }
+
+    // Seconds left until the item in a slot reaches its next doneness stage
+    getStageTimeLeft(slotIndex) {
+        const item = this.currentItems.get(slotIndex);
+        if (!item) return 0;
+        
+        const elapsed = this.clock.now() - item.startTime;
+        const next = this.getDonenessSchedule(item).find(stage => stage.at > elapsed);
+        return next ? Math.max(0, Math.ceil((next.at - elapsed) / 1000)) : 0;
+    }
+
+    // Activate station (highlight)
+    activate() {
+        this.isActive = true;
+        this.emit('activated');
+    }
+
+    // Deactivate station
+    deactivate() {
+        this.isActive = false;
+        this.emit('deactivated');
+    }
+
+    // Empty every slot and restore cleanliness
+    reset() {
+        if (this.cleaningTimer) {
+            this.clock.clearTimeout(this.cleaningTimer);
+        }
+        this.currentItems.clear();
+        this.isBeingCleaned = false;
+        this.cleaningTimer = null;
+        this.isBroken = false;
+        if (this.currentCleanliness !== null) {
+            this.currentCleanliness = this.maxCleanliness;
+        }
+    }
+}
+
+class CookingStationManager extends EventEmitter {
+    constructor(dishSystem, clock, upgrades = null) {
+        super();
+        this.dishSystem = dishSystem;
+        this.clock = clock;
+        this.upgrades = upgrades; // Optional UpgradeShop whose purchases shape the stations
+        this.stations = new Map();
+        this.activeStation = null;
+        this.currentDish = null; // Prepared-dish instance of the selected order
+        
+        this.initializeStations();
+    }
+
+    initializeStations() {
+        this.stations.clear();
+        
+        // Create cooking stations based on dish system configuration and bought upgrades
+        for (const [stationId, config] of this.dishSystem.cookingStations) {
+            const modifiers = this.upgrades ? this.upgrades.getStationModifiers(stationId) : {};
+            const station = new CookingStation(stationId, config, this.clock, modifiers);
+            this.stations.set(stationId, station);
+            
+            // Forward station events so listeners only need the manager
+            STATION_EVENTS.forEach(event => {
+                station.on(event, (...args) => this.emit(event, station, ...args));
+            });
+        }
+    }
+
+    // Rebuild the stations after upgrades were bought (between shifts only)
+    applyUpgrades() {
+        this.clearCurrentDish();
+        this.initializeStations();
+        this.emit('stationsReset');
+    }
+
+    // Set active station and prepared dish
+    setActiveDish(dish, stationId = null) {
+        this.currentDish = dish;
+        
+        if (!dish) return false;
+        
+        // Determine which station to use
+        const targetStationId = stationId || dish.station;
+        const station = this.stations.get(targetStationId);
+        
+        if (!station) return false;
+        
+        // Deactivate previous station
+        if (this.activeStation) {
+            this.activeStation.deactivate();
+        }
+        
+        // Activate new station
+        this.activeStation = station;
+        station.activate();
+        
+        this.emit('stationActivated', station, dish);
+        
+        return true;
+    }
+
+    // Handle cooking action (for stations with cooking slots)
+    handleCookingAction(action, ingredient) {
+        if (!this.activeStation || !this.currentDish) return false;
+        
+        const dish = this.currentDish;
+        
+        if (this.activeStation.isBroken) {
+            console.warn(`Station ${this.activeStation.id} is out of order`);
+            return false;
+        }
+        
+        // Check if action is allowed on this station
+        if (!this.activeStation.allowedActions.includes(action)) {
+            console.warn(`Action ${action} not allowed on station ${this.activeStation.id}`);
+            return false;
+        }
+        
+        // Every station but prep cooks in slots, however few it has
+        if (this.activeStation.id !== 'prep') {
+            const slotIndex = this.activeStation.getNextAvailableSlot();
+            if (slotIndex === -1) {
+                console.warn(`No available slots on station ${this.activeStation.id}`);
+                return false;
+            }
+            
+            // Find cooking time from ingredient prep steps OR final steps
+            let cookingTime = 3000; // default
+            let itemName = ingredient;
+            let isIngredient = true;
+            let cookingStep = null;
+            let stepIndex = -1;
+            
+            // First try to find in ingredient prep steps
+            const ingredientConfig = dish.ingredients.find(ing => ing.id === ingredient);
+            if (ingredientConfig && ingredientConfig.prepSteps) {
+                stepIndex = ingredientConfig.prepSteps.findIndex(s => s.action === action);
+                const step = ingredientConfig.prepSteps[stepIndex];
+                if (step && step.time) {
+                    cookingTime = step.time;
+                    cookingStep = step;
+                }
+                const ingredientData = this.dishSystem.getIngredient(ingredient);
+                itemName = ingredientData ? ingredientData.name : ingredient;
+            } else {
+                // If not found in ingredients, check final steps (like baking pizza)
+                if (dish.finalSteps) {
+                    stepIndex = dish.finalSteps.findIndex(s => s.action === action);
+                    const finalStep = dish.finalSteps[stepIndex];
+                    if (finalStep && finalStep.time) {
+                        cookingTime = finalStep.time;
+                        cookingStep = finalStep;
+                        itemName = dish.name; // Use dish name for final steps
+                        isIngredient = false;
+                    }
+                }
+            }
+            
+            const cookingItem = {
+                name: itemName,
+                action: action,
+                ingredient: isIngredient ? ingredient : null,
+                cookingTime: cookingTime,
+                doneWindow: cookingStep ? cookingStep.doneWindow : undefined,
+                overcookWindow: cookingStep ? cookingStep.overcookWindow : undefined,
+                donenessZones: cookingStep ? cookingStep.doneness : undefined,
+                stepIndex: stepIndex, // Step to redo if the item burns
+                dish: dish // The prepared dish this item belongs to
+            };
+            
+            return this.activeStation.addItem(slotIndex, cookingItem);
+        }
+        
+        return true;
+    }
+
+    // Break down or repair a station (kitchen events)
+    setStationBroken(stationId, isBroken) {
+        const station = this.stations.get(stationId);
+        if (!station) return false;
+        
+        station.setBroken(isBroken);
+        return true;
+    }
+
+    // Remove cooked item from station
+    removeCookedItem(stationId, slotIndex) {
+        const station = this.stations.get(stationId);
+        if (!station) return null;
+        
+        const item = station.currentItems.get(slotIndex);
+        if (!item || !item.isReady) return null;
+        
+        item.zone = station.getDonenessZone(item);
+        return station.removeItem(slotIndex);
+    }
+
+    // Get station by ID
+    getStation(stationId) {
+        return this.stations.get(stationId);
+    }
+
+    // Get all stations
+    getAllStations() {
+        return Array.from(this.stations.values());
+    }
+
+    // Check if any cooking items are ready, optionally only those for one prepared dish
+    getReadyItems(dish = null) {
+        const readyItems = [];
+        
+        for (const station of this.stations.values()) {
+            for (const [slotIndex, item] of station.currentItems) {
+                if (item.isReady && (!dish || item.dish === dish)) {
+                    readyItems.push({
+                        stationId: station.id,
+                        slotIndex: slotIndex,
+                        item: item
+                    });
+                }
+            }
+        }
+        
+        return readyItems;
+    }
+
+    // Empty every slot and restore cleanliness (used when the game is reset)
+    resetStations() {
+        for (const station of this.stations.values()) {
+            station.reset();
+        }
+        this.emit('stationsReset');
+    }
+
+    // Throw away everything cooking for a prepared dish (e.g. when its order is cancelled)
+    discardItemsForDish(dish) {
+        for (const station of this.stations.values()) {
+            for (const [slotIndex, item] of station.currentItems) {
+                if (item.dish === dish) {
+                    station.discardItem(slotIndex);
+                }
+            }
+        }
+    }
+
+    // Clear current dish
+    clearCurrentDish() {
+        const station = this.activeStation;
+        if (station) {
+            station.deactivate();
+        }
+        
+        this.activeStation = null;
+        this.currentDish = null;
+        
+        if (station) {
+            this.emit('dishCleared', station);
+        }
+    }
+
+    // Clean the current active station
+    cleanCurrentStation() {
+        console.log(`Attempting to clean current station. Active station: ${this.activeStation?.name || 'none'}`);
+        
+        if (!this.activeStation) {
+            console.log('No active station to clean');
+            return false;
+        }
+        
+        console.log(`Active station: ${this.activeStation.name}, can be cleaned: ${this.activeStation.canBeCleaned()}`);
+        
+        const success = this.activeStation.startCleaning();
+        
+        if (!success) {
+            console.log('Cleaning failed to start');
+        }
+        
+        return success;
+    }
+
+    // Check if current station can be cleaned
+    canCleanCurrentStation() {
+        if (!this.activeStation) return false;
+        
+        return this.activeStation.canBeCleaned();
+    }
+}
+
+return { CookingStation, CookingStationManager };
+}));
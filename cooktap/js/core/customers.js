@@ -0,0 +1,95 @@
+/**
+ * Customers - Archetypes that set how long a customer waits, how their mood
+ * sours, how strictly they rate and how much they tip
+ * Archetypes come from config/customers.json. Without one, every customer is a
+ * plain walk-in who rates on time alone.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// Mood (0-1) from the share of the customer's patience left
+const PATIENCE_CURVES = {
+    linear: share => share,
+    steady: share => 1 - Math.pow(1 - share, 2), // Calm for a long time, then sours fast
+    impatient: share => share * share // Sours from the moment they sit down
+};
+
+const DEFAULT_ARCHETYPE = {
+    id: 'walk_in',
+    name: 'Walk-in',
+    icon: '🙂',
+    weight: 1,
+    patience: 1,
+    patienceCurve: 'linear',
+    ratingThresholds: { perfect: 0.75, good: 0.25 },
+    tipMultiplier: 1
+};
+
+const TIP_SHARE = 0.2; // Share of the dish's score a delighted 1x customer leaves as a tip
+
+class CustomerRoster {
+    constructor(config) {
+        if (!config || !Array.isArray(config.archetypes) || config.archetypes.length === 0) {
+            throw new Error('Customer config needs a non-empty archetypes array');
+        }
+        
+        this.archetypes = config.archetypes.map(archetype => {
+            const merged = { ...DEFAULT_ARCHETYPE, ...archetype };
+            const { perfect, good } = merged.ratingThresholds;
+            
+            if (!PATIENCE_CURVES[merged.patienceCurve]) {
+                throw new Error(`Customer "${merged.id}" has unknown patienceCurve "${merged.patienceCurve}"`);
+            }
+            if (!(merged.patience > 0) || !(merged.weight > 0) || !(merged.tipMultiplier >= 0)) {
+                throw new Error(`Customer "${merged.id}" needs a positive patience and weight and a non-negative tipMultiplier`);
+            }
+            if (!(good >= 0 && good <= perfect && perfect <= 1)) {
+                throw new Error(`Customer "${merged.id}" needs ratingThresholds with 0 <= good <= perfect <= 1`);
+            }
+            return merged;
+        });
+    }
+
+    getArchetype(archetypeId) {
+        return this.archetypes.find(archetype => archetype.id === archetypeId) || null;
+    }
+
+    // Weighted random archetype for the next customer
+    pick(random = Math.random) {
+        const totalWeight = this.archetypes.reduce((sum, archetype) => sum + archetype.weight, 0);
+        let roll = random() * totalWeight;
+        
+        for (const archetype of this.archetypes) {
+            roll -= archetype.weight;
+            if (roll < 0) return archetype;
+        }
+        return this.archetypes[this.archetypes.length - 1];
+    }
+}
+
+function getCustomerMood(archetype, patienceShare) {
+    const share = Math.min(1, Math.max(0, patienceShare));
+    return PATIENCE_CURVES[archetype.patienceCurve](share);
+}
+
+// 'happy' while a perfect rating is still possible, then 'content', then 'upset'
+function getMoodLevel(archetype, mood) {
+    if (mood > archetype.ratingThresholds.perfect) return 'happy';
+    if (mood > archetype.ratingThresholds.good) return 'content';
+    return 'upset';
+}
+
+function calculateTip(archetype, score, mood) {
+    if (score <= 0) return 0;
+    return Math.round(score * TIP_SHARE * archetype.tipMultiplier * mood);
+}
+
+return { PATIENCE_CURVES, DEFAULT_ARCHETYPE, CustomerRoster, getCustomerMood, getMoodLevel, calculateTip };
+}));
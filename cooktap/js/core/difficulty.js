@@ -0,0 +1,168 @@
+/**
+ * Difficulty - Presets and a director that paces order spawning
+ * A preset sets designer bounds for the spawn interval, order time limits and
+ * how strongly the dish mix leans towards hard dishes. During a shift the
+ * director watches the recent perfect rate, expirations and the queue length,
+ * and moves an intensity between 0 (easiest end of every bound) and 1
+ * (hardest end), applying the result to the order system.
+ *
+ * Events:
+ *   adjusted ({ intensity, spawnInterval, timeLimitScale, hardDishBias })
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter } = core;
+
+// The fixed pacing the kitchen had before presets: every bound is a single value
+const DEFAULT_PRESET = {
+    id: 'normal',
+    name: 'Normal',
+    maxActiveOrders: 5,
+    spawnInterval: { min: 10000, max: 10000 }, // Game ms between orders
+    timeLimitScale: { min: 1, max: 1 }, // Multiplier on every order's time limit
+    hardDishBias: { min: 0, max: 0 }, // Dish weight is difficulty ^ bias: < 0 favours easy dishes, > 0 hard ones
+    startIntensity: 0.5,
+    adjustStep: 0.1, // Intensity change per served or expired order
+    targetPerfectRate: 0.6, // Rolling perfect rate the director tries to hold
+    window: 5 // Recent orders the director looks at
+};
+
+const BOUNDED_SETTINGS = ['spawnInterval', 'timeLimitScale', 'hardDishBias'];
+
+class DifficultyPresets {
+    constructor(config) {
+        if (!config || !Array.isArray(config.presets) || config.presets.length === 0) {
+            throw new Error('Difficulty config needs a non-empty presets array');
+        }
+        
+        this.presets = config.presets.map(preset => {
+            const merged = { ...DEFAULT_PRESET, ...preset };
+            
+            BOUNDED_SETTINGS.forEach(setting => {
+                const bounds = merged[setting];
+                if (!bounds || typeof bounds.min !== 'number' || typeof bounds.max !== 'number' || bounds.min > bounds.max) {
+                    throw new Error(`Difficulty preset "${merged.id}" needs ${setting} with numeric min <= max`);
+                }
+            });
+            if (merged.spawnInterval.min <= 0 || merged.timeLimitScale.min <= 0) {
+                throw new Error(`Difficulty preset "${merged.id}" needs a positive spawnInterval and timeLimitScale`);
+            }
+            if (!Number.isInteger(merged.maxActiveOrders) || merged.maxActiveOrders < 1 ||
+                !Number.isInteger(merged.window) || merged.window < 1) {
+                throw new Error(`Difficulty preset "${merged.id}" needs a positive integer maxActiveOrders and window`);
+            }
+            return merged;
+        });
+        
+        this.defaultPresetId = this.getPreset(config.defaultPreset) ? config.defaultPreset : this.presets[0].id;
+    }
+
+    getPreset(presetId) {
+        return this.presets.find(preset => preset.id === presetId) || null;
+    }
+
+    getDefaultPreset() {
+        return this.getPreset(this.defaultPresetId);
+    }
+}
+
+class DifficultyDirector extends EventEmitter {
+    constructor(orderSystem, preset = DEFAULT_PRESET) {
+        super();
+        this.orderSystem = orderSystem;
+        this.preset = preset;
+        this.intensity = preset.startIntensity;
+        this.recentOutcomes = []; // 'perfect', 'served' or 'expired', newest last
+        
+        orderSystem.on('orderCompleted', order => this.recordOutcome(order.rating === 'perfect' ? 'perfect' : 'served'));
+        orderSystem.on('orderExpired', () => this.recordOutcome('expired'));
+        
+        // The gap to the next order is picked as each order arrives
+        orderSystem.on('orderSpawned', () => {
+            const { spawnInterval } = this.getSettings();
+            if (spawnInterval !== this.orderSystem.orderSpawnRate) {
+                this.orderSystem.setSpawnRate(spawnInterval);
+            }
+        });
+    }
+
+    // Use another preset from the next shift on
+    setPreset(preset) {
+        this.preset = preset;
+        this.reset();
+    }
+
+    // Back to the preset's starting intensity with no history (a fresh shift)
+    reset() {
+        this.intensity = this.preset.startIntensity;
+        this.recentOutcomes = [];
+        this.orderSystem.maxActiveOrders = this.preset.maxActiveOrders;
+        this.apply();
+    }
+
+    // Settings for the current intensity, each between its preset bounds
+    getSettings() {
+        const between = ({ min, max }, share) => min + (max - min) * share;
+        
+        return {
+            intensity: this.intensity,
+            spawnInterval: Math.round(between(this.preset.spawnInterval, 1 - this.intensity)),
+            timeLimitScale: between(this.preset.timeLimitScale, 1 - this.intensity),
+            hardDishBias: between(this.preset.hardDishBias, this.intensity)
+        };
+    }
+
+    getPerfectRate() {
+        if (this.recentOutcomes.length === 0) return null;
+        return this.recentOutcomes.filter(outcome => outcome === 'perfect').length / this.recentOutcomes.length;
+    }
+
+    recordOutcome(outcome) {
+        this.recentOutcomes.push(outcome);
+        if (this.recentOutcomes.length > this.preset.window) {
+            this.recentOutcomes.shift();
+        }
+        
+        this.adjust(outcome);
+    }
+
+    // Ease off after an expiry or a backed-up queue, push harder while the cook keeps up
+    adjust(outcome) {
+        const { adjustStep, targetPerfectRate } = this.preset;
+        const queueShare = this.orderSystem.activeOrders.size / this.orderSystem.maxActiveOrders;
+        const perfectRate = this.getPerfectRate();
+        let change = 0;
+        
+        if (outcome === 'expired') {
+            change = -2 * adjustStep;
+        } else if (queueShare >= 0.8 || perfectRate < targetPerfectRate - 0.25) {
+            change = -adjustStep;
+        } else if (perfectRate >= targetPerfectRate && !this.recentOutcomes.includes('expired')) {
+            change = adjustStep;
+        }
+        
+        if (change === 0) return;
+        
+        this.intensity = Math.min(1, Math.max(0, this.intensity + change));
+        this.apply();
+    }
+
+    // Time limits and dish mix apply from the next order; the spawn interval after the next spawn
+    apply() {
+        const settings = this.getSettings();
+        this.orderSystem.timeLimitScale = settings.timeLimitScale;
+        this.orderSystem.dishWeight = dish => Math.pow(dish.difficulty || 1, settings.hardDishBias);
+        this.emit('adjusted', settings);
+    }
+}
+
+return { DEFAULT_PRESET, DifficultyPresets, DifficultyDirector };
+}));
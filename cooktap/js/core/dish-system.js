@@ -3,40 +3,87 @@
  * Handles dish definitions, ingredients, tools, and preparation steps
  */
 
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./menu-validator'),
+            require('./key-bindings')
+        ));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { validateMenu, formatReport, MenuValidationError, collectDishKeyEntries, resolveKeyBindings, normalizeKey, KeyProfile } = core;
+
 class DishSystem {
     constructor() {
         this.dishes = new Map();
         this.ingredients = new Map();
         this.tools = new Map();
         this.cookingStations = new Map();
+        this.holdingStation = null; // Optional holding station config (see HoldingStation)
+        this.keyBindings = new Map(); // Dish id -> resolved, conflict-free key bindings
+        this.keyProfile = new KeyProfile(); // The player's own keys, applied before resolving
         
         this.menuConfig = null;
-        this.loadConfiguration();
+        this.validationReport = null;
+        this.loadError = null; // Set when the menu is rejected and the kitchen must not open
     }
 
-    async loadConfiguration() {
+    // Fetch menu.json over HTTP (browser); Node callers use loadMenu() directly
+    async loadConfiguration(url = './config/menu.json') {
         try {
-            const response = await fetch('./config/menu.json');
+            const response = await fetch(url);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            this.menuConfig = await response.json();
-            
-            this.initializeFromConfig();
+            this.loadMenu(await response.json());
             console.log('Menu configuration loaded successfully');
         } catch (error) {
+            // A broken menu is never papered over with the fallback data
+            if (error instanceof MenuValidationError) {
+                this.loadError = error;
+                console.error(error.message);
+                return;
+            }
+            
             console.error('Failed to load menu configuration:', error);
             // Fallback to hardcoded data if needed
             this.initializeFallback();
         }
     }
 
+    // Load an already-parsed menu configuration, throwing MenuValidationError on fatal problems
+    loadMenu(menuConfig) {
+        const report = validateMenu(menuConfig);
+        this.validationReport = report;
+        
+        if (report.warnings.length > 0) {
+            console.warn(`Menu configuration warnings:\n${formatReport({ errors: [], warnings: report.warnings })}`);
+        }
+        if (!report.isValid) {
+            throw new MenuValidationError(report);
+        }
+        
+        this.menuConfig = menuConfig;
+        this.initializeFromConfig();
+    }
+
     initializeFromConfig() {
         if (!this.menuConfig) return;
         
+        // A reloaded menu (e.g. a playtested draft) replaces everything from the last one
+        this.ingredients.clear();
+        this.tools.clear();
+        this.cookingStations.clear();
+        this.dishes.clear();
+        this.keyBindings.clear();
+        
         // Load ingredients
         this.menuConfig.ingredients.forEach(ingredient => {
-            this.addIngredient(ingredient.id, ingredient.name, ingredient.category, ingredient.baseColor, ingredient.key);
+            this.addIngredient(ingredient.id, ingredient.name, ingredient.category, ingredient.baseColor, ingredient.key, ingredient);
         });
         
         // Load tools
@@ -48,6 +95,7 @@ class DishSystem {
         for (const [stationId, config] of Object.entries(this.menuConfig.cookingStations)) {
             this.cookingStations.set(stationId, config);
         }
+        this.holdingStation = this.menuConfig.holdingStation || null;
         
         // Load dishes
         this.menuConfig.dishes.forEach(dish => {
@@ -343,14 +391,21 @@ class DishSystem {
         });
     }
 
-    addIngredient(id, name, type, color, key) {
+    // supply: optional { stock, restockCost, restockAmount, restockTime }; no stock = unlimited
+    addIngredient(id, name, type, color, key, supply = {}) {
         this.ingredients.set(id, {
             id,
             name,
             type,
             color,
             key,
-            className: `ingredient-${type}`
+            className: `ingredient-${type}`,
+            supply: supply.stock !== undefined ? {
+                stock: supply.stock,
+                restockCost: supply.restockCost || 0,
+                restockAmount: supply.restockAmount,
+                restockTime: supply.restockTime
+            } : null
         });
     }
 
@@ -366,14 +421,30 @@ class DishSystem {
     }
 
     addDish(id, dishData) {
+        this.keyBindings.delete(id);
         this.dishes.set(id, {
             id,
-            ...dishData,
+            ...dishData
+        });
+    }
+
+    // Build a fresh prepared-dish instance from a recipe template.
+    // Each order owns one of these, so progress is never shared between orders.
+    createDishInstance(dishId) {
+        const recipe = this.getDish(dishId);
+        if (!recipe) return null;
+        
+        return {
+            ...recipe,
             currentIngredients: new Set(),
             ingredientStates: new Map(), // Track prep state of each ingredient
             finalStepsProgress: 0,
+            overcookedItems: [], // Names of items retrieved past their done window
+            cookedDoneness: new Map(), // Ingredient id -> doneness zone it came off its station in (or 'overcooked')
+            modifiers: [], // The order's requests, e.g. { type: 'double', ingredientId: 'cheese' }
+            doubledIngredients: new Set(), // Ingredients added a second time for a 'double' request
             isComplete: false
-        });
+        };
     }
 
     getDish(id) {
@@ -388,17 +459,24 @@ class DishSystem {
         return this.ingredients.get(id);
     }
 
+    getAllIngredients() {
+        return Array.from(this.ingredients.values());
+    }
+
     getTool(id) {
         return this.tools.get(id);
     }
 
+    getAllTools() {
+        return Array.from(this.tools.values());
+    }
+
     getCookingStation(id) {
         return this.cookingStations.get(id);
     }
 
-    // Get available ingredients for a specific dish
-    getDishIngredients(dishId) {
-        const dish = this.getDish(dishId);
+    // Get available ingredients for a prepared dish
+    getDishIngredients(dish) {
         if (!dish) return [];
         
         return dish.ingredients.map(ing => {
@@ -414,9 +492,8 @@ class DishSystem {
         }).filter(ingredient => ingredient !== null);
     }
 
-    // Get available tools for a specific dish
-    getDishTools(dishId) {
-        const dish = this.getDish(dishId);
+    // Get available tools for a prepared dish
+    getDishTools(dish) {
         if (!dish) return [];
         
         const tools = new Set();
@@ -449,23 +526,26 @@ class DishSystem {
         }).filter(tool => tool !== null);
     }
 
-    // Add ingredient to current dish
-    addIngredientToDish(dishId, ingredientId) {
-        const dish = this.getDish(dishId);
+    // Add ingredient to a prepared dish
+    addIngredientToDish(dish, ingredientId) {
         if (!dish) {
-            console.log(`Dish not found: ${dishId}`);
+            console.log('No prepared dish to add ingredient to');
             return false;
         }
         
         const ingredient = dish.ingredients.find(ing => ing.id === ingredientId);
         if (!ingredient) {
-            console.log(`Ingredient ${ingredientId} not found in dish ${dishId}`);
+            console.log(`Ingredient ${ingredientId} not found in dish ${dish.id}`);
             console.log('Available ingredients:', dish.ingredients.map(ing => ing.id));
             return false;
         }
         
-        // Don't add if already added
+        // Don't add if already added, unless the order asked for a double portion
         if (dish.currentIngredients.has(ingredientId)) {
+            if (this.canDoubleIngredient(dish, ingredientId)) {
+                dish.doubledIngredients.add(ingredientId);
+                return true;
+            }
             console.log(`Ingredient ${ingredientId} already added`);
             return false;
         }
@@ -479,13 +559,39 @@ class DishSystem {
             isReady: (ingredient.prepSteps && ingredient.prepSteps.length === 0) || !ingredient.prepSteps // Ready if no prep steps
         });
         
-        console.log(`Successfully added ingredient: ${ingredientId} to ${dishId}`);
+        console.log(`Successfully added ingredient: ${ingredientId} to ${dish.id}`);
         return true;
     }
 
-    // Use tool on ingredient or final assembly
-    useToolOnDish(dishId, toolId) {
-        const dish = this.getDish(dishId);
+    // Add an ingredient that was already prepared elsewhere (e.g. taken from the holding station)
+    addPreparedIngredientToDish(dish, ingredientId, prepStepsCompleted) {
+        const ingredient = dish && dish.ingredients.find(ing => ing.id === ingredientId);
+        if (!ingredient || dish.currentIngredients.has(ingredientId)) return false;
+        
+        dish.currentIngredients.add(ingredientId);
+        dish.ingredientStates.set(ingredientId, {
+            added: true,
+            prepStepsCompleted,
+            isReady: prepStepsCompleted >= (ingredient.prepSteps || []).length
+        });
+        
+        return true;
+    }
+
+    // Take an ingredient back out of a prepared dish, as if it was never added
+    removeIngredientFromDish(dish, ingredientId) {
+        if (!dish || !dish.currentIngredients.has(ingredientId)) return false;
+        
+        dish.currentIngredients.delete(ingredientId);
+        dish.ingredientStates.delete(ingredientId);
+        dish.doubledIngredients.delete(ingredientId);
+        dish.cookedDoneness.delete(ingredientId);
+        
+        return true;
+    }
+
+    // Use tool on ingredient or final assembly of a prepared dish
+    useToolOnDish(dish, toolId) {
         if (!dish) return false;
         
         // Check if this tool is for ingredient preparation
@@ -539,9 +645,15 @@ class DishSystem {
         return toolUsed;
     }
 
-    // Check if dish meets minimum requirements
-    isDishValid(dishId) {
-        const dish = this.getDish(dishId);
+    // Whether adding an ingredient again would fill a 'double' request
+    canDoubleIngredient(dish, ingredientId) {
+        return dish.currentIngredients.has(ingredientId) &&
+            !dish.doubledIngredients.has(ingredientId) &&
+            dish.modifiers.some(modifier => modifier.type === 'double' && modifier.ingredientId === ingredientId);
+    }
+
+    // Check if a prepared dish meets minimum requirements
+    isDishValid(dish) {
         if (!dish) return false;
         
         // Check required ingredients are added and prepared
@@ -560,68 +672,134 @@ class DishSystem {
         return true;
     }
 
-    // Reset dish state
-    resetDish(dishId) {
-        const dish = this.getDish(dishId);
+    // Reset a prepared dish back to its untouched state
+    resetDish(dish) {
         if (!dish) return false;
         
         dish.currentIngredients.clear();
         dish.ingredientStates.clear();
         dish.finalStepsProgress = 0;
+        dish.overcookedItems = [];
+        dish.cookedDoneness.clear();
+        dish.doubledIngredients.clear();
         dish.isComplete = false;
         
         return true;
     }
 
-    // Get key mappings for a dish
-    getDishKeyMappings(dishId) {
+    // Send a prepared dish back to a cooking step whose result was lost (e.g. it burnt)
+    restartStep(dish, ingredientId, stepIndex) {
+        if (!dish || stepIndex < 0) return false;
+        
+        if (ingredientId) {
+            const ingredientState = dish.ingredientStates.get(ingredientId);
+            if (!ingredientState) return false;
+            
+            ingredientState.prepStepsCompleted = Math.min(ingredientState.prepStepsCompleted, stepIndex);
+            ingredientState.isReady = false;
+        } else {
+            dish.finalStepsProgress = Math.min(dish.finalStepsProgress, stepIndex);
+            dish.isComplete = false;
+        }
+        
+        return true;
+    }
+
+    // Use the player's key choices from now on (a KeyProfile)
+    setKeyProfile(keyProfile) {
+        this.keyProfile = keyProfile;
+        this.keyBindings.clear();
+    }
+
+    // The menu's own key for an ingredient or tool, before the player's choices
+    getDefaultKey(type, id) {
+        const item = type === 'ingredient' ? this.getIngredient(id) : this.getTool(id);
+        return item ? item.key : null;
+    }
+
+    // The player's keys on a recipe's key entries, in the order they are claimed
+    getDishKeyEntries(recipe) {
+        return this.keyProfile.applyTo(collectDishKeyEntries(recipe, id => this.getIngredient(id)));
+    }
+
+    // Other ingredients and tools that would share a key with this one in some dish: [{ dishName, name }]
+    findKeyClashes(type, id, key) {
+        const clashes = [];
+        
+        for (const recipe of this.getAllDishes()) {
+            const entries = this.getDishKeyEntries(recipe);
+            if (!entries.some(entry => entry.type === type && entry.id === id)) continue;
+            
+            const isOther = entry => !(entry.type === type && entry.id === id);
+            entries.filter(entry => isOther(entry) && normalizeKey(entry.key) === normalizeKey(key)).forEach(entry => {
+                if (!clashes.some(clash => clash.dishName === recipe.name && clash.name === entry.name)) {
+                    clashes.push({ dishName: recipe.name, name: entry.name });
+                }
+            });
+        }
+        
+        return clashes;
+    }
+
+    // Resolve (and cache) the conflict-free key bindings for a dish's recipe
+    getDishKeyBindings(dish) {
+        if (!dish) return null;
+        
+        if (!this.keyBindings.has(dish.id)) {
+            const recipe = this.getDish(dish.id) || dish;
+            const bindings = resolveKeyBindings(this.getDishKeyEntries(recipe), this.keyProfile.getReservedKeys());
+            
+            bindings.conflicts.forEach(conflict => {
+                console.warn(`${recipe.name}: key "${conflict.key}" for ${conflict.name} is ${conflict.reason}; ` +
+                    (conflict.remappedKey ? `remapped to "${conflict.remappedKey}"` : 'no free key left'));
+            });
+            this.keyBindings.set(dish.id, bindings);
+        }
+        
+        return this.keyBindings.get(dish.id);
+    }
+
+    // Binding actually used for an ingredient or tool in a dish (after remapping)
+    getKeyBinding(dish, type, id) {
+        const bindings = this.getDishKeyBindings(dish);
+        const key = bindings && bindings.byTarget.get(`${type}:${id}`);
+        return key ? bindings.byKey.get(key) : null;
+    }
+
+    getKeyFor(dish, type, id) {
+        const binding = this.getKeyBinding(dish, type, id);
+        return binding ? binding.key : null;
+    }
+
+    // Get key mappings for a prepared dish
+    getDishKeyMappings(dish) {
         const keyMappings = new Map();
-        const dish = this.getDish(dishId);
         if (!dish) return keyMappings;
         
-        // Add ingredient keys
-        dish.ingredients.forEach(ingredient => {
-            const ingredientData = this.getIngredient(ingredient.id);
-            if (ingredientData && ingredientData.key) {
-                keyMappings.set(ingredientData.key.toLowerCase(), {
-                    type: 'ingredient',
-                    id: ingredient.id,
-                    name: ingredientData.name,
-                    added: dish.currentIngredients.has(ingredient.id)
-                });
+        for (const [key, binding] of this.getDishKeyBindings(dish).byKey) {
+            const mapping = {
+                type: binding.type,
+                id: binding.id,
+                name: binding.name
+            };
+            
+            if (binding.type === 'ingredient') {
+                mapping.added = dish.currentIngredients.has(binding.id);
+            } else if (binding.ingredientId) {
+                mapping.ingredientId = binding.ingredientId;
             }
             
-            // Add keys for ingredient prep steps
-            if (ingredient.prepSteps) {
-                ingredient.prepSteps.forEach(step => {
-                    if (step.key) {
-                        keyMappings.set(step.key.toLowerCase(), {
-                            type: 'tool',
-                            id: step.action,
-                            name: step.description,
-                            ingredientId: ingredient.id
-                        });
-                    }
-                });
+            if (binding.remappedFrom) {
+                mapping.remappedFrom = binding.remappedFrom;
+                mapping.remapReason = binding.remapReason;
             }
-        });
-        
-        // Add keys for final assembly steps
-        if (dish.finalSteps) {
-            dish.finalSteps.forEach(step => {
-                if (step.key && step.key !== 'space') {
-                    keyMappings.set(step.key.toLowerCase(), {
-                        type: 'tool',
-                        id: step.action,
-                        name: step.description
-                    });
-                }
-            });
+            
+            keyMappings.set(key, mapping);
         }
         
         return keyMappings;
     }
 }
 
-// Global dish system instance
-window.dishSystem = new DishSystem();
+return { DishSystem };
+}));
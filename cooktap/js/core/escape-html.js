@@ -0,0 +1,24 @@
+/**
+ * Escape HTML - Makes menu text safe to put into markup
+ * Names and descriptions come from menu packs players share, so every
+ * renderer escapes them before they go into innerHTML or an attribute.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Any value as text for element content or a quoted attribute; null and undefined become ''
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+return { escapeHtml };
+}));
@@ -0,0 +1,48 @@
+/**
+ * Event Emitter - Minimal publish/subscribe base for the DOM-free core
+ * Renderers subscribe to core events instead of the core touching the page.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // Event name -> Set of listener functions
+    }
+
+    // Subscribe to an event; returns a function that unsubscribes again
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        
+        // Copy so listeners may unsubscribe while being notified
+        for (const listener of Array.from(listeners)) {
+            listener(...args);
+        }
+    }
+}
+
+return { EventEmitter };
+}));
@@ -0,0 +1,167 @@
+/**
+ * Game Clock - Shared, pausable game time for every timed system
+ * Orders, cooking slots and cleaning all schedule against this clock instead of
+ * Date.now()/setTimeout, so pausing the clock freezes the whole kitchen.
+ * With autoTick off the clock only moves through advance(), which is how
+ * headless simulations step a shift under Node.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+class GameClock {
+    constructor(options = {}) {
+        this.autoTick = options.autoTick !== false;
+        this.elapsed = 0; // Game milliseconds elapsed while running
+        this.timeScale = 1;
+        this.isRunning = false;
+        this.lastRealTime = null;
+        this.tickRate = 50; // Real milliseconds between ticks
+        this.ticker = null;
+        
+        this.timers = new Map(); // Timer id -> { dueAt, callback, interval }
+        this.nextTimerId = 1;
+    }
+
+    // Current game time in milliseconds
+    now() {
+        return this.elapsed;
+    }
+
+    // Start (or resume) advancing game time from real time
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.lastRealTime = Date.now();
+        if (this.autoTick) {
+            this.ticker = setInterval(() => this.tick(), this.tickRate);
+        }
+    }
+
+    // Freeze game time where it is
+    pause() {
+        if (!this.isRunning) return;
+        
+        // Catch up to the exact moment of pausing before freezing
+        this.tick();
+        this.isRunning = false;
+        if (this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+        this.lastRealTime = null;
+    }
+
+    resume() {
+        this.start();
+    }
+
+    // Stop the clock, drop every scheduled timer and rewind to zero
+    reset() {
+        this.pause();
+        this.timers.clear();
+        this.elapsed = 0;
+    }
+
+    // Speed up or slow down game time (1 = real time)
+    setTimeScale(scale) {
+        if (this.isRunning) this.tick();
+        this.timeScale = Math.max(0, scale);
+    }
+
+    // Advance game time by the real time passed since the last tick
+    tick() {
+        if (!this.isRunning || !this.autoTick) return;
+        
+        const realNow = Date.now();
+        const realDelta = realNow - this.lastRealTime;
+        this.lastRealTime = realNow;
+        
+        this.advance(realDelta * this.timeScale);
+    }
+
+    // Move game time forward, firing every timer that falls due on the way in order.
+    // A paused clock ignores this, so nothing can move while the game is frozen.
+    advance(ms) {
+        this.advanceTo(this.elapsed + ms);
+    }
+
+    // Move game time forward to an exact moment (replays land inputs on their recorded time)
+    advanceTo(target) {
+        if (!this.isRunning || target < this.elapsed) return;
+        
+        let next = this.getNextDueTimer(target);
+        while (next) {
+            const [timerId, timer] = next;
+            this.elapsed = Math.max(this.elapsed, timer.dueAt);
+            
+            if (timer.interval !== null) {
+                timer.dueAt += timer.interval;
+            } else {
+                this.timers.delete(timerId);
+            }
+            
+            timer.callback();
+            
+            // A callback may pause the clock (e.g. closing time); time stops right there
+            if (!this.isRunning) return;
+            next = this.getNextDueTimer(target);
+        }
+        
+        this.elapsed = target;
+    }
+
+    getNextDueTimer(target) {
+        let next = null;
+        
+        for (const entry of this.timers) {
+            const timer = entry[1];
+            if (timer.dueAt <= target && (!next || timer.dueAt < next[1].dueAt)) {
+                next = entry;
+            }
+        }
+        
+        return next;
+    }
+
+    // Schedule a callback after a delay in game milliseconds
+    setTimeout(callback, delay = 0) {
+        const timerId = this.nextTimerId++;
+        this.timers.set(timerId, {
+            dueAt: this.elapsed + Math.max(0, delay),
+            callback,
+            interval: null
+        });
+        return timerId;
+    }
+
+    // Schedule a repeating callback every interval game milliseconds
+    setInterval(callback, interval) {
+        const timerId = this.nextTimerId++;
+        const period = Math.max(1, interval);
+        this.timers.set(timerId, {
+            dueAt: this.elapsed + period,
+            callback,
+            interval: period
+        });
+        return timerId;
+    }
+
+    clearTimeout(timerId) {
+        this.timers.delete(timerId);
+    }
+
+    clearInterval(timerId) {
+        this.timers.delete(timerId);
+    }
+}
+
+return { GameClock };
+}));
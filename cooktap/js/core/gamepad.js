@@ -0,0 +1,259 @@
+/**
+ * Gamepad - Plays the kitchen from a controller polled through the Gamepad API
+ * The selected dish's ingredients and tools are split into radial menus of one
+ * entry per slot button (the face buttons by default); the d-pad pages through
+ * the menus. Every press becomes the same kitchen.handleInput call as the
+ * matching key, so gamepad shifts record and replay like keyboard ones.
+ *
+ * poll() takes whatever navigator.getGamepads() returned, so plain objects
+ * with { connected, buttons: [{ pressed, value }] } work as mocks.
+ *
+ * Events:
+ *   connected (gamepadId)
+ *   disconnected ()
+ *   menuChanged (menu)                 - null when no dish is selected
+ *   pressed (button)                   - after a press was passed to the kitchen
+ *   pause ()                           - the pause button; the page decides what it does
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter } = core;
+
+// Buttons are standard-mapping indexes; buttonNames says what is printed on each
+const DEFAULT_GAMEPAD_CONFIG = {
+    threshold: 0.5, // Analog buttons (triggers) count as pressed from this value
+    buttonNames: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', '↑', '↓', '←', '→', 'Home'],
+    slots: [3, 1, 0, 2], // Radial positions clockwise from the top
+    controls: {
+        previousMenu: 14,
+        nextMenu: 15,
+        retrieve: 12,
+        clean: 13,
+        previousOrder: 4,
+        nextOrder: 5,
+        shift: 6, // Held like the Shift key: retrieve holds, an ingredient restocks
+        serve: 7,
+        cancel: 8,
+        pause: 9
+    }
+};
+
+const GAMEPAD_CONTROLS = Object.keys(DEFAULT_GAMEPAD_CONFIG.controls);
+
+// Fill in defaults and check no button does two things
+function resolveGamepadConfig(config = {}) {
+    const resolved = {
+        threshold: config.threshold !== undefined ? config.threshold : DEFAULT_GAMEPAD_CONFIG.threshold,
+        buttonNames: config.buttonNames || DEFAULT_GAMEPAD_CONFIG.buttonNames,
+        slots: config.slots || DEFAULT_GAMEPAD_CONFIG.slots,
+        controls: { ...DEFAULT_GAMEPAD_CONFIG.controls, ...config.controls }
+    };
+
+    if (typeof resolved.threshold !== 'number' || resolved.threshold <= 0 || resolved.threshold > 1) {
+        throw new Error('Gamepad threshold must be a number above 0 and at most 1');
+    }
+    if (!Array.isArray(resolved.slots) || resolved.slots.length === 0) {
+        throw new Error('Gamepad config needs a non-empty slots array');
+    }
+
+    const used = new Map();
+    const claim = (button, name) => {
+        if (!Number.isInteger(button) || button < 0) {
+            throw new Error(`Gamepad ${name} needs a button index, got ${JSON.stringify(button)}`);
+        }
+        if (used.has(button)) {
+            throw new Error(`Gamepad button ${button} is used for both ${used.get(button)} and ${name}`);
+        }
+        used.set(button, name);
+    };
+    resolved.slots.forEach((button, index) => claim(button, `slot ${index + 1}`));
+    Object.keys(resolved.controls).forEach(control => {
+        if (!GAMEPAD_CONTROLS.includes(control)) {
+            throw new Error(`Unknown gamepad control "${control}"`);
+        }
+        claim(resolved.controls[control], control);
+    });
+
+    return resolved;
+}
+
+class GamepadController extends EventEmitter {
+    constructor(kitchen, config) {
+        super();
+        this.kitchen = kitchen;
+        this.config = resolveGamepadConfig(config);
+        this.gamepadIndex = null;
+        this.wasPressed = []; // Button states from the last poll, to act on presses only
+        this.menuIndex = 0;
+        this.menuOrderId = null; // Menus start over when another order is selected
+    }
+
+    isConnected() {
+        return this.gamepadIndex !== null;
+    }
+
+    getButtonName(button) {
+        return this.config.buttonNames[button] || `#${button}`;
+    }
+
+    // The selected dish's bindings as menus: ingredients, then tools, a slot's worth each
+    getMenus(dish) {
+        if (!dish) return [];
+        
+        const size = this.config.slots.length;
+        const bindings = Array.from(this.kitchen.dishSystem.getDishKeyBindings(dish).byKey.values());
+        const menus = [];
+        
+        [['ingredient', 'Ingredients'], ['tool', 'Tools']].forEach(([type, name]) => {
+            const items = bindings.filter(binding => binding.type === type);
+            const pages = Math.ceil(items.length / size);
+            for (let page = 0; page < pages; page++) {
+                menus.push({
+                    name: pages > 1 ? `${name} ${page + 1}/${pages}` : name,
+                    items: items.slice(page * size, (page + 1) * size)
+                });
+            }
+        });
+        
+        return menus;
+    }
+
+    // The open menu with its slots: { name, index, count, slots: [{ button, label, binding }] }
+    getCurrentMenu() {
+        const order = this.kitchen.getActiveOrder();
+        const menus = this.getMenus(order && order.dish);
+        if (menus.length === 0) return null;
+        
+        const menu = menus[Math.min(this.menuIndex, menus.length - 1)];
+        return {
+            name: menu.name,
+            index: this.menuIndex,
+            count: menus.length,
+            slots: this.config.slots.map((button, i) => ({
+                button,
+                label: this.getButtonName(button),
+                binding: menu.items[i] || null
+            }))
+        };
+    }
+
+    // Read the first connected gamepad and act on buttons pressed since the last poll
+    poll(gamepads) {
+        const gamepad = Array.from(gamepads || []).find(pad => pad && pad.connected) || null;
+        this.updateConnection(gamepad);
+        this.syncMenu();
+        if (!gamepad) return;
+        
+        const isDown = button => {
+            const state = gamepad.buttons[button];
+            return Boolean(state && (state.pressed || state.value >= this.config.threshold));
+        };
+        
+        const pressed = [];
+        const buttonCount = gamepad.buttons.length;
+        for (let button = 0; button < buttonCount; button++) {
+            const down = isDown(button);
+            if (down && !this.wasPressed[button]) pressed.push(button);
+            this.wasPressed[button] = down;
+        }
+        
+        const shift = isDown(this.config.controls.shift);
+        pressed.forEach(button => this.pressButton(button, shift));
+    }
+
+    updateConnection(gamepad) {
+        const index = gamepad ? gamepad.index || 0 : null;
+        if (index === this.gamepadIndex) return;
+        
+        this.gamepadIndex = index;
+        this.wasPressed = [];
+        if (gamepad) {
+            this.emit('connected', gamepad.id);
+        } else {
+            this.emit('disconnected');
+        }
+    }
+
+    syncMenu() {
+        const order = this.kitchen.getActiveOrder();
+        const orderId = order ? order.id : null;
+        if (orderId === this.menuOrderId) return;
+        
+        this.menuOrderId = orderId;
+        this.menuIndex = 0;
+        this.emit('menuChanged', this.getCurrentMenu());
+    }
+
+    // Do what one button is mapped to; returns whether the kitchen took it
+    pressButton(button, shift = false) {
+        const { controls } = this.config;
+        let handled = false;
+        
+        const slotIndex = this.config.slots.indexOf(button);
+        if (slotIndex !== -1) {
+            handled = this.pressSlot(slotIndex, shift);
+        } else if (button === controls.previousMenu || button === controls.nextMenu) {
+            handled = this.turnMenu(button === controls.nextMenu ? 1 : -1);
+        } else if (button === controls.previousOrder || button === controls.nextOrder) {
+            handled = this.cycleOrder(button === controls.nextOrder ? 1 : -1);
+        } else if (button === controls.pause) {
+            this.emit('pause');
+            return true;
+        } else {
+            const control = ['serve', 'retrieve', 'clean', 'cancel'].find(name => controls[name] === button);
+            if (control) handled = this.pressControl(control, shift);
+        }
+        
+        if (handled) this.emit('pressed', button);
+        return handled;
+    }
+
+    pressSlot(slotIndex, shift) {
+        const menu = this.getCurrentMenu();
+        const slot = menu && menu.slots[slotIndex];
+        if (!slot || !slot.binding) return false;
+        
+        return this.kitchen.handleInput({ key: slot.binding.key, shift });
+    }
+
+    // The first key bound to a kitchen control, as if it were typed
+    pressControl(controlId, shift) {
+        const [key] = this.kitchen.dishSystem.keyProfile.getControlKeys(controlId);
+        return this.kitchen.handleInput({ key, shift });
+    }
+
+    turnMenu(step) {
+        const order = this.kitchen.getActiveOrder();
+        const count = this.getMenus(order && order.dish).length;
+        if (count < 2) return false;
+        
+        this.menuIndex = (this.menuIndex + step + count) % count;
+        this.emit('menuChanged', this.getCurrentMenu());
+        return true;
+    }
+
+    // Select the next or previous order in the queue, wrapping around
+    cycleOrder(step) {
+        const orders = this.kitchen.orderSystem.getActiveOrders();
+        if (orders.length === 0) return false;
+        
+        const active = this.kitchen.getActiveOrder();
+        const current = active ? orders.findIndex(order => order.id === active.id) : -1;
+        const next = current === -1
+            ? (step > 0 ? 0 : orders.length - 1)
+            : (current + step + orders.length) % orders.length;
+        
+        return this.kitchen.handleInput({ action: 'selectOrder', args: [orders[next].id] });
+    }
+}
+
+return { DEFAULT_GAMEPAD_CONFIG, resolveGamepadConfig, GamepadController };
+}));
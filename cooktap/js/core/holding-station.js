@@ -0,0 +1,137 @@
+/**
+ * Holding Station - Keeps cooked components warm for later orders
+ * A cooked ingredient moved here stops cooking, keeps the doneness it had and
+ * stays usable for a freshness window before it is thrown out. Held items
+ * belong to no order: any later dish that prepares the ingredient the same
+ * way takes one instead of cooking it from scratch.
+ *
+ * Events:
+ *   slotChanged (slotIndex)
+ *   itemSpoiled (slotIndex, item)      - the item has already been removed
+ *   cleared ()
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter } = core;
+
+// How long a held item stays fresh and how many fit, unless menu.json says otherwise
+const DEFAULT_HOLD_TIME = 30000;
+const DEFAULT_HOLDING_SLOTS = 4;
+
+// The actions that prepared an ingredient, up to and including the step at stepIndex
+function getPrepActions(ingredientConfig, stepIndex) {
+    return (ingredientConfig.prepSteps || []).slice(0, stepIndex + 1).map(step => step.action);
+}
+
+class HoldingStation extends EventEmitter {
+    // config: menu.json's holdingStation section ({ name, color, slots, holdTime })
+    constructor(config, clock) {
+        super();
+        this.id = 'holding';
+        this.clock = clock;
+        this.items = new Map(); // Slot index -> held item
+        this.configure(config);
+    }
+
+    // Apply menu.json settings (again after a menu reload; held items are kept)
+    configure(config) {
+        this.name = config.name || 'Holding Station';
+        this.color = config.color;
+        this.slots = config.slots || DEFAULT_HOLDING_SLOTS;
+        this.holdTime = config.holdTime || DEFAULT_HOLD_TIME;
+    }
+
+    hasFreeSlot() {
+        return this.items.size < this.slots;
+    }
+
+    getNextFreeSlot() {
+        for (let i = 0; i < this.slots; i++) {
+            if (!this.items.has(i)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // Keep a cooked ingredient warm; prepActions say how it was prepared. Returns the slot or -1
+    hold(item, prepActions) {
+        const slotIndex = this.getNextFreeSlot();
+        if (slotIndex === -1) return -1;
+        
+        const zone = item.donenessZones && item.donenessZones.find(({ id }) => id === item.zone);
+        const heldItem = {
+            name: item.name,
+            ingredient: item.ingredient,
+            prepActions,
+            doneness: item.doneness,
+            zone: item.zone || null, // Doneness zone it came off its station in
+            zoneName: zone ? zone.name : null,
+            heldAt: this.clock.now(),
+            expiresAt: this.clock.now() + this.holdTime
+        };
+        this.items.set(slotIndex, heldItem);
+        
+        this.clock.setTimeout(() => {
+            if (this.items.get(slotIndex) === heldItem) {
+                this.items.delete(slotIndex);
+                this.emit('itemSpoiled', slotIndex, heldItem);
+                this.emit('slotChanged', slotIndex);
+            }
+        }, this.holdTime);
+        
+        this.emit('slotChanged', slotIndex);
+        return slotIndex;
+    }
+
+    // Slot of the held item a dish ingredient can use (the one that spoils first), or -1
+    findMatch(ingredientConfig) {
+        let match = -1;
+        
+        for (const [slotIndex, item] of this.items) {
+            if (item.ingredient !== ingredientConfig.id) continue;
+            
+            const recipeActions = getPrepActions(ingredientConfig, item.prepActions.length - 1);
+            const samePrep = recipeActions.length === item.prepActions.length &&
+                recipeActions.every((action, index) => action === item.prepActions[index]);
+            if (samePrep && (match === -1 || item.expiresAt < this.items.get(match).expiresAt)) {
+                match = slotIndex;
+            }
+        }
+        
+        return match;
+    }
+
+    take(slotIndex) {
+        const item = this.items.get(slotIndex);
+        if (!item) return null;
+        
+        this.items.delete(slotIndex);
+        this.emit('slotChanged', slotIndex);
+        return item;
+    }
+
+    // Seconds until the item in a slot spoils
+    getFreshnessLeft(slotIndex) {
+        const item = this.items.get(slotIndex);
+        if (!item) return 0;
+        
+        return Math.max(0, Math.ceil((item.expiresAt - this.clock.now()) / 1000));
+    }
+
+    reset() {
+        this.items.clear();
+        this.emit('cleared');
+    }
+}
+
+return { HoldingStation, getPrepActions };
+}));
@@ -0,0 +1,31 @@
+/**
+ * Cook Tap core - CommonJS entry point for Node
+ * Browser pages load the individual files, which register on window.CookTapCore.
+ */
+
+module.exports = Object.assign({},
+    require('./event-emitter'),
+    require('./game-clock'),
+    require('./random'),
+    require('./escape-html'),
+    require('./key-bindings'),
+    require('./menu-validator'),
+    require('./dish-system'),
+    require('./menu-packs'),
+    require('./order-modifiers'),
+    require('./order-system'),
+    require('./difficulty'),
+    require('./kitchen-events'),
+    require('./cooking-stations'),
+    require('./inventory'),
+    require('./holding-station'),
+    require('./customers'),
+    require('./kitchen'),
+    require('./campaign'),
+    require('./upgrades'),
+    require('./career-stats'),
+    require('./replay'),
+    require('./gamepad'),
+    require('./tutorial'),
+    require('./practice')
+);
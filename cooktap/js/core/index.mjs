@@ -0,0 +1,76 @@
+/**
+ * Cook Tap core - ES module entry point
+ */
+
+import core from './index.js';
+
+export const {
+    EventEmitter,
+    GameClock,
+    SeededRandom,
+    generateSeed,
+    parseSeed,
+    escapeHtml,
+    CONTROLS,
+    RESERVED_KEYS,
+    normalizeKey,
+    isReservedKey,
+    formatKey,
+    collectDishKeyEntries,
+    resolveKeyBindings,
+    KeyProfile,
+    validateMenu,
+    formatReport,
+    MenuValidationError,
+    THEME_COLORS,
+    DishSystem,
+    validatePack,
+    MenuPackLibrary,
+    MODIFIER_TYPES,
+    getDonenessZones,
+    rollOrderModifiers,
+    getDonenessMiss,
+    isModifierMet,
+    getUnmetModifiers,
+    describeModifier,
+    Order,
+    OrderSystem,
+    DEFAULT_PRESET,
+    DifficultyPresets,
+    DifficultyDirector,
+    EVENT_TYPES,
+    validateEventConfig,
+    KitchenEvents,
+    CookingStation,
+    CookingStationManager,
+    Inventory,
+    HoldingStation,
+    getPrepActions,
+    PATIENCE_CURVES,
+    DEFAULT_ARCHETYPE,
+    CustomerRoster,
+    getCustomerMood,
+    getMoodLevel,
+    calculateTip,
+    Kitchen,
+    Campaign,
+    parseClockTime,
+    formatClockTime,
+    UPGRADE_EFFECTS,
+    UpgradeShop,
+    CareerStats,
+    REPLAY_VERSION,
+    ShiftRecorder,
+    getRecordedUpgrades,
+    replayShift,
+    DEFAULT_GAMEPAD_CONFIG,
+    resolveGamepadConfig,
+    GamepadController,
+    TUTORIAL_CONDITIONS,
+    validateTutorial,
+    TutorialRunner,
+    loadPracticeBests,
+    PracticeSession
+} = core;
+
+export default core;
@@ -0,0 +1,129 @@
+/**
+ * Inventory - Ingredient stock for a shift
+ * Ingredients with a "stock" in menu.json are used up as they go into dishes
+ * and can be restocked for money; the delivery arrives after a delay on the
+ * game clock. Ingredients without a stock are unlimited.
+ *
+ * Events:
+ *   stockChanged (ingredientId, stock)
+ *   restockOrdered (ingredientId, cost)
+ *   restocked (ingredientId, stock)
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter } = core;
+
+const DEFAULT_RESTOCK_TIME = 8000; // Game ms until a delivery arrives
+const LOW_STOCK_SHARE = 0.25; // Warn at or below this share of the starting stock
+
+class Inventory extends EventEmitter {
+    constructor(dishSystem, clock) {
+        super();
+        this.dishSystem = dishSystem;
+        this.clock = clock;
+        this.stock = new Map(); // Ingredient id -> units left (tracked ingredients only)
+        this.pendingDeliveries = new Map(); // Ingredient id -> clock timer id
+        
+        this.reset();
+    }
+
+    // Refill every tracked ingredient to its starting stock and cancel deliveries
+    reset() {
+        for (const timerId of this.pendingDeliveries.values()) {
+            this.clock.clearTimeout(timerId);
+        }
+        this.pendingDeliveries.clear();
+        this.stock.clear();
+        
+        for (const ingredient of this.dishSystem.getAllIngredients()) {
+            if (ingredient.supply) {
+                this.stock.set(ingredient.id, ingredient.supply.stock);
+                this.emit('stockChanged', ingredient.id, ingredient.supply.stock);
+            }
+        }
+    }
+
+    isTracked(ingredientId) {
+        return this.stock.has(ingredientId);
+    }
+
+    getStock(ingredientId) {
+        return this.isTracked(ingredientId) ? this.stock.get(ingredientId) : Infinity;
+    }
+
+    hasStock(ingredientId) {
+        return this.getStock(ingredientId) > 0;
+    }
+
+    isLow(ingredientId) {
+        if (!this.isTracked(ingredientId)) return false;
+        
+        const { stock } = this.dishSystem.getIngredient(ingredientId).supply;
+        return this.getStock(ingredientId) <= Math.max(1, Math.floor(stock * LOW_STOCK_SHARE));
+    }
+
+    // Use one unit; false when the ingredient has run out
+    consume(ingredientId) {
+        if (!this.isTracked(ingredientId)) return true;
+        if (!this.hasStock(ingredientId)) return false;
+        
+        const remaining = this.stock.get(ingredientId) - 1;
+        this.stock.set(ingredientId, remaining);
+        this.emit('stockChanged', ingredientId, remaining);
+        return true;
+    }
+
+    isRestocking(ingredientId) {
+        return this.pendingDeliveries.has(ingredientId);
+    }
+
+    getRestockCost(ingredientId) {
+        const ingredient = this.dishSystem.getIngredient(ingredientId);
+        return ingredient && ingredient.supply ? ingredient.supply.restockCost : 0;
+    }
+
+    // Order a delivery; the caller pays getRestockCost(). False if one is already on its way.
+    restock(ingredientId) {
+        if (!this.isTracked(ingredientId) || this.isRestocking(ingredientId)) return false;
+        
+        const { supply } = this.dishSystem.getIngredient(ingredientId);
+        const amount = supply.restockAmount || supply.stock;
+        
+        const timerId = this.clock.setTimeout(() => {
+            this.pendingDeliveries.delete(ingredientId);
+            const stock = this.stock.get(ingredientId) + amount;
+            this.stock.set(ingredientId, stock);
+            
+            this.emit('stockChanged', ingredientId, stock);
+            this.emit('restocked', ingredientId, stock);
+        }, supply.restockTime || DEFAULT_RESTOCK_TIME);
+        
+        this.pendingDeliveries.set(ingredientId, timerId);
+        this.emit('restockOrdered', ingredientId, supply.restockCost);
+        return true;
+    }
+
+    // Required ingredients a prepared dish still needs but that are out of stock
+    getMissingIngredients(dish) {
+        return dish.ingredients
+            .filter(ing => ing.required && !(dish.currentIngredients && dish.currentIngredients.has(ing.id)))
+            .filter(ing => !this.hasStock(ing.id))
+            .map(ing => ing.id);
+    }
+
+    // Whether a fresh order of this dish could be made from current stock
+    canMakeDish(dish) {
+        return dish.ingredients.every(ing => !ing.required || this.hasStock(ing.id));
+    }
+}
+
+return { Inventory };
+}));
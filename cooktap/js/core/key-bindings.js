@@ -0,0 +1,278 @@
+/**
+ * Key Bindings - Resolves a dish's ingredient and tool keys into a conflict-free set
+ * Keys are claimed in recipe order (ingredients, then prep steps, then final
+ * steps). A key that is reserved for a general control or already claimed by
+ * something else in the same dish is deterministically remapped to a free key,
+ * trying the letters of the item's own name first.
+ *
+ * A KeyProfile holds the player's own choices on top of menu.json: new keys
+ * for the general controls and for any ingredient or tool. Dish keys then go
+ * through the same resolution, so a clash is still remapped rather than lost.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// General controls and their default keys (Delete and Backspace both clean, for Mac keyboards)
+const CONTROLS = [
+    ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => ({ id: `order${n}`, name: `Select Order ${n}`, keys: [String(n)] })),
+    { id: 'serve', name: 'Serve Dish', keys: ['space'] },
+    { id: 'retrieve', name: 'Retrieve Cooked Items', keys: ['enter'] },
+    { id: 'cancel', name: 'Cancel Current', keys: ['escape'] },
+    { id: 'clean', name: 'Clean Station', keys: ['backspace', 'delete'] }
+];
+
+// Keys the general controls use by default
+const RESERVED_KEYS = new Map(CONTROLS.flatMap(control => control.keys.map(key => [key, control.name])));
+
+// Keys that only modify others, or that the keyboard layout has not resolved
+const UNBINDABLE_KEYS = new Set(['shift', 'control', 'alt', 'altgraph', 'meta', 'os', 'capslock', 'dead', 'unidentified', 'process']);
+
+// Names for keys whose event.key is not what is printed on them
+const KEY_LABELS = {
+    space: 'Space', enter: 'Enter', escape: 'Esc', backspace: 'Backspace', delete: 'Delete', tab: 'Tab',
+    arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→'
+};
+
+// Remap candidates tried after the letters of the item's name
+const FALLBACK_KEYS = "abcdefghijklmnopqrstuvwxyz0,.;'[]/-=`\\";
+
+// Lower-case a key and give the space bar its menu.json name
+function normalizeKey(key) {
+    if (typeof key !== 'string' || key.length === 0) return null;
+    if (key === ' ') return 'space';
+    return key.toLowerCase();
+}
+
+function isReservedKey(key) {
+    return RESERVED_KEYS.has(normalizeKey(key));
+}
+
+// How a key is shown to the player
+function formatKey(key) {
+    const normalized = normalizeKey(key);
+    if (!normalized) return '?';
+    if (KEY_LABELS[normalized]) return KEY_LABELS[normalized];
+    return normalized.length === 1 ? normalized.toUpperCase() : normalized.charAt(0).toUpperCase() + normalized.slice(1);
+}
+
+// The order keys are claimed in: ingredients, their prep steps, then final steps
+function collectDishKeyEntries(dish, getIngredient) {
+    const entries = [];
+
+    dish.ingredients.forEach(ingredient => {
+        const ingredientData = getIngredient(ingredient.id);
+        if (ingredientData && ingredientData.key) {
+            entries.push({ type: 'ingredient', id: ingredient.id, name: ingredientData.name, key: ingredientData.key });
+        }
+    });
+
+    dish.ingredients.forEach(ingredient => {
+        (ingredient.prepSteps || []).forEach(step => {
+            if (step.key) {
+                entries.push({ type: 'tool', id: step.action, name: step.description, key: step.key, ingredientId: ingredient.id });
+            }
+        });
+    });
+
+    (dish.finalSteps || []).forEach(step => {
+        if (step.key) {
+            entries.push({ type: 'tool', id: step.action, name: step.description, key: step.key });
+        }
+    });
+
+    return entries;
+}
+
+function pickFallbackKey(entry, byKey, preferredKeys, reservedKeys) {
+    const nameLetters = (entry.name || entry.id).toLowerCase().replace(/[^a-z]/g, '');
+    const candidates = Array.from(new Set(nameLetters + FALLBACK_KEYS));
+
+    const isFree = key => !byKey.has(key) && !reservedKeys.has(key);
+
+    // Prefer keys nobody in this dish asked for, so later entries keep their own
+    return candidates.find(key => isFree(key) && !preferredKeys.has(key)) ||
+        candidates.find(isFree) ||
+        null;
+}
+
+/**
+ * Resolve key entries into bindings, keeping clear of the control keys in reservedKeys.
+ * Returns { byKey: Map<key, binding>, byTarget: Map<"type:id", key>, conflicts: [] }
+ * where a remapped binding carries remappedFrom and remapReason.
+ */
+function resolveKeyBindings(entries, reservedKeys = RESERVED_KEYS) {
+    const byKey = new Map();
+    const byTarget = new Map();
+    const conflicts = [];
+    const preferredKeys = new Set(entries.map(entry => normalizeKey(entry.key)));
+
+    for (const entry of entries) {
+        const key = normalizeKey(entry.key);
+        const target = `${entry.type}:${entry.id}`;
+        
+        // Space-bound steps (plating) are performed by the serve control itself
+        if (key === 'space' && entry.type === 'tool') continue;
+        
+        // The same tool used by several steps only needs one key
+        if (byTarget.has(target)) continue;
+        
+        let reason = null;
+        if (reservedKeys.has(key)) {
+            reason = `reserved for ${reservedKeys.get(key)}`;
+        } else if (byKey.has(key)) {
+            reason = `already bound to ${byKey.get(key).name}`;
+        }
+        
+        if (!reason) {
+            byKey.set(key, { ...entry, key });
+            byTarget.set(target, key);
+            continue;
+        }
+        
+        const remappedKey = pickFallbackKey(entry, byKey, preferredKeys, reservedKeys);
+        conflicts.push({ type: entry.type, id: entry.id, name: entry.name, key, remappedKey, reason });
+        
+        if (remappedKey) {
+            byKey.set(remappedKey, { ...entry, key: remappedKey, remappedFrom: key, remapReason: reason });
+            byTarget.set(target, remappedKey);
+        }
+    }
+
+    return { byKey, byTarget, conflicts };
+}
+
+/**
+ * The player's key choices: { control: { controlId: key }, ingredient: { id: key }, tool: { id: key } }.
+ * Anything not overridden keeps its default (CONTROLS, or the key in menu.json).
+ */
+class KeyProfile {
+    constructor(overrides = {}) {
+        this.overrides = { control: {}, ingredient: {}, tool: {} };
+        
+        // Saved profiles come from localStorage or a recording; drop anything malformed
+        for (const type of Object.keys(this.overrides)) {
+            for (const [id, key] of Object.entries((overrides && overrides[type]) || {})) {
+                if (this.checkKey(key).ok) {
+                    this.overrides[type][id] = normalizeKey(key);
+                }
+            }
+        }
+    }
+
+    getControl(controlId) {
+        return CONTROLS.find(control => control.id === controlId) || null;
+    }
+
+    getControlKeys(controlId) {
+        const override = this.overrides.control[controlId];
+        if (override) return [override];
+        
+        const control = this.getControl(controlId);
+        return control ? control.keys : [];
+    }
+
+    // The controls with the keys in effect, e.g. for a settings screen
+    getControls() {
+        return CONTROLS.map(control => ({
+            ...control,
+            keys: this.getControlKeys(control.id),
+            isCustom: this.isCustom('control', control.id)
+        }));
+    }
+
+    // Control id a key triggers, or null
+    getControlForKey(key) {
+        const normalized = normalizeKey(key);
+        const control = CONTROLS.find(candidate => this.getControlKeys(candidate.id).includes(normalized));
+        return control ? control.id : null;
+    }
+
+    // Keys shown to the player for a control, e.g. "Delete/Backspace"
+    getControlLabel(controlId) {
+        return this.getControlKeys(controlId).map(formatKey).join('/');
+    }
+
+    // Control keys in effect, in the shape resolveKeyBindings expects
+    getReservedKeys() {
+        return new Map(CONTROLS.flatMap(control => this.getControlKeys(control.id).map(key => [key, control.name])));
+    }
+
+    // Key for an ingredient or tool: the player's choice, else the menu's
+    getKey(type, id, defaultKey) {
+        return this.overrides[type][id] || defaultKey;
+    }
+
+    isCustom(type, id) {
+        return Boolean(this.overrides[type][id]);
+    }
+
+    // Whether a key can be bound at all: { ok, reason }
+    checkKey(key) {
+        const normalized = normalizeKey(key);
+        if (!normalized || UNBINDABLE_KEYS.has(normalized)) {
+            return { ok: false, reason: `${key || 'That key'} can't be bound` };
+        }
+        return { ok: true };
+    }
+
+    // Bind a control, ingredient or tool to a key; a key equal to the default clears the override
+    setKey(type, id, key, defaultKey) {
+        const check = this.checkKey(key);
+        if (!check.ok) return check;
+        
+        const normalized = normalizeKey(key);
+        if (type === 'control') {
+            const owner = this.getControlForKey(normalized);
+            if (owner && owner !== id) {
+                return { ok: false, reason: `${formatKey(normalized)} is already ${this.getControl(owner).name}` };
+            }
+            
+            const control = this.getControl(id);
+            defaultKey = control && control.keys.length === 1 ? control.keys[0] : null;
+        } else if (this.getControlForKey(normalized)) {
+            return { ok: false, reason: `${formatKey(normalized)} is ${this.getControl(this.getControlForKey(normalized)).name}` };
+        } else if (type === 'tool' && normalized === 'space') {
+            return { ok: false, reason: 'Space is kept for steps done while serving' };
+        }
+        
+        if (normalized === normalizeKey(defaultKey)) {
+            delete this.overrides[type][id];
+        } else {
+            this.overrides[type][id] = normalized;
+        }
+        return { ok: true };
+    }
+
+    resetKey(type, id) {
+        delete this.overrides[type][id];
+    }
+
+    resetAll() {
+        this.overrides = { control: {}, ingredient: {}, tool: {} };
+    }
+
+    // Put the player's keys on a dish's key entries; space-bound steps stay part of serving
+    applyTo(entries) {
+        return entries.map(entry => (normalizeKey(entry.key) === 'space' && entry.type === 'tool'
+            ? entry
+            : { ...entry, key: this.getKey(entry.type, entry.id, entry.key) }));
+    }
+
+    toJSON() {
+        return {
+            control: { ...this.overrides.control },
+            ingredient: { ...this.overrides.ingredient },
+            tool: { ...this.overrides.tool }
+        };
+    }
+}
+
+return { CONTROLS, RESERVED_KEYS, normalizeKey, isReservedKey, formatKey, collectDishKeyEntries, resolveKeyBindings, KeyProfile };
+}));
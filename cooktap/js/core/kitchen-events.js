@@ -0,0 +1,230 @@
+/**
+ * Kitchen Events - Breakdowns, rushes and inspections during a shift
+ * Events come from config/events.json: each one is scheduled at a fixed time
+ * into the shift, or picked at random (by weight) every so often. While an
+ * event runs it counts down on the game clock:
+ *
+ *   breakdown  - a cooking station takes no new items until it is repaired
+ *   rush       - orders come spawnRateMultiplier times as often
+ *   inspection - the inspector arrives when the countdown ends and fines
+ *                every station whose cleanliness is below the threshold
+ *
+ * Random picks draw from the kitchen's seeded generator, so a recorded shift
+ * replays with the same events.
+ *
+ * Events:
+ *   eventStarted (active)              - active: { event, startedAt, endsAt }
+ *   eventEnded (active)
+ *   inspected (result)                 - { event, dirtyStations: [{ id, name, cleanliness }], fine }
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter } = core;
+
+const EVENT_TYPES = ['breakdown', 'rush', 'inspection'];
+
+// Settings an event falls back to when config/events.json leaves them out
+const DEFAULT_RUSH_MULTIPLIER = 2;
+const DEFAULT_INSPECTION_THRESHOLD = 10;
+const DEFAULT_INSPECTION_FINE = 50;
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && value > 0;
+}
+
+// Throws on the first problem in an events config: { events, schedule, random }
+function validateEventConfig(config) {
+    if (!config || !Array.isArray(config.events) || config.events.length === 0) {
+        throw new Error('Kitchen events config needs a non-empty events array');
+    }
+
+    const ids = new Set();
+    config.events.forEach(event => {
+        if (!event || typeof event.id !== 'string' || !event.id) {
+            throw new Error('Every kitchen event needs an id');
+        }
+        if (ids.has(event.id)) {
+            throw new Error(`Duplicate kitchen event "${event.id}"`);
+        }
+        ids.add(event.id);
+        
+        if (!EVENT_TYPES.includes(event.type)) {
+            throw new Error(`Kitchen event "${event.id}" has unknown type "${event.type}" (expected ${EVENT_TYPES.join(', ')})`);
+        }
+        if (!isPositiveNumber(event.duration)) {
+            throw new Error(`Kitchen event "${event.id}" needs a positive duration in milliseconds`);
+        }
+        if (event.type === 'breakdown' && (typeof event.station !== 'string' || !event.station)) {
+            throw new Error(`Breakdown "${event.id}" needs a station`);
+        }
+        ['spawnRateMultiplier', 'fine'].forEach(field => {
+            if (event[field] !== undefined && !isPositiveNumber(event[field])) {
+                throw new Error(`Kitchen event "${event.id}" needs a positive ${field}`);
+            }
+        });
+        if (event.weight !== undefined && !(typeof event.weight === 'number' && event.weight >= 0)) {
+            throw new Error(`Kitchen event "${event.id}" needs a weight of 0 or more (0 = scheduled only)`);
+        }
+        if (event.threshold !== undefined && typeof event.threshold !== 'number') {
+            throw new Error(`Inspection "${event.id}" needs a numeric threshold`);
+        }
+    });
+
+    (config.schedule || []).forEach(entry => {
+        if (!ids.has(entry.event)) {
+            throw new Error(`Scheduled kitchen event "${entry.event}" is not in the events list`);
+        }
+        if (typeof entry.at !== 'number' || entry.at < 0) {
+            throw new Error(`Scheduled kitchen event "${entry.event}" needs a time (at, ms into the shift)`);
+        }
+    });
+
+    const { random } = config;
+    if (random && !(isPositiveNumber(random.minGap) && isPositiveNumber(random.maxGap) && random.minGap <= random.maxGap)) {
+        throw new Error('Random kitchen events need a positive minGap <= maxGap');
+    }
+    return config;
+}
+
+class KitchenEvents extends EventEmitter {
+    constructor(stationManager, orderSystem, clock, random) {
+        super();
+        this.stationManager = stationManager;
+        this.orderSystem = orderSystem;
+        this.clock = clock;
+        this.random = random; // The kitchen's seeded generator
+        this.config = null; // Validated config, or null for a kitchen without events
+        this.active = []; // Running events: { event, startedAt, endsAt, timer }
+        this.timers = []; // Pending scheduled and random starts
+    }
+
+    // Use another events config from the next shift on (null = no events)
+    setConfig(config) {
+        this.config = config ? validateEventConfig(config) : null;
+    }
+
+    getEvent(eventId) {
+        return this.config ? this.config.events.find(event => event.id === eventId) || null : null;
+    }
+
+    // Schedule the shift's events; call once the shift has started
+    start() {
+        this.stop();
+        if (!this.config) return;
+        
+        (this.config.schedule || []).forEach(entry => {
+            this.timers.push(this.clock.setTimeout(() => this.trigger(entry.event), entry.at));
+        });
+        if (this.config.random) {
+            this.scheduleRandom(this.config.random.firstAfter);
+        }
+    }
+
+    // End whatever is running early and drop everything still to come
+    stop() {
+        this.timers.forEach(timer => this.clock.clearTimeout(timer));
+        this.timers = [];
+        this.active.slice().forEach(active => this.end(active, false));
+    }
+
+    // The next random event comes between minGap and maxGap after the last (or firstAfter into the shift)
+    scheduleRandom(delay) {
+        const { minGap, maxGap } = this.config.random;
+        const wait = delay !== undefined ? delay : minGap + this.random.next() * (maxGap - minGap);
+        
+        const timer = this.clock.setTimeout(() => {
+            this.timers = this.timers.filter(pending => pending !== timer);
+            const candidates = this.config.events.filter(event => event.weight !== 0 && this.canStart(event));
+            if (candidates.length > 0) {
+                this.trigger(this.random.pickWeighted(candidates, event => event.weight || 1).id);
+            }
+            this.scheduleRandom();
+        }, Math.round(wait));
+        this.timers.push(timer);
+    }
+
+    // An event can't run twice at once, and a breakdown needs a working cooking station
+    canStart(event) {
+        if (this.active.some(active => active.event.id === event.id)) return false;
+        if (event.type !== 'breakdown') return true;
+        
+        const station = this.stationManager.getStation(event.station);
+        return Boolean(station && station.id !== 'prep' && !station.isBroken);
+    }
+
+    // Start an event now; returns the running event, or null if it can't start
+    trigger(eventId) {
+        const event = this.getEvent(eventId);
+        if (!event || !this.canStart(event)) return null;
+        
+        const now = this.clock.now();
+        const active = { event, startedAt: now, endsAt: now + event.duration, timer: null };
+        active.timer = this.clock.setTimeout(() => this.end(active, true), event.duration);
+        this.active.push(active);
+        
+        if (event.type === 'breakdown') {
+            this.stationManager.setStationBroken(event.station, true);
+        } else if (event.type === 'rush') {
+            this.orderSystem.setSpawnRateMultiplier(event.spawnRateMultiplier || DEFAULT_RUSH_MULTIPLIER);
+        }
+        
+        console.log(`Kitchen event: ${event.name || event.id} for ${event.duration / 1000}s`);
+        this.emit('eventStarted', active);
+        return active;
+    }
+
+    // Undo an event's effect; an inspection only inspects if its countdown ran out
+    end(active, finished) {
+        if (!this.active.includes(active)) return;
+        
+        this.clock.clearTimeout(active.timer);
+        this.active = this.active.filter(running => running !== active);
+        
+        const { event } = active;
+        if (event.type === 'breakdown') {
+            this.stationManager.setStationBroken(event.station, false);
+        } else if (event.type === 'rush' && !this.active.some(running => running.event.type === 'rush')) {
+            this.orderSystem.setSpawnRateMultiplier(1);
+        } else if (event.type === 'inspection' && finished) {
+            this.inspect(event);
+        }
+        
+        this.emit('eventEnded', active);
+    }
+
+    // Fine each station below the inspection's cleanliness threshold
+    inspect(event) {
+        const threshold = event.threshold !== undefined ? event.threshold : DEFAULT_INSPECTION_THRESHOLD;
+        const dirtyStations = this.stationManager.getAllStations()
+            .filter(station => station.currentCleanliness !== null && station.currentCleanliness < threshold)
+            .map(station => ({ id: station.id, name: station.name, cleanliness: station.currentCleanliness }));
+        
+        const fine = dirtyStations.length * (event.fine || DEFAULT_INSPECTION_FINE);
+        if (fine > 0) {
+            this.orderSystem.chargeFine(fine);
+        }
+        
+        console.log(`Inspection: ${dirtyStations.length} dirty station(s), fined ${fine}`);
+        this.emit('inspected', { event, dirtyStations, fine });
+    }
+
+    getActiveEvents() {
+        return this.active.slice();
+    }
+
+    // Seconds left on a running event's countdown
+    getTimeLeft(active) {
+        return Math.max(0, Math.ceil((active.endsAt - this.clock.now()) / 1000));
+    }
+}
+
+return { EVENT_TYPES, validateEventConfig, KitchenEvents };
+}));
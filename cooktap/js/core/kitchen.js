@@ -0,0 +1,698 @@
+/**
+ * Kitchen - DOM-free game rules for a shift
+ * Wires orders, recipes, stations and scoring together on one game clock.
+ * The browser game and headless Node simulations both drive a shift through
+ * this API; renderers subscribe to its events.
+ *
+ * Events:
+ *   gameTimeChanged (seconds)
+ *   dishUpdated (dish)                 - the selected order's dish changed
+ *   orderServed (order)
+ *   itemBurnt (station, item)          - the item's dish must redo that step
+ *   itemSpoiled (item)                 - a held item went past its freshness window
+ *   feedback (label, success)          - outcome of a player action
+ *   stateChanged ({ isRunning, hasStarted, isClosed })
+ *   shiftStarted (seed)                - a fresh shift began with this random seed
+ *   input ({ time, key, shift } | { time, action, args }) - a player input, before it is applied
+ *   inputRejected (input)              - a player input that did nothing (a wrong key)
+ *   shiftClosed (stats)                - closing time was reached; play has stopped
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./event-emitter'),
+            require('./game-clock'),
+            require('./order-system'),
+            require('./cooking-stations'),
+            require('./inventory'),
+            require('./holding-station'),
+            require('./order-modifiers'),
+            require('./key-bindings'),
+            require('./random'),
+            require('./difficulty'),
+            require('./kitchen-events')
+        ));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const {
+    EventEmitter, GameClock, OrderSystem, CookingStationManager, Inventory, HoldingStation, getPrepActions, getUnmetModifiers,
+    getDonenessMiss, normalizeKey, KeyProfile, SeededRandom, generateSeed, DifficultyDirector, DEFAULT_PRESET, KitchenEvents
+} = core;
+
+// Actions a click, tap or drag can trigger through handleInput (keys go through handleKey)
+const PLAYER_ACTIONS = ['selectOrder', 'restock', 'retrieveItem', 'holdItem', 'cleanStation'];
+
+class Kitchen extends EventEmitter {
+    // options: { clock, upgrades (an UpgradeShop), customers (a CustomerRoster), seed, difficulty (a preset),
+    //            events (config/events.json's contents) }
+    constructor(dishSystem, options = {}) {
+        super();
+        this.dishSystem = dishSystem;
+        this.clock = options.clock || new GameClock();
+        
+        // Every shift is reseeded when it starts: from a fixed seed, or a fresh one each time
+        this.fixedSeed = options.seed !== undefined ? options.seed : null;
+        this.random = new SeededRandom();
+        
+        this.stationManager = new CookingStationManager(this.dishSystem, this.clock, options.upgrades || null);
+        this.inventory = new Inventory(this.dishSystem, this.clock);
+        this.holdingStation = dishSystem.holdingStation ? new HoldingStation(dishSystem.holdingStation, this.clock) : null;
+        this.orderSystem = new OrderSystem(this.dishSystem, this.clock, this.inventory, options.customers || null, this.random);
+        this.director = new DifficultyDirector(this.orderSystem, options.difficulty || DEFAULT_PRESET);
+        this.events = new KitchenEvents(this.stationManager, this.orderSystem, this.clock, this.random);
+        this.events.setConfig(options.events || null);
+        
+        this.isRunning = false;
+        this.hasStarted = false;
+        this.isClosed = false;
+        this.gameTime = 0;
+        this.gameTimer = null;
+        this.burntItems = 0;
+        this.cleanings = 0; // Stations cleaned this shift, by hand or automatically
+        
+        // Optional shift limits: { dishIds, duration (game-clock ms), autoSpawn, events }; none = endless
+        this.shift = { dishIds: null, duration: null, autoSpawn: true, events: true };
+        
+        this.stationManager.on('itemBurnt', (station, slotIndex, item) => this.handleBurntItem(station, item));
+        this.orderSystem.on('orderExpired', order => this.handleExpiredOrder(order));
+        this.stationManager.on('cleaningStarted', () => this.cleanings++);
+        if (this.holdingStation) {
+            this.holdingStation.on('itemSpoiled', (slotIndex, item) => this.handleSpoiledItem(item));
+        }
+    }
+
+    // Start a fresh shift
+    start() {
+        if (this.isRunning) return false;
+        
+        // A paused shift picks up exactly where it stopped
+        if (this.hasStarted) {
+            return this.resume();
+        }
+        
+        this.isRunning = true;
+        this.hasStarted = true;
+        this.isClosed = false;
+        this.gameTime = 0;
+        this.burntItems = 0;
+        this.cleanings = 0;
+        this.inventory.reset();
+        if (this.holdingStation) this.holdingStation.reset();
+        this.director.reset();
+        this.random.reset(this.fixedSeed !== null ? this.fixedSeed : generateSeed());
+        
+        // Scheduled first so closing wins over an order due at the same moment
+        if (this.shift.duration) {
+            this.clock.setTimeout(() => this.close(), this.shift.duration);
+        }
+        
+        this.orderSystem.setMenu(this.shift.dishIds);
+        this.orderSystem.start(this.shift.autoSpawn);
+        if (this.shift.events) {
+            this.events.start();
+        }
+        
+        // Count game time in game-clock seconds
+        this.gameTimer = this.clock.setInterval(() => {
+            this.gameTime = Math.floor(this.clock.now() / 1000);
+            this.emit('gameTimeChanged', this.gameTime);
+        }, 1000);
+        this.clock.start();
+        
+        this.emit('shiftStarted', this.random.seed);
+        this.emitState();
+        return true;
+    }
+
+    resume() {
+        if (this.isRunning || !this.hasStarted || this.isClosed) return false;
+        
+        this.isRunning = true;
+        
+        // Unfreeze orders, cooking and cleaning together
+        this.clock.resume();
+        
+        this.emitState();
+        return true;
+    }
+
+    pause() {
+        if (!this.isRunning) return false;
+        
+        this.isRunning = false;
+        
+        // Freezing the clock freezes order timers, cooking slots and cleaning
+        this.clock.pause();
+        
+        this.emitState();
+        return true;
+    }
+
+    reset() {
+        this.pause();
+        
+        this.orderSystem.stop();
+        this.events.stop();
+        this.orderSystem.clearAllOrders();
+        this.stationManager.clearCurrentDish();
+        this.stationManager.resetStations();
+        this.inventory.reset();
+        if (this.holdingStation) this.holdingStation.reset();
+        
+        // Rewind the clock, dropping every pending timer
+        this.clock.reset();
+        this.gameTimer = null;
+        this.hasStarted = false;
+        this.isClosed = false;
+        this.gameTime = 0;
+        this.burntItems = 0;
+        this.cleanings = 0;
+        
+        this.emit('gameTimeChanged', this.gameTime);
+        this.emitState();
+    }
+
+    // Pick up a menu the dish system has just reloaded: stations and stock start over
+    reloadMenu() {
+        this.reset();
+        this.stationManager.applyUpgrades();
+        this.inventory.reset();
+        
+        if (this.holdingStation && this.dishSystem.holdingStation) {
+            this.holdingStation.configure(this.dishSystem.holdingStation);
+            this.holdingStation.reset();
+        } else if (Boolean(this.holdingStation) !== Boolean(this.dishSystem.holdingStation)) {
+            console.warn('Adding or removing the holding station takes effect after a page reload');
+        }
+    }
+
+    // Seed for the shifts that follow (null = a fresh random seed every shift)
+    setSeed(seed) {
+        this.fixedSeed = seed;
+    }
+
+    // Difficulty preset for the shifts that follow
+    setDifficulty(preset) {
+        this.director.setPreset(preset || DEFAULT_PRESET);
+    }
+
+    // Kitchen events config for the shifts that follow (null = no events)
+    setEvents(config) {
+        this.events.setConfig(config);
+    }
+
+    // The player's key choices (KeyProfile overrides); none = the menu's keys and default controls
+    setKeyBindings(overrides) {
+        this.dishSystem.setKeyProfile(new KeyProfile(overrides || {}));
+    }
+
+    // Limit the next shift to some dishes and a length in game-clock ms (null = no limit).
+    // Without autoSpawn no orders come in by themselves (a tutorial spawns its own), and
+    // without events no breakdowns, rushes or inspections happen.
+    configureShift({ dishIds = null, duration = null, autoSpawn = true, events = true } = {}) {
+        this.shift = { dishIds, duration, autoSpawn, events };
+    }
+
+    // Closing time: stop taking orders and freeze the kitchen for the end-of-day report
+    close() {
+        if (this.isClosed || !this.hasStarted) return false;
+        
+        this.gameTime = Math.floor(this.clock.now() / 1000);
+        this.orderSystem.stop();
+        this.events.stop();
+        this.pause();
+        this.isClosed = true;
+        
+        console.log('Kitchen closed for the day');
+        this.emitState();
+        this.emit('shiftClosed', this.getStats());
+        return true;
+    }
+
+    emitState() {
+        this.emit('stateChanged', { isRunning: this.isRunning, hasStarted: this.hasStarted, isClosed: this.isClosed });
+    }
+
+    // Speed up or slow down the whole kitchen (1 = real time)
+    setTimeScale(scale) {
+        this.clock.setTimeScale(scale);
+    }
+
+    getActiveOrder() {
+        return this.orderSystem.getActiveOrder();
+    }
+
+    // Every player input comes through here, so a shift can be recorded and replayed.
+    // input: { key, shift } for a key press, or { action, args } for a click
+    handleInput(input) {
+        if (!this.isRunning) return false;
+        if (input.action && !PLAYER_ACTIONS.includes(input.action)) return false;
+        
+        this.emit('input', { time: this.clock.now(), ...input });
+        
+        const handled = input.action
+            ? this[input.action](...(input.args || []))
+            : this.handleKey(input.key, input.shift);
+        if (!handled) {
+            this.emit('inputRejected', input);
+        }
+        return handled;
+    }
+
+    // What a key does: the general controls, then the selected dish's own bindings
+    handleKey(key, shift = false) {
+        const normalized = normalizeKey(key);
+        const control = this.dishSystem.keyProfile.getControlForKey(normalized);
+        
+        if (control === 'cancel') return this.cancelCurrentDish();
+        if (control === 'serve') return this.serveDish();
+        if (control === 'retrieve') return shift ? this.holdCookedItems() : this.retrieveCookedItems();
+        if (control === 'clean') return this.cleanStation();
+        
+        // order1-order9 select orders by their place in the queue
+        const orderSlot = /^order([1-9])$/.exec(control);
+        if (orderSlot) {
+            const order = this.orderSystem.getActiveOrders()[Number(orderSlot[1]) - 1];
+            return order ? this.selectOrder(order.id) : false;
+        }
+        
+        const activeOrder = this.getActiveOrder();
+        if (!activeOrder) return false;
+        
+        const mapping = this.dishSystem.getDishKeyMappings(activeOrder.dish).get(normalized);
+        if (!mapping) {
+            console.log(`No mapping found for key: ${normalized}`);
+            return false;
+        }
+        
+        // Shift + an ingredient's key orders more of it
+        if (mapping.type === 'ingredient') {
+            return shift ? this.restock(mapping.id) : this.addIngredient(activeOrder.dish, mapping.id);
+        }
+        return this.useTool(activeOrder.dish, mapping.id);
+    }
+
+    // Select an order to work on
+    selectOrder(orderId) {
+        const order = this.orderSystem.selectOrder(orderId);
+        if (!order) return false;
+        
+        // Set up cooking station for this order's own dish
+        this.stationManager.setActiveDish(order.dish);
+        this.emit('dishUpdated', order.dish);
+        
+        console.log(`Selected order: ${order.dishName}`);
+        return true;
+    }
+
+    // Add ingredient to a prepared dish, using up one unit of stock (or a held one, already cooked)
+    addIngredient(dish, ingredientId) {
+        const ingredient = this.dishSystem.getIngredient(ingredientId);
+        
+        if (dish && !dish.currentIngredients.has(ingredientId) && this.takeHeldIngredient(dish, ingredientId)) {
+            return true;
+        }
+        
+        // A first portion, or the second one of a 'double' request, uses up stock
+        const needsStock = dish && (!dish.currentIngredients.has(ingredientId) || this.dishSystem.canDoubleIngredient(dish, ingredientId));
+        if (needsStock && !this.inventory.hasStock(ingredientId)) {
+            console.log(`Out of stock: ${ingredientId}`);
+            this.emit('feedback', 'Out of stock', false);
+            return false;
+        }
+        
+        const success = this.dishSystem.addIngredientToDish(dish, ingredientId);
+        
+        if (success) {
+            this.inventory.consume(ingredientId);
+            
+            if (ingredient) {
+                this.emit('feedback', this.dishSystem.getKeyFor(dish, 'ingredient', ingredientId) || ingredient.key, true);
+                console.log(`Added ingredient: ${ingredient.name}`);
+            }
+        } else {
+            console.log(`Failed to add ingredient: ${ingredientId}`);
+            this.emit('feedback', 'invalid', false);
+        }
+        
+        this.emit('dishUpdated', dish);
+        return success;
+    }
+
+    // Use tool on a prepared dish
+    useTool(dish, toolId) {
+        if (!dish) {
+            console.log('No prepared dish to use tool on');
+            return false;
+        }
+        
+        const tool = this.dishSystem.getTool(toolId);
+        if (!tool) {
+            console.log(`Tool not found: ${toolId}`);
+            return false;
+        }
+        
+        // A step that cooks on a broken station has to wait for the repair
+        const brokenStation = this.getBrokenStationFor(dish, toolId);
+        if (brokenStation) {
+            console.log(`${brokenStation.name} is out of order`);
+            this.emit('feedback', 'Out of order', false);
+            return false;
+        }
+        
+        console.log(`Using tool ${toolId} (${tool.name}) on dish ${dish.id}`);
+        
+        const success = this.dishSystem.useToolOnDish(dish, toolId);
+        const key = this.dishSystem.getKeyFor(dish, 'tool', toolId) || tool.key;
+        
+        if (success) {
+            this.emit('feedback', key, true);
+            console.log(`Successfully used tool: ${tool.name}`);
+            this.startCookingForStep(dish, toolId);
+        } else {
+            this.emit('feedback', key, false);
+            console.log(`Failed to use tool: ${tool.name}`);
+        }
+        
+        this.emit('dishUpdated', dish);
+        return success;
+    }
+
+    // Order more of an ingredient, paid for out of the shift's earnings
+    restock(ingredientId) {
+        const ingredient = this.dishSystem.getIngredient(ingredientId);
+        if (!this.isRunning || !ingredient || !this.inventory.restock(ingredientId)) {
+            this.emit('feedback', 'Restock', false);
+            return false;
+        }
+        
+        this.orderSystem.chargeExpense(this.inventory.getRestockCost(ingredientId));
+        this.emit('feedback', 'Restock', true);
+        console.log(`Restocking ${ingredient.name} for ${this.inventory.getRestockCost(ingredientId)}`);
+        return true;
+    }
+
+    // The broken station the tool's next step on this dish would cook on, if any
+    getBrokenStationFor(dish, toolId) {
+        const steps = dish.ingredients
+            .filter(ingredient => dish.currentIngredients.has(ingredient.id))
+            .map(ingredient => {
+                const state = dish.ingredientStates.get(ingredient.id);
+                return state && !state.isReady && ingredient.prepSteps[state.prepStepsCompleted];
+            });
+        if (dish.finalSteps) {
+            steps.push(dish.finalSteps[dish.finalStepsProgress]);
+        }
+        
+        const step = steps.find(candidate => candidate && candidate.action === toolId && candidate.station);
+        const station = step && this.stationManager.getStation(step.station);
+        return station && station.isBroken ? station : null;
+    }
+
+    // Move the step that was just completed onto its cooking station, if it needs one
+    startCookingForStep(dish, toolId) {
+        // First check ingredient prep steps
+        for (const ingredient of dish.ingredients) {
+            if (!dish.currentIngredients.has(ingredient.id)) continue;
+            
+            const ingredientState = dish.ingredientStates.get(ingredient.id);
+            if (!ingredientState || ingredientState.isReady) continue;
+            
+            // Check if we just completed a prep step that requires a cooking station
+            const completedStep = ingredient.prepSteps && ingredient.prepSteps[ingredientState.prepStepsCompleted - 1];
+            if (completedStep && completedStep.action === toolId && completedStep.station && completedStep.station !== 'prep') {
+                // Switch to cooking station and start cooking
+                this.stationManager.setActiveDish(dish, completedStep.station);
+                this.stationManager.handleCookingAction(toolId, ingredient.id);
+                
+                console.log(`Started cooking: ${toolId} on ${completedStep.station} station`);
+                return true;
+            }
+        }
+        
+        // Then check final steps (for things like baking pizza)
+        if (dish.finalSteps && dish.finalStepsProgress < dish.finalSteps.length) {
+            const currentFinalStep = dish.finalSteps[dish.finalStepsProgress - 1]; // We just completed this step
+            
+            if (currentFinalStep && currentFinalStep.action === toolId && currentFinalStep.station && currentFinalStep.station !== 'prep') {
+                // Switch to cooking station and start cooking
+                this.stationManager.setActiveDish(dish, currentFinalStep.station);
+                this.stationManager.handleCookingAction(toolId, dish.id);
+                
+                console.log(`Started cooking final step: ${toolId} on ${currentFinalStep.station} station`);
+                return true;
+            }
+        }
+        
+        return false;
+    }
+
+    // Serve the selected order's dish
+    serveDish() {
+        const activeOrder = this.orderSystem.getActiveOrder();
+        if (!activeOrder) {
+            console.log('No active order to serve');
+            return false;
+        }
+        
+        const dish = activeOrder.dish;
+        if (!dish) return false;
+        
+        // Check if dish is valid and ready
+        const isValid = this.dishSystem.isDishValid(dish);
+        
+        if (!isValid) {
+            console.log('Dish is missing required ingredients');
+            this.emit('feedback', 'space', false);
+            return false;
+        }
+        
+        // Complete the order; overcooked items, ignored requests and missed doneness cost rating
+        this.orderSystem.completeOrder(activeOrder.id, isValid, {
+            overcookedItems: dish.overcookedItems.length,
+            unmetModifiers: getUnmetModifiers(dish, activeOrder.modifiers),
+            donenessMisses: activeOrder.modifiers
+                .filter(modifier => modifier.type === 'doneness')
+                .reduce((total, modifier) => total + getDonenessMiss(dish, modifier), 0)
+        });
+        
+        // The served order's dish is gone, so nothing should keep cooking for it
+        this.stationManager.discardItemsForDish(dish);
+        this.stationManager.clearCurrentDish();
+        
+        this.emit('orderServed', activeOrder);
+        console.log(`Served dish: ${activeOrder.dishName} (${activeOrder.rating})`);
+        return true;
+    }
+
+    // Cancel the selected order's dish
+    cancelCurrentDish() {
+        const activeOrder = this.orderSystem.getActiveOrder();
+        if (!activeOrder) return false;
+        
+        // Reset only this order's dish and whatever was cooking for it
+        this.dishSystem.resetDish(activeOrder.dish);
+        this.stationManager.discardItemsForDish(activeOrder.dish);
+        this.stationManager.clearCurrentDish();
+        this.orderSystem.deselectOrder(activeOrder.id);
+        
+        console.log('Cancelled current dish');
+        return true;
+    }
+
+    // An expired order's dish is gone like a served one, so nothing should keep cooking for it
+    handleExpiredOrder(order) {
+        this.stationManager.discardItemsForDish(order.dish);
+        if (this.stationManager.currentDish === order.dish) {
+            this.stationManager.clearCurrentDish();
+        }
+    }
+
+    // Retrieve cooked items for the selected order from the stations
+    retrieveCookedItems(only = () => true) {
+        const activeOrder = this.orderSystem.getActiveOrder();
+        if (!activeOrder) {
+            console.log('No active order to retrieve items for');
+            return false;
+        }
+        
+        const dish = activeOrder.dish;
+        if (!dish) {
+            console.log(`No prepared dish for order: ${activeOrder.id}`);
+            return false;
+        }
+        
+        // Only pull items that were cooked for this order's dish
+        const readyItems = this.stationManager.getReadyItems(dish).filter(only);
+        
+        if (readyItems.length === 0) {
+            console.log('No cooked items ready to retrieve');
+            return false;
+        }
+        
+        // Retrieve all ready items
+        let retrieved = 0;
+        readyItems.forEach(({stationId, slotIndex, item}) => {
+            const success = this.stationManager.removeCookedItem(stationId, slotIndex);
+            if (success) {
+                retrieved++;
+                console.log(`Retrieved ${item.name} from ${stationId} station`);
+                
+                if (item.doneness === 'overcooked') {
+                    dish.overcookedItems.push(item.name);
+                }
+                if (item.ingredient && item.zone) {
+                    dish.cookedDoneness.set(item.ingredient, item.zone);
+                }
+                
+                // Mark the ingredient as ready in the dish, OR mark dish as complete for final steps
+                if (item.ingredient) {
+                    // This is an ingredient that was cooking (like pasta, chicken)
+                    const ingredientState = dish.ingredientStates.get(item.ingredient);
+                    if (ingredientState) {
+                        ingredientState.isReady = true;
+                        console.log(`Marked ingredient ${item.ingredient} as ready`);
+                    }
+                } else if (item.name === dish.name || item.action) {
+                    // This is a final step cooking (like baking pizza)
+                    if (dish.finalSteps && dish.finalStepsProgress === dish.finalSteps.length) {
+                        dish.isComplete = true;
+                        console.log(`Marked dish ${dish.name} as complete after retrieving from cooking`);
+                    }
+                }
+            }
+        });
+        
+        if (retrieved > 0) {
+            this.emit('feedback', this.dishSystem.keyProfile.getControlLabel('retrieve'), true);
+            console.log(`Retrieved ${retrieved} cooked items`);
+            
+            // Switch back to prep station so user can continue assembly
+            this.stationManager.setActiveDish(dish, 'prep');
+            this.emit('dishUpdated', dish);
+        }
+        
+        return retrieved > 0;
+    }
+
+    // Move the selected order's cooked ingredients to the holding station for a later order.
+    // The dish gives the ingredient up and can add (or take) another one.
+    holdCookedItems(only = () => true) {
+        const activeOrder = this.orderSystem.getActiveOrder();
+        if (!this.holdingStation || !activeOrder) {
+            this.emit('feedback', 'Hold', false);
+            return false;
+        }
+        
+        const dish = activeOrder.dish;
+        
+        // Whole dishes (like a baked pizza) are served, not held
+        const readyItems = this.stationManager.getReadyItems(dish).filter(ready => ready.item.ingredient && only(ready));
+        
+        let held = 0;
+        readyItems.forEach(({ stationId, slotIndex, item }) => {
+            if (!this.holdingStation.hasFreeSlot()) return;
+            
+            const ingredientConfig = dish.ingredients.find(ing => ing.id === item.ingredient);
+            if (!this.stationManager.removeCookedItem(stationId, slotIndex)) return;
+            
+            this.holdingStation.hold(item, getPrepActions(ingredientConfig, item.stepIndex));
+            this.dishSystem.removeIngredientFromDish(dish, item.ingredient);
+            held++;
+            console.log(`Moved ${item.name} from ${stationId} station to the holding station`);
+        });
+        
+        this.emit('feedback', 'Hold', held > 0);
+        if (held > 0) {
+            this.stationManager.setActiveDish(dish, 'prep');
+            this.emit('dishUpdated', dish);
+        }
+        
+        return held > 0;
+    }
+
+    // Retrieve or hold just the item in one station slot (dragging it from the slot)
+    retrieveItem(stationId, slotIndex) {
+        return this.retrieveCookedItems(ready => ready.stationId === stationId && ready.slotIndex === slotIndex);
+    }
+
+    holdItem(stationId, slotIndex) {
+        return this.holdCookedItems(ready => ready.stationId === stationId && ready.slotIndex === slotIndex);
+    }
+
+    // Use a held ingredient prepared the way this dish needs it, if there is one
+    takeHeldIngredient(dish, ingredientId) {
+        const ingredientConfig = dish.ingredients.find(ing => ing.id === ingredientId);
+        if (!this.holdingStation || !ingredientConfig) return false;
+        
+        const slotIndex = this.holdingStation.findMatch(ingredientConfig);
+        if (slotIndex === -1) return false;
+        
+        const item = this.holdingStation.take(slotIndex);
+        this.dishSystem.addPreparedIngredientToDish(dish, ingredientId, item.prepActions.length);
+        if (item.doneness === 'overcooked') {
+            dish.overcookedItems.push(item.name);
+        }
+        if (item.zone) {
+            dish.cookedDoneness.set(ingredientId, item.zone);
+        }
+        
+        this.emit('feedback', 'Held', true);
+        this.emit('dishUpdated', dish);
+        console.log(`Took ${item.name} from the holding station`);
+        return true;
+    }
+
+    // A held item past its freshness window is thrown out
+    handleSpoiledItem(item) {
+        this.emit('itemSpoiled', item);
+        this.emit('feedback', 'Spoiled', false);
+        console.log(`${item.name} spoiled in the holding station`);
+    }
+
+    // A burnt item is gone, so its dish goes back to the step that cooked it
+    handleBurntItem(station, item) {
+        const dish = item.dish;
+        this.burntItems++;
+        this.dishSystem.restartStep(dish, item.ingredient, item.stepIndex);
+        
+        this.emit('itemBurnt', station, item);
+        this.emit('feedback', 'Burnt', false);
+        console.log(`${item.name} burnt on ${station.name}; redo: ${item.action}`);
+        
+        const activeOrder = this.getActiveOrder();
+        if (activeOrder && activeOrder.dish === dish) {
+            this.emit('dishUpdated', dish);
+        }
+    }
+
+    // Clean the active station, or the one tapped
+    cleanStation(stationId = null) {
+        const station = stationId && this.stationManager.getStation(stationId);
+        const success = stationId
+            ? Boolean(station && station.startCleaning())
+            : this.stationManager.cleanCurrentStation();
+        
+        this.emit('feedback', 'Clean', success);
+        console.log(success ? 'Started cleaning station...' : 'Cannot clean station');
+        
+        return success;
+    }
+
+    // Get shift statistics
+    getStats() {
+        return {
+            gameTime: this.gameTime,
+            burntItems: this.burntItems,
+            ...this.orderSystem.getStats()
+        };
+    }
+}
+
+return { Kitchen };
+}));
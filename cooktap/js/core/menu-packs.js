@@ -0,0 +1,160 @@
+/**
+ * Menu Packs - The restaurants a shift can be played in
+ * A pack is a menu in menu.json's format with pack info on top: an id, a
+ * name, an icon, a description and theme colors. The built-in packs are the
+ * menus listed in config/packs.json. Players can import more from JSON files;
+ * those are checked with the menu validator and saved, along with the chosen
+ * pack, through any localStorage-like object passed in.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./menu-validator'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { validateMenu, MenuValidationError } = core;
+
+const IMPORTED_KEY = 'cookTap.menuPacks';
+const SELECTED_KEY = 'cookTap.menuPack';
+
+// Paths (in the validator's notation) of every text in a pack that holds HTML markup
+function findMarkup(value, path = '') {
+    if (typeof value === 'string') {
+        return /[<>]/.test(value) ? [path || '$'] : [];
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap((item, index) => findMarkup(item, `${path}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => findMarkup(item, path ? `${path}.${key}` : key));
+    }
+    return [];
+}
+
+// A pack must be a valid menu that also says which restaurant it is. Names from
+// a shared file end up on the page, so no text in it may carry markup.
+function validatePack(pack) {
+    const report = validateMenu(pack);
+    const error = (path, message) => {
+        report.errors.push({ path, message, severity: 'error' });
+        report.isValid = false;
+    };
+
+    if (pack && typeof pack === 'object' && pack.pack === undefined) {
+        error('pack', 'a menu pack needs pack info: { "id", "name" }');
+    }
+    findMarkup(pack).forEach(path => error(path, 'text may not contain < or >'));
+    return report;
+}
+
+class MenuPackLibrary {
+    // builtIn: the menus listed in config/packs.json, the first being the default
+    constructor(builtIn, storage = null) {
+        if (!Array.isArray(builtIn) || builtIn.length === 0) {
+            throw new Error('Menu packs need at least one built-in pack');
+        }
+        
+        const ids = new Set();
+        builtIn.forEach(menu => {
+            const id = menu && menu.pack && menu.pack.id;
+            if (!id) {
+                throw new Error('Every built-in menu pack needs pack info with an id');
+            }
+            if (ids.has(id)) {
+                throw new Error(`Duplicate menu pack "${id}"`);
+            }
+            ids.add(id);
+        });
+        
+        this.builtIn = builtIn;
+        this.storage = storage;
+        this.imported = this.loadImported();
+        this.selectedId = storage ? storage.getItem(SELECTED_KEY) : null;
+    }
+
+    getPacks() {
+        return [...this.builtIn, ...this.imported];
+    }
+
+    getPack(packId) {
+        return this.getPacks().find(menu => menu.pack.id === packId) || null;
+    }
+
+    isImported(packId) {
+        return this.imported.some(menu => menu.pack.id === packId);
+    }
+
+    // The chosen pack, or the default when none was chosen or it has been removed
+    getSelectedPack() {
+        return this.getPack(this.selectedId) || this.builtIn[0];
+    }
+
+    select(packId) {
+        if (!this.getPack(packId)) return false;
+        
+        this.selectedId = packId;
+        if (this.storage) {
+            this.storage.setItem(SELECTED_KEY, packId);
+        }
+        return true;
+    }
+
+    // Add a pack from a player's file, throwing MenuValidationError with every problem in it.
+    // Importing a pack with the id of an earlier import replaces that one.
+    importPack(pack) {
+        const report = validatePack(pack);
+        if (report.isValid && this.builtIn.some(menu => menu.pack.id === pack.pack.id)) {
+            report.errors.push({ path: 'pack.id', message: `"${pack.pack.id}" is a built-in pack, so the import needs an id of its own`, severity: 'error' });
+            report.isValid = false;
+        }
+        if (!report.isValid) {
+            throw new MenuValidationError(report);
+        }
+        
+        this.imported = this.imported.filter(menu => menu.pack.id !== pack.pack.id).concat(pack);
+        this.saveImported();
+        return pack;
+    }
+
+    // Only imported packs can be removed; the default takes over if it was the chosen one
+    removePack(packId) {
+        if (!this.isImported(packId)) return false;
+        
+        this.imported = this.imported.filter(menu => menu.pack.id !== packId);
+        this.saveImported();
+        if (this.selectedId === packId) {
+            this.select(this.builtIn[0].pack.id);
+        }
+        return true;
+    }
+
+    // Saved imports are checked again, so one the current rules reject is dropped
+    loadImported() {
+        if (!this.storage) return [];
+        
+        try {
+            const saved = JSON.parse(this.storage.getItem(IMPORTED_KEY)) || [];
+            return saved.filter(menu => {
+                const isValid = validatePack(menu).isValid;
+                if (!isValid) console.warn('Dropping an imported menu pack that no longer validates');
+                return isValid;
+            });
+        } catch (error) {
+            console.warn('Ignoring unreadable imported menu packs:', error);
+            return [];
+        }
+    }
+
+    saveImported() {
+        if (this.storage) {
+            this.storage.setItem(IMPORTED_KEY, JSON.stringify(this.imported));
+        }
+    }
+}
+
+return { validatePack, MenuPackLibrary };
+}));
@@ -0,0 +1,473 @@
+/**
+ * Menu Validator - Checks a menu.json configuration before the kitchen opens
+ * Every problem is reported with the JSON path it was found at. Errors are
+ * fatal (the game refuses to start); warnings are printed but tolerated.
+ * Errors about a value of the wrong type are marked `shape: true`.
+ * A menu pack is a menu with pack info (its restaurant's name and theme
+ * colors) and is checked the same way. Ids end up in element ids and colors
+ * in style attributes, so both are held to strict formats.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./key-bindings'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { RESERVED_KEYS } = core;
+
+// Keys the input handler claims for itself and that a single key press can't produce
+const SPECIAL_KEYS = ['space'];
+
+// A pack's theme colors the page header and background (see styles.css)
+const THEME_COLORS = ['header', 'headerEnd', 'background', 'backgroundEnd'];
+const PACK_ID_PATTERN = /^[a-z0-9_-]+$/;
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Ingredient, tool, station, dish and doneness zone ids (usable as CSS identifiers)
+const ID_PATTERN = /^[a-z][a-z0-9_-]*$/i;
+const ID_RULE = 'ids may only hold letters, digits, _ and -, starting with a letter';
+
+class MenuValidationError extends Error {
+    constructor(report) {
+        super(`Menu configuration has ${report.errors.length} error(s):\n${formatReport(report)}`);
+        this.name = 'MenuValidationError';
+        this.report = report;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function validateMenu(menu) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message, severity: 'error' });
+    const warn = (path, message) => warnings.push({ path, message, severity: 'warning' });
+    // A list, entry or map of the wrong type; marked, since nothing can lay out the menu around it
+    const shapeError = (path, message) => errors.push({ path, message, severity: 'error', shape: true });
+
+    if (!isPlainObject(menu)) {
+        shapeError('$', 'menu must be a JSON object');
+        return { errors, warnings, isValid: false };
+    }
+
+    const ingredientKeys = new Map(); // id -> key
+    const toolKeys = new Map();
+    const stationIds = new Set();
+
+    // Colors are optional, but one that is given must be a hex color
+    const checkColor = (path, color) => {
+        if (color !== undefined && !(typeof color === 'string' && HEX_COLOR_PATTERN.test(color))) {
+            error(path, 'colors must be hex colors like "#ff6b6b"');
+        }
+    };
+
+    // Keys must be a single character or one of the named special keys
+    const checkKey = (path, key) => {
+        if (!isNonEmptyString(key)) {
+            error(path, 'key must be a non-empty string');
+            return false;
+        }
+        if (key.length !== 1 && !SPECIAL_KEYS.includes(key.toLowerCase())) {
+            error(path, `key "${key}" must be a single character or one of: ${SPECIAL_KEYS.join(', ')}`);
+            return false;
+        }
+        return true;
+    };
+
+    // Ingredients and tools share a shape: unique id, name, category, key
+    const checkEntries = (listName, label, registry) => {
+        const list = menu[listName];
+        if (!Array.isArray(list)) {
+            shapeError(listName, `${listName} must be an array`);
+            return;
+        }
+        
+        const keyOwners = new Map();
+        list.forEach((entry, index) => {
+            const path = `${listName}[${index}]`;
+            if (!isPlainObject(entry)) {
+                shapeError(path, `${label} must be an object`);
+                return;
+            }
+            if (!isNonEmptyString(entry.id)) {
+                error(`${path}.id`, `${label} id must be a non-empty string`);
+                return;
+            }
+            if (!ID_PATTERN.test(entry.id)) {
+                error(`${path}.id`, `${label} id "${entry.id}" is not allowed: ${ID_RULE}`);
+            }
+            if (registry.has(entry.id)) {
+                error(`${path}.id`, `duplicate ${label} id "${entry.id}"`);
+                return;
+            }
+            if (!isNonEmptyString(entry.name)) {
+                error(`${path}.name`, `${label} "${entry.id}" needs a name`);
+            }
+            if (!isNonEmptyString(entry.category)) {
+                warn(`${path}.category`, `${label} "${entry.id}" has no category, so it will not be colour-coded`);
+            }
+            checkColor(`${path}.baseColor`, entry.baseColor);
+            
+            const key = checkKey(`${path}.key`, entry.key) ? entry.key.toLowerCase() : null;
+            registry.set(entry.id, key);
+            
+            if (key) {
+                if (keyOwners.has(key)) {
+                    warn(`${path}.key`, `key "${key}" is also used by ${label} "${keyOwners.get(key)}"`);
+                } else {
+                    keyOwners.set(key, entry.id);
+                }
+            }
+        });
+    };
+
+    checkEntries('ingredients', 'ingredient', ingredientKeys);
+    checkEntries('tools', 'tool', toolKeys);
+
+    // Optional ingredient supply: a starting stock and what a delivery costs
+    (Array.isArray(menu.ingredients) ? menu.ingredients : []).forEach((ingredient, index) => {
+        if (!isPlainObject(ingredient)) return;
+        
+        const path = `ingredients[${index}]`;
+        if (ingredient.stock === undefined) {
+            ['restockCost', 'restockAmount', 'restockTime'].forEach(field => {
+                if (ingredient[field] !== undefined) {
+                    warn(`${path}.${field}`, `${field} has no effect without a stock, so "${ingredient.id}" is unlimited`);
+                }
+            });
+            return;
+        }
+        
+        if (!Number.isInteger(ingredient.stock) || ingredient.stock < 0) {
+            error(`${path}.stock`, 'stock must be a non-negative integer');
+        }
+        if (ingredient.restockCost === undefined) {
+            warn(`${path}.restockCost`, `ingredient "${ingredient.id}" has a stock but no restockCost, so deliveries are free`);
+        } else if (!(typeof ingredient.restockCost === 'number' && ingredient.restockCost >= 0)) {
+            error(`${path}.restockCost`, 'restockCost must be a non-negative number');
+        }
+        if (ingredient.restockAmount !== undefined &&
+            (!Number.isInteger(ingredient.restockAmount) || ingredient.restockAmount < 1)) {
+            error(`${path}.restockAmount`, 'restockAmount must be a positive integer');
+        }
+        if (ingredient.restockTime !== undefined &&
+            !(typeof ingredient.restockTime === 'number' && ingredient.restockTime > 0)) {
+            error(`${path}.restockTime`, 'restockTime must be a positive time in milliseconds');
+        }
+        if (ingredient.stock === 0 && !ingredient.restockAmount) {
+            error(`${path}.restockAmount`, 'an ingredient that starts with no stock needs a restockAmount');
+        }
+    });
+
+    // Cooking stations
+    if (!isPlainObject(menu.cookingStations)) {
+        shapeError('cookingStations', 'cookingStations must be an object keyed by station id');
+    } else {
+        for (const [stationId, station] of Object.entries(menu.cookingStations)) {
+            const path = `cookingStations.${stationId}`;
+            stationIds.add(stationId);
+            
+            if (!ID_PATTERN.test(stationId)) {
+                error(path, `station id "${stationId}" is not allowed: ${ID_RULE}`);
+            }
+            if (!isPlainObject(station)) {
+                shapeError(path, 'station must be an object');
+                continue;
+            }
+            checkColor(`${path}.color`, station.color);
+            if (!isNonEmptyString(station.name)) {
+                error(`${path}.name`, `station "${stationId}" needs a name`);
+            }
+            if (!Array.isArray(station.allowedActions)) {
+                error(`${path}.allowedActions`, `station "${stationId}" needs an allowedActions array`);
+            } else {
+                station.allowedActions.forEach((action, index) => {
+                    if (!toolKeys.has(action)) {
+                        error(`${path}.allowedActions[${index}]`, `unknown tool "${action}"`);
+                    }
+                });
+            }
+            if (station.cookingSlots !== undefined &&
+                (!Number.isInteger(station.cookingSlots) || station.cookingSlots < 1)) {
+                error(`${path}.cookingSlots`, 'cookingSlots must be a positive integer');
+            }
+        }
+    }
+
+    // Optional holding station that keeps cooked components warm
+    if (menu.holdingStation !== undefined) {
+        const holding = menu.holdingStation;
+        if (!isPlainObject(holding)) {
+            error('holdingStation', 'holdingStation must be an object');
+        } else {
+            if (holding.name !== undefined && !isNonEmptyString(holding.name)) {
+                error('holdingStation.name', 'name must be a non-empty string');
+            }
+            checkColor('holdingStation.color', holding.color);
+            if (holding.slots !== undefined && (!Number.isInteger(holding.slots) || holding.slots < 1)) {
+                error('holdingStation.slots', 'slots must be a positive integer');
+            }
+            if (holding.holdTime !== undefined && !(typeof holding.holdTime === 'number' && holding.holdTime > 0)) {
+                error('holdingStation.holdTime', 'holdTime must be a positive time in milliseconds');
+            }
+        }
+    }
+
+    // Optional pack info naming the restaurant the menu belongs to and its colors
+    if (menu.pack !== undefined) {
+        checkPackInfo(menu.pack, error);
+    }
+
+    // Only the menu's own stations count, never names such as "toString" inherited from Object
+    const getStation = stationId => (stationIds.has(stationId) ? menu.cookingStations[stationId] : null);
+
+    const stationAllows = (stationId, action) => {
+        const station = getStation(stationId);
+        return !!(station && Array.isArray(station.allowedActions) && station.allowedActions.includes(action));
+    };
+
+    // A step uses a known tool on a known station that allows it
+    const checkStep = (path, step, dish, dishKeys) => {
+        if (!isPlainObject(step)) {
+            shapeError(path, 'step must be an object');
+            return;
+        }
+        if (!toolKeys.has(step.action)) {
+            error(`${path}.action`, `unknown tool "${step.action}"`);
+        }
+        if (!isNonEmptyString(step.description)) {
+            warn(`${path}.description`, 'step has no description to show the player');
+        }
+        
+        const stationId = step.station || dish.station;
+        if (step.station !== undefined && !stationIds.has(step.station)) {
+            error(`${path}.station`, `unknown station "${step.station}"`);
+        } else if (stationIds.has(stationId) && toolKeys.has(step.action) && !stationAllows(stationId, step.action)) {
+            error(`${path}.action`, `station "${stationId}" does not allow action "${step.action}"`);
+        }
+        
+        const isCookingStep = step.station !== 'prep' && isPlainObject(getStation(step.station));
+        if (isCookingStep) {
+            if (!(typeof step.time === 'number' && step.time > 0)) {
+                error(`${path}.time`, `cooking on "${step.station}" needs a positive time in milliseconds`);
+            }
+        }
+        
+        // Optional doneness windows: how long the item stays done, then overcooked, before burning
+        ['doneWindow', 'overcookWindow'].forEach(field => {
+            if (step[field] === undefined) return;
+            
+            if (!(typeof step[field] === 'number' && step[field] > 0)) {
+                error(`${path}.${field}`, `${field} must be a positive time in milliseconds`);
+            } else if (!isCookingStep) {
+                warn(`${path}.${field}`, `${field} only applies to steps cooked on a station`);
+            }
+        });
+        
+        // Optional doneness zones splitting the done stage: [{ id, name, time }]
+        if (step.doneness !== undefined) {
+            checkDonenessZones(path, step, isCookingStep);
+        }
+        
+        if (checkKey(`${path}.key`, step.key)) {
+            const key = step.key.toLowerCase();
+            const toolKey = toolKeys.get(step.action);
+            if (toolKey && toolKey !== key) {
+                warn(`${path}.key`, `key "${key}" differs from tool "${step.action}" key "${toolKey}"`);
+            }
+            claimKey(`${path}.key`, key, `tool "${step.action}"`, dishKeys);
+        }
+    };
+
+    // Zones follow one another once the item is done, standing in for its doneWindow
+    const checkDonenessZones = (path, step, isCookingStep) => {
+        if (!Array.isArray(step.doneness) || step.doneness.length === 0) {
+            error(`${path}.doneness`, 'doneness must be a non-empty list of zones');
+            return;
+        }
+        if (!isCookingStep) {
+            warn(`${path}.doneness`, 'doneness only applies to steps cooked on a station');
+        }
+        if (step.doneWindow !== undefined) {
+            warn(`${path}.doneWindow`, 'doneWindow is ignored when the step has doneness zones');
+        }
+        
+        const zoneIds = new Set();
+        step.doneness.forEach((zone, index) => {
+            const zonePath = `${path}.doneness[${index}]`;
+            if (!isPlainObject(zone)) {
+                error(zonePath, 'doneness zone must be an object');
+                return;
+            }
+            if (!isNonEmptyString(zone.id)) {
+                error(`${zonePath}.id`, 'doneness zone needs an id');
+            } else if (!ID_PATTERN.test(zone.id)) {
+                error(`${zonePath}.id`, `doneness zone id "${zone.id}" is not allowed: ${ID_RULE}`);
+            } else if (zoneIds.has(zone.id)) {
+                error(`${zonePath}.id`, `duplicate doneness zone "${zone.id}"`);
+            } else {
+                zoneIds.add(zone.id);
+            }
+            if (!isNonEmptyString(zone.name)) {
+                error(`${zonePath}.name`, 'doneness zone needs a name to show on tickets');
+            }
+            if (!(typeof zone.time === 'number' && zone.time > 0)) {
+                error(`${zonePath}.time`, 'doneness zone time must be a positive time in milliseconds');
+            }
+        });
+    };
+
+    // Within one dish a key may only ever mean one thing; the game remaps clashes at load
+    const claimKey = (path, key, owner, dishKeys) => {
+        if (SPECIAL_KEYS.includes(key)) return;
+        
+        if (RESERVED_KEYS.has(key)) {
+            warn(path, `key "${key}" for ${owner} is reserved for ${RESERVED_KEYS.get(key)} and will be remapped`);
+            return;
+        }
+        
+        const existing = dishKeys.get(key);
+        if (existing && existing !== owner) {
+            warn(path, `key "${key}" for ${owner} collides with ${existing} in the same dish and will be remapped`);
+        } else {
+            dishKeys.set(key, owner);
+        }
+    };
+
+    // Dishes
+    if (!Array.isArray(menu.dishes)) {
+        shapeError('dishes', 'dishes must be an array');
+    } else {
+        if (menu.dishes.length === 0) {
+            error('dishes', 'menu has no dishes');
+        }
+        
+        const dishIds = new Set();
+        menu.dishes.forEach((dish, dishIndex) => {
+            const path = `dishes[${dishIndex}]`;
+            if (!isPlainObject(dish)) {
+                shapeError(path, 'dish must be an object');
+                return;
+            }
+            if (!isNonEmptyString(dish.id)) {
+                error(`${path}.id`, 'dish id must be a non-empty string');
+            } else if (!ID_PATTERN.test(dish.id)) {
+                error(`${path}.id`, `dish id "${dish.id}" is not allowed: ${ID_RULE}`);
+            } else if (dishIds.has(dish.id)) {
+                error(`${path}.id`, `duplicate dish id "${dish.id}"`);
+            } else {
+                dishIds.add(dish.id);
+            }
+            if (!isNonEmptyString(dish.name)) {
+                error(`${path}.name`, 'dish needs a name');
+            }
+            checkColor(`${path}.baseColor`, dish.baseColor);
+            if (!stationIds.has(dish.station)) {
+                error(`${path}.station`, `unknown station "${dish.station}"`);
+            }
+            if (typeof dish.difficulty !== 'number' || dish.difficulty < 0) {
+                error(`${path}.difficulty`, 'difficulty must be a non-negative number');
+            }
+            
+            const dishKeys = new Map();
+            
+            if (!Array.isArray(dish.ingredients) || dish.ingredients.length === 0) {
+                error(`${path}.ingredients`, 'dish needs a non-empty ingredients array');
+            } else {
+                const seen = new Set();
+                dish.ingredients.forEach((ingredient, index) => {
+                    const ingPath = `${path}.ingredients[${index}]`;
+                    if (!isPlainObject(ingredient)) {
+                        shapeError(ingPath, 'ingredient entry must be an object');
+                        return;
+                    }
+                    if (!ingredientKeys.has(ingredient.id)) {
+                        error(`${ingPath}.id`, `unknown ingredient "${ingredient.id}"`);
+                    } else if (seen.has(ingredient.id)) {
+                        error(`${ingPath}.id`, `ingredient "${ingredient.id}" is listed twice`);
+                    } else {
+                        seen.add(ingredient.id);
+                        const key = ingredientKeys.get(ingredient.id);
+                        if (key) claimKey(`${ingPath}.id`, key, `ingredient "${ingredient.id}"`, dishKeys);
+                    }
+                    if (ingredient.required !== undefined && typeof ingredient.required !== 'boolean') {
+                        error(`${ingPath}.required`, 'required must be true or false');
+                    }
+                    if (ingredient.prepSteps !== undefined && !Array.isArray(ingredient.prepSteps)) {
+                        shapeError(`${ingPath}.prepSteps`, 'prepSteps must be an array');
+                    } else {
+                        (ingredient.prepSteps || []).forEach((step, stepIndex) => {
+                            checkStep(`${ingPath}.prepSteps[${stepIndex}]`, step, dish, dishKeys);
+                        });
+                    }
+                });
+                
+                if (!dish.ingredients.some(ingredient => isPlainObject(ingredient) && ingredient.required)) {
+                    warn(`${path}.ingredients`, 'dish has no required ingredients, so an empty plate can be served');
+                }
+            }
+            
+            if (dish.finalSteps !== undefined && !Array.isArray(dish.finalSteps)) {
+                shapeError(`${path}.finalSteps`, 'finalSteps must be an array');
+            } else {
+                (dish.finalSteps || []).forEach((step, stepIndex) => {
+                    checkStep(`${path}.finalSteps[${stepIndex}]`, step, dish, dishKeys);
+                });
+            }
+        });
+    }
+
+    return { errors, warnings, isValid: errors.length === 0 };
+}
+
+// pack: { id, name, icon, description, theme: { header, headerEnd, background, backgroundEnd } }
+function checkPackInfo(pack, error) {
+    if (!isPlainObject(pack)) {
+        error('pack', 'pack must be an object');
+        return;
+    }
+    if (!(typeof pack.id === 'string' && PACK_ID_PATTERN.test(pack.id))) {
+        error('pack.id', 'pack id must be lowercase letters, digits, _ or -');
+    }
+    if (!isNonEmptyString(pack.name)) {
+        error('pack.name', 'pack needs a name');
+    }
+    ['icon', 'description'].forEach(field => {
+        if (pack[field] !== undefined && typeof pack[field] !== 'string') {
+            error(`pack.${field}`, `${field} must be a string`);
+        }
+    });
+
+    if (pack.theme === undefined) return;
+    if (!isPlainObject(pack.theme)) {
+        error('pack.theme', 'theme must be an object of colors');
+        return;
+    }
+    for (const [name, color] of Object.entries(pack.theme)) {
+        if (!THEME_COLORS.includes(name)) {
+            error(`pack.theme.${name}`, `unknown theme color (expected ${THEME_COLORS.join(', ')})`);
+        } else if (!(typeof color === 'string' && HEX_COLOR_PATTERN.test(color))) {
+            error(`pack.theme.${name}`, 'colors must be hex colors like "#ff6b6b"');
+        }
+    }
+}
+
+// One problem per line: "error   dishes[0].station: unknown station ..."
+function formatReport(report) {
+    return [...report.errors, ...report.warnings]
+        .map(problem => `${problem.severity.padEnd(7)} ${problem.path}: ${problem.message}`)
+        .join('\n');
+}
+
+return { validateMenu, formatReport, MenuValidationError, THEME_COLORS };
+}));
@@ -0,0 +1,121 @@
+/**
+ * Order Modifiers - Customer requests built from a dish's optional ingredients
+ * An order can ask to include an optional ingredient ("add bacon"), leave one
+ * out ("no pickles") or double one that needs no prep ("extra cheese"). An
+ * ingredient whose cooking step declares doneness zones can also be ordered
+ * cooked to one of them ("medium rare beef patty"). The served dish is checked
+ * against them at serve time.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const MODIFIER_TYPES = ['include', 'exclude', 'double', 'doneness'];
+const MODIFIER_CHANCE = 0.6; // Share of orders with at least one request
+const MAX_MODIFIERS = 2;
+const DONENESS_CHANCE = 0.5; // Share of orders asking for a doneness, per ingredient that has zones
+
+// Units of the ingredient a modifier needs on hand
+const MODIFIER_UNITS = { include: 1, exclude: 0, double: 2, doneness: 0 };
+
+// The doneness zones an ingredient's cooking step declares: [{ id, name, time }], or []
+function getDonenessZones(ingredient) {
+    const step = (ingredient.prepSteps || []).find(prepStep => Array.isArray(prepStep.doneness));
+    return step ? step.doneness : [];
+}
+
+/**
+ * Pick random modifiers for a dish.
+ * options.canUse(ingredientId, units) filters out ingredients that can't be
+ * supplied; options.random replaces Math.random.
+ * Returns [{ type, ingredientId }], at most one of include, exclude and double
+ * per ingredient. Doneness requests come after those as
+ * { type: 'doneness', ingredientId, doneness (zone id), donenessName }.
+ */
+function rollOrderModifiers(dish, options = {}) {
+    const random = options.random || Math.random;
+    const canUse = options.canUse || (() => true);
+    const maxModifiers = options.maxModifiers !== undefined ? options.maxModifiers : MAX_MODIFIERS;
+    if (maxModifiers < 1) return [];
+
+    const optional = dish.ingredients.filter(ing => !ing.required);
+    const modifiers = [];
+
+    if (optional.length > 0 && random() < MODIFIER_CHANCE) {
+        const count = 1 + Math.floor(random() * Math.min(maxModifiers, optional.length));
+        const pool = optional.slice();
+        
+        while (modifiers.length < count && pool.length > 0) {
+            const [ingredient] = pool.splice(Math.floor(random() * pool.length), 1);
+            
+            // Only ingredients that go straight on the plate can be doubled
+            const types = MODIFIER_TYPES.filter(type =>
+                type !== 'doneness' &&
+                (type !== 'double' || !ingredient.prepSteps || ingredient.prepSteps.length === 0) &&
+                canUse(ingredient.id, MODIFIER_UNITS[type]));
+            if (types.length === 0) continue;
+            
+            modifiers.push({ type: types[Math.floor(random() * types.length)], ingredientId: ingredient.id });
+        }
+    }
+
+    // Only ingredients going into the dish that declare zones can be cooked to order
+    dish.ingredients.forEach(ingredient => {
+        const zones = getDonenessZones(ingredient);
+        const included = ingredient.required || modifiers.some(mod => mod.type === 'include' && mod.ingredientId === ingredient.id);
+        if (zones.length === 0 || !included || random() >= DONENESS_CHANCE) return;
+        
+        const zone = zones[Math.floor(random() * zones.length)];
+        modifiers.push({ type: 'doneness', ingredientId: ingredient.id, doneness: zone.id, donenessName: zone.name });
+    });
+
+    return modifiers;
+}
+
+// How many zones away from a doneness request the dish's ingredient came off its
+// station. Overcooked (or never cooked to a zone) counts as one past the last zone.
+function getDonenessMiss(dish, modifier) {
+    const ingredient = dish.ingredients.find(ing => ing.id === modifier.ingredientId);
+    const zones = ingredient ? getDonenessZones(ingredient) : [];
+    const requested = zones.findIndex(zone => zone.id === modifier.doneness);
+    if (requested === -1) return 0;
+
+    const cooked = zones.findIndex(zone => zone.id === dish.cookedDoneness.get(modifier.ingredientId));
+    return Math.abs((cooked === -1 ? zones.length : cooked) - requested);
+}
+
+// Whether a prepared dish satisfies one modifier
+function isModifierMet(dish, modifier) {
+    const { type, ingredientId } = modifier;
+    const state = dish.ingredientStates.get(ingredientId);
+    const isReady = dish.currentIngredients.has(ingredientId) && !!state && state.isReady;
+
+    if (type === 'exclude') return !dish.currentIngredients.has(ingredientId);
+    if (type === 'double') return isReady && dish.doubledIngredients.has(ingredientId);
+    if (type === 'doneness') return isReady && getDonenessMiss(dish, modifier) === 0;
+    return isReady;
+}
+
+// Modifiers the prepared dish gets wrong
+function getUnmetModifiers(dish, modifiers = []) {
+    return modifiers.filter(modifier => !isModifierMet(dish, modifier));
+}
+
+// Ticket text for a modifier, e.g. "No Pickles" or "Medium Rare Beef Patty"
+function describeModifier(modifier, ingredientName) {
+    if (modifier.type === 'doneness') {
+        return `${modifier.donenessName || modifier.doneness} ${ingredientName}`;
+    }
+    
+    const prefix = { include: 'Add', exclude: 'No', double: 'Extra' }[modifier.type];
+    return `${prefix} ${ingredientName}`;
+}
+
+return { MODIFIER_TYPES, getDonenessZones, rollOrderModifiers, getDonenessMiss, isModifierMet, getUnmetModifiers, describeModifier };
+}));
@@ -0,0 +1,480 @@
+/**
+ * Order System - Manages customer orders and timing
+ * DOM-free: renderers subscribe to the events emitted here.
+ *
+ * Events:
+ *   orderSpawned (order)
+ *   orderTimerUpdated (order)          - once per game second
+ *   orderSelected (order, previous)
+ *   orderDeselected (order)
+ *   orderCompleted (order, score)
+ *   orderExpired (order, score)
+ *   scoreChanged (stats)
+ *   ordersCleared ()
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./event-emitter'),
+            require('./order-modifiers'),
+            require('./customers'),
+            require('./random')
+        ));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter, rollOrderModifiers, DEFAULT_ARCHETYPE, getCustomerMood, getMoodLevel, calculateTip, SeededRandom } = core;
+
+class Order {
+    constructor(dishId, dishName, timeLimit = 60, dish = null, clock = null, modifiers = [], customer = DEFAULT_ARCHETYPE) {
+        this.id = null; // Assigned by OrderSystem in spawn order, so replays get the same ids
+        this.dishId = dishId;
+        this.dishName = dishName;
+        this.dish = dish; // This order's own prepared-dish instance
+        this.modifiers = modifiers; // Customer requests: [{ type: 'include'|'exclude'|'double'|'doneness', ingredientId }]
+        this.unmetModifiers = []; // Requests the served dish got wrong
+        this.customer = customer; // Archetype: patience curve, rating thresholds, tip multiplier
+        this.tip = 0;
+        this.timeLimit = timeLimit * 1000; // Convert to milliseconds
+        this.expires = true; // Practice orders wait as long as it takes
+        this.clock = clock; // Shared game clock; timers freeze while it is paused
+        this.createdAt = this.getCurrentTime();
+        this.isComplete = false;
+        this.isActive = false;
+        this.rating = null; // Will be 'perfect', 'good', or 'bad'
+        this.score = null; // Points the order earned (or lost, if it expired)
+        this.completedAt = null; // Game-clock time it was served or expired
+    }
+
+    // Current time on the game clock (falls back to wall time without one)
+    getCurrentTime() {
+        return this.clock ? this.clock.now() : Date.now();
+    }
+
+    // Get remaining time in seconds
+    getRemainingTime() {
+        if (!this.expires) return Math.ceil(this.timeLimit / 1000);
+        
+        const elapsed = this.getCurrentTime() - this.createdAt;
+        const remaining = Math.max(0, this.timeLimit - elapsed);
+        return Math.ceil(remaining / 1000);
+    }
+
+    // Share of the customer's patience left (0-1)
+    getPatienceShare() {
+        if (!this.expires) return 1;
+        
+        const elapsed = this.getCurrentTime() - this.createdAt;
+        return Math.max(0, 1 - elapsed / this.timeLimit);
+    }
+
+    // Customer mood (0-1), souring along the archetype's patience curve
+    getMood() {
+        return getCustomerMood(this.customer, this.getPatienceShare());
+    }
+
+    getMoodLevel() {
+        return getMoodLevel(this.customer, this.getMood());
+    }
+
+    // Check if order is expired
+    isExpired() {
+        return this.getRemainingTime() <= 0;
+    }
+
+    // Get time urgency level
+    getUrgencyLevel() {
+        const remaining = this.getRemainingTime();
+        const total = this.timeLimit / 1000;
+        
+        if (remaining <= total * 0.25) return 'critical';
+        if (remaining <= total * 0.5) return 'urgent';
+        return 'normal';
+    }
+
+    // Complete the order with a rating
+    complete(rating = 'good', score = 0) {
+        this.isComplete = true;
+        this.rating = rating;
+        this.score = score;
+        this.completedAt = this.getCurrentTime();
+        return this;
+    }
+}
+
+// Ratings for a served dish from best to worst
+const RATINGS = [
+    { rating: 'perfect', score: 100 },
+    { rating: 'good', score: 60 },
+    { rating: 'average', score: 30 },
+    { rating: 'bad', score: 0 }
+];
+const AVERAGE_TIER = 2;
+
+class OrderSystem extends EventEmitter {
+    constructor(dishSystem, clock, inventory = null, customers = null, random = null) {
+        super();
+        this.dishSystem = dishSystem;
+        this.clock = clock;
+        this.inventory = inventory; // Optional Inventory; customers only order what can be made
+        this.customers = customers; // Optional CustomerRoster; everyone is a walk-in without one
+        this.random = random || new SeededRandom(); // Every random choice about orders comes from here
+        this.ordersSpawned = 0;
+        this.activeOrders = new Map();
+        this.completedOrders = [];
+        this.maxActiveOrders = 5;
+        this.orderSpawnRate = 10000; // 10 seconds between orders
+        this.orderSpawnTimer = null;
+        this.spawnRateMultiplier = 1; // Orders come this many times as often (a rush event)
+        this.timeLimitScale = 1; // Stretches or squeezes every new order's time limit
+        this.dishWeight = null; // Optional dish => weight for the dish mix (null = every dish equally likely)
+        this.isRunning = false;
+        this.menuDishIds = null; // Dishes orders are drawn from (null = the whole menu)
+        
+        // Score tracking
+        this.totalScore = 0;
+        this.ordersCompleted = 0;
+        this.perfectOrders = 0;
+        this.expenses = 0;
+        this.fines = 0; // Inspection fines, taken out of the score
+        this.tips = 0; // Kept apart from the score
+    }
+
+    // Start the order system; without autoSpawn only spawnOrder() calls bring orders (tutorials)
+    start(autoSpawn = true) {
+        this.isRunning = true;
+        if (autoSpawn) {
+            this.spawnOrder(); // Spawn first order immediately
+            this.startSpawning();
+        }
+        this.notifyScoreChanged();
+        console.log(`Order system started! Spawning orders every ${this.orderSpawnRate/1000} seconds`);
+    }
+
+    // Stop the order system
+    stop() {
+        this.isRunning = false;
+        if (this.orderSpawnTimer) {
+            this.clock.clearInterval(this.orderSpawnTimer);
+            this.orderSpawnTimer = null;
+        }
+        console.log('Order system stopped');
+    }
+
+    // Start the automatic order spawning timer
+    startSpawning() {
+        if (this.orderSpawnTimer) return;
+        
+        const interval = Math.round(this.orderSpawnRate / this.spawnRateMultiplier);
+        console.log(`Setting up order spawning timer: ${interval}ms`);
+        this.orderSpawnTimer = this.clock.setInterval(() => {
+            console.log(`Timer tick - Active orders: ${this.activeOrders.size}/${this.maxActiveOrders}`);
+            if (this.isRunning && this.activeOrders.size < this.maxActiveOrders) {
+                console.log('Spawning new order...');
+                this.spawnOrder();
+            } else {
+                console.log('Not spawning - either not running or max orders reached');
+            }
+        }, interval);
+    }
+
+    // Spawn a new random order, or one for a given dish.
+    // options: { timeLimit (seconds, instead of the usual one), modifiers (instead of random requests), expires (false = no time limit) }
+    spawnOrder(dishId = null, options = {}) {
+        if (this.activeOrders.size >= this.maxActiveOrders) {
+            console.log(`Cannot spawn order - at max capacity (${this.maxActiveOrders})`);
+            return null;
+        }
+        
+        // Dishes whose required ingredients have run out can't be ordered
+        const availableDishes = this.getMenuDishes().filter(dish => !this.inventory || this.inventory.canMakeDish(dish));
+        if (availableDishes.length === 0) {
+            console.log('Cannot spawn order - every dish on the menu is out of stock');
+            return null;
+        }
+        
+        let randomDish;
+        if (dishId) {
+            randomDish = availableDishes.find(dish => dish.id === dishId);
+            if (!randomDish) {
+                console.log(`Cannot spawn order - ${dishId} is not on the menu or out of stock`);
+                return null;
+            }
+        } else {
+            randomDish = this.dishWeight
+                ? this.random.pickWeighted(availableDishes, this.dishWeight)
+                : this.random.pick(availableDishes);
+        }
+        
+        // Calculate time limit based on dish difficulty, stretched by the customer's patience
+        const customer = this.customers ? this.customers.pick(this.random.asFunction()) : DEFAULT_ARCHETYPE;
+        const baseTime = 45;
+        const difficultyModifier = randomDish.difficulty * 10;
+        const timeLimit = options.timeLimit ||
+            (baseTime + difficultyModifier + this.random.next() * 20) * customer.patience * this.timeLimitScale;
+        
+        // Requests only use ingredients there is enough stock for
+        const modifiers = options.modifiers || rollOrderModifiers(randomDish, {
+            random: this.random.asFunction(),
+            canUse: (ingredientId, units) => !this.inventory || this.inventory.getStock(ingredientId) >= units
+        });
+        
+        const preparedDish = this.dishSystem.createDishInstance(randomDish.id);
+        preparedDish.modifiers = modifiers;
+        const order = new Order(randomDish.id, randomDish.name, timeLimit, preparedDish, this.clock, modifiers, customer);
+        order.id = `order_${String(++this.ordersSpawned).padStart(4, '0')}`;
+        order.expires = options.expires !== false;
+        this.activeOrders.set(order.id, order);
+        
+        this.emit('orderSpawned', order);
+        if (order.expires) {
+            this.startOrderTimer(order);
+        }
+        this.notifyScoreChanged();
+        
+        console.log(`Spawned new order: ${randomDish.name} (${order.id}) - Active orders: ${this.activeOrders.size}`);
+        
+        return order;
+    }
+
+    // Limit orders to a curated set of dishes (null restores the whole menu)
+    setMenu(dishIds) {
+        if (!dishIds) {
+            this.menuDishIds = null;
+            return;
+        }
+        
+        const unknown = dishIds.filter(id => !this.dishSystem.getDish(id));
+        if (unknown.length > 0) {
+            console.warn(`Ignoring unknown dishes on the menu: ${unknown.join(', ')}`);
+        }
+        
+        const known = dishIds.filter(id => this.dishSystem.getDish(id));
+        this.menuDishIds = known.length > 0 ? known : null;
+    }
+
+    getMenuDishes() {
+        if (!this.menuDishIds) {
+            return this.dishSystem.getAllDishes();
+        }
+        return this.menuDishIds.map(id => this.dishSystem.getDish(id));
+    }
+
+    // Tick an order's timer once per game second until it is done or expires
+    startOrderTimer(order) {
+        const updateTimer = () => {
+            if (order.isComplete || !this.activeOrders.has(order.id)) return;
+            
+            const remainingTime = order.getRemainingTime();
+            this.emit('orderTimerUpdated', order);
+            
+            if (remainingTime > 0) {
+                this.clock.setTimeout(updateTimer, 1000);
+            } else {
+                // Order expired
+                this.expireOrder(order.id);
+            }
+        };
+        
+        this.clock.setTimeout(updateTimer, 1000);
+    }
+
+    // Select an order (make it active)
+    selectOrder(orderId) {
+        const order = this.activeOrders.get(orderId);
+        if (!order) return false;
+        
+        // Deselect previous active order
+        const previousActive = Array.from(this.activeOrders.values()).find(o => o.isActive);
+        if (previousActive) {
+            previousActive.isActive = false;
+        }
+        
+        // Activate new order
+        order.isActive = true;
+        this.emit('orderSelected', order, previousActive || null);
+        
+        return order;
+    }
+
+    // Deselect an order without completing it
+    deselectOrder(orderId) {
+        const order = this.activeOrders.get(orderId);
+        if (!order || !order.isActive) return false;
+        
+        order.isActive = false;
+        this.emit('orderDeselected', order);
+        return true;
+    }
+
+    // Get currently active order
+    getActiveOrder() {
+        return Array.from(this.activeOrders.values()).find(order => order.isActive);
+    }
+
+    // Complete an order
+    // quality.overcookedItems: number of overcooked items that went into the dish
+    // quality.unmetModifiers: the order's requests the dish got wrong
+    // quality.donenessMisses: total zones the dish's doneness requests were off by
+    completeOrder(orderId, dishValid = true, quality = {}) {
+        const order = this.activeOrders.get(orderId);
+        if (!order) return null;
+        
+        // Determine rating from the customer's mood and the dish's validity
+        let tier = RATINGS.length - 1;
+        const mood = order.getMood();
+        
+        if (dishValid) {
+            const { perfect, good } = order.customer.ratingThresholds;
+            
+            if (mood > perfect) {
+                tier = 0;
+            } else if (mood > good) {
+                tier = 1;
+            } else if (order.getRemainingTime() > 0) {
+                tier = AVERAGE_TIER;
+            }
+            
+            // Each overcooked item costs a tier, but a served dish never drops below average
+            const overcooked = quality.overcookedItems || 0;
+            if (overcooked > 0 && tier < AVERAGE_TIER) {
+                tier = Math.min(tier + overcooked, AVERAGE_TIER);
+            }
+            
+            // Each ignored request costs a tier too, all the way down to bad. A missed
+            // doneness costs a tier per zone it was off instead
+            order.unmetModifiers = quality.unmetModifiers || [];
+            const ignored = order.unmetModifiers.filter(modifier => modifier.type !== 'doneness').length;
+            tier = Math.min(tier + ignored + (quality.donenessMisses || 0), RATINGS.length - 1);
+        }
+        
+        const { rating, score } = RATINGS[tier];
+        if (rating === 'perfect') {
+            this.perfectOrders++;
+        }
+        
+        order.complete(rating, score);
+        this.completedOrders.push(order);
+        this.totalScore += score;
+        this.ordersCompleted++;
+        
+        // Happier customers tip more; tips are earnings on top of the score
+        order.tip = calculateTip(order.customer, score, mood);
+        this.tips += order.tip;
+        
+        // Remove from active orders
+        this.activeOrders.delete(orderId);
+        
+        this.emit('orderCompleted', order, score);
+        this.notifyScoreChanged();
+        
+        return order;
+    }
+
+    // Expire an order
+    expireOrder(orderId) {
+        const order = this.activeOrders.get(orderId);
+        if (!order) return null;
+        
+        order.complete('failed', -20);
+        this.completedOrders.push(order);
+        this.activeOrders.delete(orderId);
+        
+        // Deduct points for failed order
+        this.totalScore -= 20;
+        
+        this.emit('orderExpired', order, -20);
+        this.notifyScoreChanged();
+        
+        return order;
+    }
+
+    // Pay for something out of the shift's earnings (e.g. an ingredient delivery)
+    chargeExpense(amount) {
+        this.totalScore -= amount;
+        this.expenses += amount;
+        this.notifyScoreChanged();
+    }
+
+    // Fine the shift (e.g. a failed inspection); fines come out of the score
+    chargeFine(amount) {
+        this.totalScore -= amount;
+        this.fines += amount;
+        this.notifyScoreChanged();
+    }
+
+    // Notify listeners of the current score and stats
+    notifyScoreChanged() {
+        this.emit('scoreChanged', this.getStats());
+    }
+
+    // Get order by ID
+    getOrder(orderId) {
+        return this.activeOrders.get(orderId);
+    }
+
+    // Get all active orders
+    getActiveOrders() {
+        return Array.from(this.activeOrders.values());
+    }
+
+    // Get order statistics
+    getStats() {
+        return {
+            totalScore: this.totalScore,
+            ordersCompleted: this.ordersCompleted,
+            perfectOrders: this.perfectOrders,
+            activeOrders: this.activeOrders.size,
+            averageScore: this.ordersCompleted > 0 ? Math.round(this.totalScore / this.ordersCompleted) : 0,
+            perfectRate: this.ordersCompleted > 0 ? Math.round((this.perfectOrders / this.ordersCompleted) * 100) : 0,
+            expenses: this.expenses,
+            fines: this.fines,
+            tips: this.tips
+        };
+    }
+
+    // Set order spawn rate (milliseconds between orders)
+    setSpawnRate(rate) {
+        this.orderSpawnRate = rate;
+        
+        if (this.orderSpawnTimer) {
+            this.clock.clearInterval(this.orderSpawnTimer);
+            this.orderSpawnTimer = null;
+            this.startSpawning();
+        }
+    }
+
+    // Speed order spawning up for a while (1 = the usual pace)
+    setSpawnRateMultiplier(multiplier) {
+        this.spawnRateMultiplier = multiplier;
+        
+        if (this.orderSpawnTimer) {
+            this.clock.clearInterval(this.orderSpawnTimer);
+            this.orderSpawnTimer = null;
+            this.startSpawning();
+        }
+    }
+
+    // Clear all orders (useful for game reset)
+    clearAllOrders() {
+        this.activeOrders.clear();
+        this.completedOrders = [];
+        this.totalScore = 0;
+        this.ordersCompleted = 0;
+        this.perfectOrders = 0;
+        this.expenses = 0;
+        this.fines = 0;
+        this.tips = 0;
+        this.ordersSpawned = 0;
+        
+        this.emit('ordersCleared');
+        this.notifyScoreChanged();
+    }
+}
+
+return { Order, OrderSystem };
+}));
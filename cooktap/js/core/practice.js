@@ -0,0 +1,285 @@
+/**
+ * Practice - Drills one dish, timing every step
+ * A practice shift has a single dish, one order at a time, no time limit and
+ * a pantry that is refilled before each attempt. Steps are read from the
+ * dish's own progress tracking (ingredients added, prep steps done, final
+ * steps done) as the kitchen reports changes, and station items are timed
+ * from going on until they come off. Key presses the kitchen rejected count as
+ * wrong keys. The fastest attempt at each dish is kept as a personal best
+ * through any localStorage-like object passed in.
+ *
+ * A step is { type, label, at, time }: type is ingredient, prep, wait or
+ * final; at is when it happened (ms into the attempt) and time how long it
+ * took - since the previous step, or for a wait, from going on the station
+ * until it was done. Waits also have idle (done but left on the station) and
+ * burnt.
+ *
+ * Events:
+ *   attemptStarted (order)
+ *   stepRecorded (step)
+ *   wrongKey (count)                   - wrong keys so far this attempt
+ *   attemptCompleted (result)          - see finishAttempt()
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter'));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter } = core;
+
+const PRACTICE_KEY = 'cookTap.practiceBests';
+const STEP_TYPES = ['ingredient', 'prep', 'wait', 'final'];
+
+// Personal bests saved in storage: dish id => { time, wrongKeys, date }
+function loadPracticeBests(storage) {
+    if (!storage) return {};
+
+    try {
+        return JSON.parse(storage.getItem(PRACTICE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable practice bests:', error);
+        return {};
+    }
+}
+
+function isStationStep(step) {
+    return Boolean(step && step.station && step.station !== 'prep');
+}
+
+class PracticeSession extends EventEmitter {
+    constructor(kitchen, dishId, storage = null) {
+        super();
+        this.kitchen = kitchen;
+        this.dish = kitchen.dishSystem.getDish(dishId);
+        if (!this.dish) {
+            throw new Error(`Cannot practice unknown dish "${dishId}"`);
+        }
+        this.storage = storage;
+        this.bests = loadPracticeBests(storage);
+        this.isRunning = false;
+        this.attempts = 0;
+        this.order = null; // The attempt's order until it is served
+        
+        this.handleChange = () => this.trackProgress();
+        this.handleRejected = input => {
+            if (input.key) this.countWrongKey();
+        };
+        this.handleServed = order => {
+            if (order === this.order) this.finishAttempt();
+        };
+    }
+
+    // Shift settings for practice: this dish only, no orders but the attempts and no kitchen events
+    getShift() {
+        return { dishIds: [this.dish.id], duration: null, autoSpawn: false, events: false };
+    }
+
+    // Open the first attempt on a kitchen that has started its shift
+    start() {
+        if (this.isRunning || !this.kitchen.isRunning) return false;
+        
+        this.kitchen.on('dishUpdated', this.handleChange);
+        this.kitchen.on('inputRejected', this.handleRejected);
+        this.kitchen.on('orderServed', this.handleServed);
+        this.kitchen.stationManager.on('slotChanged', this.handleChange);
+        
+        this.isRunning = true;
+        return this.nextAttempt();
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+        
+        this.kitchen.off('dishUpdated', this.handleChange);
+        this.kitchen.off('inputRejected', this.handleRejected);
+        this.kitchen.off('orderServed', this.handleServed);
+        this.kitchen.stationManager.off('slotChanged', this.handleChange);
+        this.isRunning = false;
+        this.order = null;
+    }
+
+    // A fresh order for the dish, once the last attempt has been served
+    nextAttempt() {
+        if (!this.isRunning || this.order) return false;
+        
+        this.kitchen.inventory.reset();
+        const order = this.kitchen.orderSystem.spawnOrder(this.dish.id, { modifiers: [], expires: false });
+        if (!order) return false;
+        
+        this.order = order;
+        this.attempts++;
+        this.startedAt = this.kitchen.clock.now();
+        this.lastStepAt = this.startedAt;
+        this.steps = [];
+        this.wrongKeys = 0;
+        this.seen = { ingredients: new Map(), finalStepsProgress: 0 }; // Dish progress already recorded
+        this.waits = []; // Items on a station: { item, station, label, startedAt, readyAt }
+        
+        this.emit('attemptStarted', order);
+        return true;
+    }
+
+    // A key that did nothing; the page also reports letters bound to nothing at all
+    countWrongKey() {
+        if (!this.order) return;
+        
+        this.wrongKeys++;
+        this.emit('wrongKey', this.wrongKeys);
+    }
+
+    // Record whatever the dish and its station items have done since last time
+    trackProgress() {
+        if (!this.order) return;
+        
+        const { dish } = this.order;
+        
+        for (const ingredient of dish.ingredients) {
+            const state = dish.ingredientStates.get(ingredient.id);
+            const seen = this.seen.ingredients.get(ingredient.id);
+            
+            // Cancelled, or taken back off the dish
+            if (!state) {
+                this.seen.ingredients.delete(ingredient.id);
+                continue;
+            }
+            
+            // A burnt item sends its step back to be done again
+            let recorded = seen ? Math.min(seen.prepStepsCompleted, state.prepStepsCompleted) : 0;
+            if (!seen) {
+                const name = this.getName(ingredient.id);
+                // One taken from the holding station arrives already prepared
+                this.recordStep('ingredient', state.prepStepsCompleted > 0 ? `Add ${name} from holding` : `Add ${name}`);
+                recorded = state.prepStepsCompleted;
+            }
+            
+            for (let index = recorded; index < state.prepStepsCompleted; index++) {
+                const prepStep = ingredient.prepSteps[index];
+                this.recordStep('prep', prepStep.description || `${prepStep.action} ${this.getName(ingredient.id)}`);
+                if (isStationStep(prepStep)) this.startWait(dish, prepStep, ingredient.id);
+            }
+            this.seen.ingredients.set(ingredient.id, { prepStepsCompleted: state.prepStepsCompleted });
+        }
+        
+        const finalSteps = dish.finalSteps || [];
+        for (let index = Math.min(this.seen.finalStepsProgress, dish.finalStepsProgress); index < dish.finalStepsProgress; index++) {
+            const finalStep = finalSteps[index];
+            this.recordStep('final', finalStep.description || finalStep.action);
+            if (isStationStep(finalStep)) this.startWait(dish, finalStep, null);
+        }
+        this.seen.finalStepsProgress = dish.finalStepsProgress;
+        
+        this.trackWaits();
+    }
+
+    getName(ingredientId) {
+        const ingredient = this.kitchen.dishSystem.getIngredient(ingredientId);
+        return ingredient ? ingredient.name : ingredientId;
+    }
+
+    // details: anything the step type adds, or its own at and time (a wait's)
+    recordStep(type, label, details = {}) {
+        const now = this.kitchen.clock.now();
+        const step = { type, label, at: now - this.startedAt, time: now - this.lastStepAt, ...details };
+        if (type !== 'wait') this.lastStepAt = now;
+        
+        this.steps.push(step);
+        this.emit('stepRecorded', step);
+        return step;
+    }
+
+    // The item a station step just put on its station
+    startWait(dish, step, ingredientId) {
+        for (const station of this.kitchen.stationManager.getAllStations()) {
+            for (const item of station.currentItems.values()) {
+                const matches = ingredientId ? item.ingredient === ingredientId : !item.ingredient && item.action === step.action;
+                if (item.dish === dish && matches && !this.waits.some(wait => wait.item === item)) {
+                    this.waits.push({ item, station, label: `${station.name}: ${item.name}`, startedAt: this.kitchen.clock.now(), readyAt: null });
+                    return;
+                }
+            }
+        }
+    }
+
+    // Note when station items are done, and record them once they come off
+    trackWaits() {
+        const now = this.kitchen.clock.now();
+        
+        this.waits = this.waits.filter(wait => {
+            const onStation = Array.from(wait.station.currentItems.values()).includes(wait.item);
+            if (wait.item.isReady && wait.readyAt === null) {
+                wait.readyAt = now;
+            }
+            if (onStation) return true;
+            
+            const readyAt = wait.readyAt === null ? now : wait.readyAt;
+            this.recordStep('wait', wait.label, {
+                at: wait.startedAt - this.startedAt,
+                time: readyAt - wait.startedAt,
+                idle: now - readyAt,
+                burnt: wait.item.doneness === 'burnt'
+            });
+            return false;
+        });
+    }
+
+    // Sum up the served attempt and keep it if it is a personal best.
+    // The result: { dishId, dishName, attempt, time, steps, totals (ms per step type), wrongKeys, rating, best, isBest }
+    finishAttempt() {
+        this.trackProgress();
+        this.recordStep('final', 'Serve');
+        
+        const time = this.kitchen.clock.now() - this.startedAt;
+        const totals = {};
+        STEP_TYPES.forEach(type => {
+            totals[type] = this.steps.filter(step => step.type === type).reduce((total, step) => total + step.time, 0);
+        });
+        
+        const best = this.getBest();
+        const isBest = !best || time < best.time;
+        const result = {
+            dishId: this.dish.id,
+            dishName: this.dish.name,
+            attempt: this.attempts,
+            time,
+            steps: this.steps,
+            totals,
+            wrongKeys: this.wrongKeys,
+            rating: this.order.rating,
+            best,
+            isBest
+        };
+        
+        if (isBest) {
+            this.bests[this.dish.id] = { time, wrongKeys: this.wrongKeys, date: new Date().toISOString() };
+            this.saveBests();
+        }
+        
+        this.order = null;
+        this.emit('attemptCompleted', result);
+        return result;
+    }
+
+    // The personal best for a dish: { time, wrongKeys, date }, or null
+    getBest(dishId = this.dish.id) {
+        return this.bests[dishId] || null;
+    }
+
+    saveBests() {
+        if (this.storage) {
+            this.storage.setItem(PRACTICE_KEY, JSON.stringify(this.bests));
+        }
+    }
+
+    resetBests() {
+        this.bests = {};
+        this.saveBests();
+    }
+}
+
+return { loadPracticeBests, PracticeSession };
+}));
@@ -0,0 +1,86 @@
+/**
+ * Random - Seedable random numbers so a shift can be reproduced
+ * Everything random in the core draws from one SeededRandom owned by the
+ * kitchen. The same seed and the same player inputs always play out the same
+ * shift.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// A fresh 32-bit seed for shifts that don't ask for a particular one
+function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// Seeds typed by a person (URL, command line): numbers as-is, any other text hashed (FNV-1a)
+function parseSeed(value) {
+    if (typeof value === 'number') return value >>> 0;
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Mulberry32: small, fast and plenty random for a kitchen
+class SeededRandom {
+    constructor(seed = generateSeed()) {
+        this.reset(seed);
+    }
+
+    // Restart the sequence, from a new seed if one is given
+    reset(seed = this.seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+
+    // Pick with each entry's chance proportional to weightOf(entry)
+    pickWeighted(list, weightOf) {
+        const weights = list.map(weightOf);
+        let roll = this.next() * weights.reduce((sum, weight) => sum + weight, 0);
+        
+        for (let i = 0; i < list.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return list[i];
+        }
+        return list[list.length - 1];
+    }
+
+    // A plain function for helpers that take a Math.random replacement
+    asFunction() {
+        return () => this.next();
+    }
+}
+
+return { SeededRandom, generateSeed, parseSeed };
+}));
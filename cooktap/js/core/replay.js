@@ -0,0 +1,103 @@
+/**
+ * Replay - Records a shift's player inputs and plays them back
+ * A recording holds the shift's seed, its limits, its difficulty preset, its
+ * kitchen events config, the player's key bindings, the station upgrades in
+ * effect, the menu pack it was played in and every input with its game-clock
+ * time. Played back on a kitchen built from the same menu and customer config,
+ * it reproduces the shift exactly, which makes it useful for bug reports and
+ * for comparing runs.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const REPLAY_VERSION = 1;
+
+class ShiftRecorder {
+    constructor(kitchen) {
+        this.kitchen = kitchen;
+        this.recording = null;
+        this.startTime = 0;
+        
+        kitchen.on('shiftStarted', seed => this.begin(seed));
+        kitchen.on('input', input => {
+            if (this.recording) {
+                this.recording.inputs.push({ ...input, time: input.time - this.startTime });
+            }
+        });
+    }
+
+    begin(seed) {
+        const { kitchen } = this;
+        const { upgrades } = kitchen.stationManager;
+        const { menuConfig } = kitchen.dishSystem;
+        
+        const stationModifiers = {};
+        for (const station of kitchen.stationManager.getAllStations()) {
+            stationModifiers[station.id] = upgrades ? upgrades.getStationModifiers(station.id) : {};
+        }
+        
+        this.startTime = kitchen.clock.now();
+        this.recording = {
+            version: REPLAY_VERSION,
+            seed,
+            pack: menuConfig && menuConfig.pack ? menuConfig.pack.id : null,
+            shift: { ...kitchen.shift },
+            difficulty: kitchen.director.preset,
+            events: kitchen.events.config,
+            keyBindings: kitchen.dishSystem.keyProfile.toJSON(),
+            stationModifiers,
+            inputs: []
+        };
+    }
+
+    // The shift so far, with how long it has run and the stats it reached; null before a shift
+    getRecording() {
+        if (!this.recording) return null;
+        
+        return {
+            ...this.recording,
+            inputs: this.recording.inputs.slice(),
+            duration: this.kitchen.clock.now() - this.startTime,
+            stats: this.kitchen.getStats()
+        };
+    }
+}
+
+// Stand-in for the UpgradeShop a recording was made with (pass as the kitchen's upgrades option)
+function getRecordedUpgrades(recording) {
+    return { getStationModifiers: stationId => recording.stationModifiers[stationId] || {} };
+}
+
+// Play a recording on a fresh kitchen whose clock is stepped by hand ({ autoTick: false })
+function replayShift(kitchen, recording) {
+    if (recording.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${recording.version} (expected ${REPLAY_VERSION})`);
+    }
+
+    const { clock } = kitchen;
+    kitchen.setSeed(recording.seed);
+    kitchen.configureShift(recording.shift);
+    kitchen.setDifficulty(recording.difficulty);
+    kitchen.setEvents(recording.events || null);
+    kitchen.setKeyBindings(recording.keyBindings);
+    kitchen.start();
+
+    const startTime = clock.now();
+    for (const { time, ...input } of recording.inputs) {
+        clock.advanceTo(startTime + time);
+        kitchen.handleInput(input);
+    }
+    clock.advanceTo(startTime + recording.duration);
+
+    return kitchen.getStats();
+}
+
+return { REPLAY_VERSION, ShiftRecorder, getRecordedUpgrades, replayShift };
+}));
@@ -0,0 +1,304 @@
+/**
+ * Tutorial - Runs a scripted lesson on a live kitchen
+ * A tutorial (see config/tutorials.json) is a list of steps. Each step shows
+ * its text, can point at part of the page (highlight), can set something up
+ * when it starts (do: spawn an order for a dish, dirty a station) and waits
+ * until the player has done what it asks (until). A step without until waits
+ * for continue(). The player plays through the usual kitchen API, so a
+ * tutorial only watches: conditions are checked against the tutorial order's
+ * dish and the stations whenever they change.
+ *
+ * Step text can name keys as {ingredient:id}, {tool:id} or {control:id}; they
+ * are filled in with the player's own bindings.
+ *
+ * Events:
+ *   stepStarted (step)                 - see getStep()
+ *   completed ()
+ *   failed (reason)                    - the tutorial order expired
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./event-emitter'),
+            require('./key-bindings')
+        ));
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory(root.CookTapCore));
+    }
+}(typeof self !== 'undefined' ? self : this, function (core) {
+'use strict';
+
+const { EventEmitter, formatKey } = core;
+
+const DEFAULT_TUTORIAL_TIME_LIMIT = 600; // Seconds; tutorial orders are not a race
+
+// The item cooking for a dish's ingredient or final step, if one is on a station
+function findStationItem(kitchen, dish, target) {
+    for (const station of kitchen.stationManager.getAllStations()) {
+        for (const item of station.currentItems.values()) {
+            if (item.dish !== dish) continue;
+            if (target.ingredient ? item.ingredient === target.ingredient : !item.ingredient && item.action === target.tool) {
+                return item;
+            }
+        }
+    }
+    return null;
+}
+
+// Whether a cooked ingredient or final step has come off its station onto the dish
+function isRetrieved(kitchen, dish, target) {
+    if (target.ingredient) {
+        const state = dish.ingredientStates.get(target.ingredient);
+        return Boolean(state && state.isReady);
+    }
+
+    const stepIndex = dish.finalSteps.findIndex(step => step.action === target.tool);
+    return dish.finalStepsProgress > stepIndex && !findStationItem(kitchen, dish, target);
+}
+
+// What until can wait for: (kitchen, order, until) => met. Once met, they stay met
+// while the player keeps going, so a player who runs ahead skips the steps they did.
+const TUTORIAL_CONDITIONS = {
+    orderSelected: (kitchen, order) => order.isActive || order.isComplete,
+    ingredientAdded: (kitchen, order, until) => order.dish.currentIngredients.has(until.ingredient),
+    toolUsed: (kitchen, order, until) => {
+        const { dish } = order;
+        if (until.ingredient) {
+            const ingredient = dish.ingredients.find(ing => ing.id === until.ingredient);
+            const state = dish.ingredientStates.get(until.ingredient);
+            const stepIndex = ingredient.prepSteps.findIndex(step => step.action === until.tool);
+            return Boolean(state && state.prepStepsCompleted > stepIndex);
+        }
+        return dish.finalStepsProgress > dish.finalSteps.findIndex(step => step.action === until.tool);
+    },
+    cooked: (kitchen, order, until) => {
+        const item = findStationItem(kitchen, order.dish, until);
+        return item ? item.isReady : isRetrieved(kitchen, order.dish, until);
+    },
+    retrieved: (kitchen, order, until) => isRetrieved(kitchen, order.dish, until),
+    stationClean: (kitchen, order, until) => {
+        const station = kitchen.stationManager.getStation(until.station);
+        return !station.isBeingCleaned && station.currentCleanliness === station.maxCleanliness;
+    },
+    served: (kitchen, order) => order.isComplete && order.rating !== 'failed'
+};
+
+// What do can set up when a step starts
+const TUTORIAL_SETUPS = {
+    spawnOrder: (runner, setup) => {
+        const order = runner.kitchen.orderSystem.spawnOrder(setup.dish, {
+            timeLimit: setup.timeLimit || DEFAULT_TUTORIAL_TIME_LIMIT,
+            modifiers: []
+        });
+        if (!order) {
+            runner.fail(`Could not open a ${setup.dish} order`);
+            return;
+        }
+        runner.order = order;
+    },
+    dirtyStation: (runner, setup) => {
+        runner.kitchen.stationManager.getStation(setup.station).setCleanliness(setup.cleanliness || 0);
+    }
+};
+
+const HIGHLIGHT_TARGETS = ['order', 'station', 'ingredient', 'tool', 'controls'];
+
+// Check a tutorial against the loaded menu; throws on the first problem
+function validateTutorial(tutorial, dishSystem) {
+    if (!tutorial || !tutorial.id || !tutorial.name) {
+        throw new Error('A tutorial needs an id and a name');
+    }
+    if (!Array.isArray(tutorial.steps) || tutorial.steps.length === 0) {
+        throw new Error(`Tutorial "${tutorial.id}" needs a non-empty steps array`);
+    }
+
+    let dish = null; // The tutorial order's dish once a step has spawned it
+    tutorial.steps.forEach((step, index) => {
+        const fail = message => {
+            throw new Error(`Tutorial "${tutorial.id}" step ${index + 1}: ${message}`);
+        };
+        const checkStation = id => {
+            if (!dishSystem.getCookingStation(id)) fail(`unknown station "${id}"`);
+        };
+
+        if (typeof step.text !== 'string' || !step.text) fail('needs text');
+
+        if (step.do) {
+            if (!TUTORIAL_SETUPS[step.do.type]) fail(`unknown do type "${step.do.type}"`);
+            if (step.do.type === 'spawnOrder') {
+                dish = dishSystem.getDish(step.do.dish);
+                if (!dish) fail(`unknown dish "${step.do.dish}"`);
+            } else {
+                checkStation(step.do.station);
+            }
+        }
+
+        if (step.until) {
+            const { type, ingredient, tool, station } = step.until;
+            if (!TUTORIAL_CONDITIONS[type]) fail(`unknown until type "${type}"`);
+            if (type === 'stationClean') {
+                checkStation(station);
+                return;
+            }
+            if (!dish) fail(`"${type}" waits on an order, but no earlier step spawns one`);
+            if (ingredient && !dish.ingredients.some(ing => ing.id === ingredient)) {
+                fail(`${dish.name} has no ingredient "${ingredient}"`);
+            }
+            if (['toolUsed', 'cooked', 'retrieved'].includes(type) && !ingredient && !tool) {
+                fail(`"${type}" needs an ingredient or a tool`);
+            }
+            if (tool && !ingredient && !(dish.finalSteps || []).some(finalStep => finalStep.action === tool)) {
+                fail(`${dish.name} has no final step "${tool}"`);
+            }
+            if (tool && ingredient && !dish.ingredients.find(ing => ing.id === ingredient).prepSteps.some(prep => prep.action === tool)) {
+                fail(`${ingredient} is never prepared with "${tool}" in ${dish.name}`);
+            }
+            if (type === 'ingredientAdded' && !ingredient) fail('"ingredientAdded" needs an ingredient');
+        }
+
+        if (step.highlight) {
+            const targets = Object.keys(step.highlight);
+            if (targets.length !== 1 || !HIGHLIGHT_TARGETS.includes(targets[0])) {
+                fail(`highlight needs one of ${HIGHLIGHT_TARGETS.join(', ')}`);
+            }
+            if (targets[0] === 'station') checkStation(step.highlight.station);
+        }
+    });
+
+    return tutorial;
+}
+
+class TutorialRunner extends EventEmitter {
+    constructor(kitchen, tutorial) {
+        super();
+        this.kitchen = kitchen;
+        this.tutorial = validateTutorial(tutorial, kitchen.dishSystem);
+        this.stepIndex = -1;
+        this.order = null; // The order the tutorial spawned and watches
+        this.isRunning = false;
+        this.isComplete = false;
+        
+        this.handleChange = () => this.check();
+        this.handleExpired = order => {
+            if (order === this.order) this.fail(`The ${order.dishName} order ran out of time`);
+        };
+    }
+
+    // Shift settings for the tutorial: its dishes only, no orders but the ones it spawns and no kitchen events
+    getShift() {
+        const dishIds = this.tutorial.steps
+            .filter(step => step.do && step.do.type === 'spawnOrder')
+            .map(step => step.do.dish);
+        return { dishIds, duration: null, autoSpawn: false, events: false };
+    }
+
+    // Run the first step on a kitchen that has started its shift
+    start() {
+        if (this.isRunning || !this.kitchen.isRunning) return false;
+        
+        const { orderSystem, stationManager } = this.kitchen;
+        this.kitchen.on('dishUpdated', this.handleChange);
+        this.kitchen.on('orderServed', this.handleChange);
+        orderSystem.on('orderSelected', this.handleChange);
+        orderSystem.on('orderExpired', this.handleExpired);
+        stationManager.on('slotChanged', this.handleChange);
+        stationManager.on('cleaningComplete', this.handleChange);
+        
+        this.isRunning = true;
+        this.advance();
+        this.check();
+        return true;
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+        
+        const { orderSystem, stationManager } = this.kitchen;
+        this.kitchen.off('dishUpdated', this.handleChange);
+        this.kitchen.off('orderServed', this.handleChange);
+        orderSystem.off('orderSelected', this.handleChange);
+        orderSystem.off('orderExpired', this.handleExpired);
+        stationManager.off('slotChanged', this.handleChange);
+        stationManager.off('cleaningComplete', this.handleChange);
+        this.isRunning = false;
+    }
+
+    // The current step as shown to the player: { index, count, text, highlight, waitsForContinue }
+    getStep() {
+        const step = this.tutorial.steps[this.stepIndex];
+        if (!step) return null;
+        
+        return {
+            index: this.stepIndex,
+            count: this.tutorial.steps.length,
+            text: this.formatText(step.text),
+            highlight: step.highlight || null,
+            waitsForContinue: !step.until
+        };
+    }
+
+    // Fill in {ingredient:id}, {tool:id} and {control:id} with the keys bound to them
+    formatText(text) {
+        const { dishSystem } = this.kitchen;
+        return text.replace(/\{(ingredient|tool|control):([^}]+)\}/g, (match, type, id) => {
+            if (type === 'control') return dishSystem.keyProfile.getControlLabel(id);
+            
+            const key = (this.order && dishSystem.getKeyFor(this.order.dish, type, id)) || dishSystem.getDefaultKey(type, id);
+            return key ? formatKey(key) : match;
+        });
+    }
+
+    // Move past a step that only shows text
+    continue() {
+        const step = this.tutorial.steps[this.stepIndex];
+        if (!this.isRunning || !step || step.until) return false;
+        
+        this.advance();
+        this.check();
+        return true;
+    }
+
+    // Move through every step whose condition is met by now
+    check() {
+        let advanced = false;
+        while (this.isRunning && this.isStepDone()) {
+            this.advance();
+            advanced = true;
+        }
+        return advanced;
+    }
+
+    isStepDone() {
+        const step = this.tutorial.steps[this.stepIndex];
+        if (!step || !step.until) return false;
+        if (!this.order && step.until.type !== 'stationClean') return false;
+        
+        return TUTORIAL_CONDITIONS[step.until.type](this.kitchen, this.order, step.until);
+    }
+
+    advance() {
+        this.stepIndex++;
+        const step = this.tutorial.steps[this.stepIndex];
+        if (!step) {
+            this.stop();
+            this.isComplete = true;
+            this.emit('completed');
+            return;
+        }
+        
+        if (step.do) {
+            TUTORIAL_SETUPS[step.do.type](this, step.do);
+            if (!this.isRunning) return;
+        }
+        this.emit('stepStarted', this.getStep());
+    }
+
+    fail(reason) {
+        this.stop();
+        this.emit('failed', reason);
+    }
+}
+
+return { TUTORIAL_CONDITIONS, validateTutorial, TutorialRunner };
+}));
@@ -0,0 +1,140 @@
+/**
+ * Upgrade Shop - Spends shift earnings on station upgrades between shifts
+ * Upgrades come from config/upgrades.json; each has levels with a cost and an
+ * effect value. The balance and bought levels are saved through any
+ * localStorage-like object passed in (window.localStorage in the browser).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CookTapCore = Object.assign(root.CookTapCore || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+const PROGRESS_KEY = 'cookTap.upgrades';
+
+// How an effect changes a station, and how several upgrades with it combine
+const UPGRADE_EFFECTS = {
+    extraSlots: { describe: value => `+${value} slot(s)`, combine: (a, b) => a + b },
+    cookingSpeed: { describe: value => `${Math.round(value * 100)}% cooking time`, combine: (a, b) => a * b },
+    maxCleanliness: { describe: value => `${value} cleanliness`, combine: Math.max },
+    cleaningTime: { describe: value => `${value / 1000}s cleaning`, combine: Math.min },
+    autoClean: { describe: value => `auto-clean at ${value}`, combine: Math.max }
+};
+
+class UpgradeShop {
+    constructor(config, storage = null) {
+        if (!config || !Array.isArray(config.upgrades)) {
+            throw new Error('Upgrade config needs an upgrades array');
+        }
+        
+        config.upgrades.forEach(upgrade => {
+            if (!UPGRADE_EFFECTS[upgrade.effect]) {
+                throw new Error(`Upgrade "${upgrade.id}" has unknown effect "${upgrade.effect}"`);
+            }
+            if (!Array.isArray(upgrade.levels) || upgrade.levels.length === 0) {
+                throw new Error(`Upgrade "${upgrade.id}" needs at least one level`);
+            }
+        });
+        
+        this.upgrades = config.upgrades;
+        this.storage = storage;
+        this.progress = this.loadProgress();
+    }
+
+    get balance() {
+        return this.progress.balance;
+    }
+
+    getUpgrade(upgradeId) {
+        return this.upgrades.find(upgrade => upgrade.id === upgradeId) || null;
+    }
+
+    // Number of levels bought (0 = not owned)
+    getLevel(upgradeId) {
+        return this.progress.levels[upgradeId] || 0;
+    }
+
+    // The next level for sale, or null once maxed out
+    getNextLevel(upgradeId) {
+        const upgrade = this.getUpgrade(upgradeId);
+        return upgrade ? upgrade.levels[this.getLevel(upgradeId)] || null : null;
+    }
+
+    describeLevel(upgrade, level) {
+        return UPGRADE_EFFECTS[upgrade.effect].describe(level.value);
+    }
+
+    // Bank a finished shift's earnings; losses are not taken from the balance
+    deposit(amount) {
+        if (amount > 0) {
+            this.progress.balance += amount;
+            this.saveProgress();
+        }
+        return this.balance;
+    }
+
+    canBuy(upgradeId) {
+        const level = this.getNextLevel(upgradeId);
+        return Boolean(level && level.cost <= this.balance);
+    }
+
+    // Buy the next level of an upgrade; returns false if maxed out or unaffordable
+    purchase(upgradeId) {
+        if (!this.canBuy(upgradeId)) return false;
+        
+        this.progress.balance -= this.getNextLevel(upgradeId).cost;
+        this.progress.levels[upgradeId] = this.getLevel(upgradeId) + 1;
+        this.saveProgress();
+        
+        console.log(`Bought ${this.getUpgrade(upgradeId).name} level ${this.getLevel(upgradeId)}`);
+        return true;
+    }
+
+    // Combined effect values of every owned upgrade that applies to a cooking station
+    getStationModifiers(stationId) {
+        const modifiers = {};
+        
+        for (const upgrade of this.upgrades) {
+            const level = this.getLevel(upgrade.id);
+            if (level === 0) continue;
+            if (upgrade.stations && !upgrade.stations.includes(stationId)) continue;
+            
+            const value = upgrade.levels[level - 1].value;
+            const { combine } = UPGRADE_EFFECTS[upgrade.effect];
+            modifiers[upgrade.effect] = upgrade.effect in modifiers ? combine(modifiers[upgrade.effect], value) : value;
+        }
+        
+        return modifiers;
+    }
+
+    loadProgress() {
+        const empty = { balance: 0, levels: {} };
+        if (!this.storage) return empty;
+        
+        try {
+            const saved = JSON.parse(this.storage.getItem(PROGRESS_KEY));
+            return saved && saved.levels ? { ...empty, ...saved } : empty;
+        } catch (error) {
+            console.warn('Ignoring unreadable upgrade progress:', error);
+            return empty;
+        }
+    }
+
+    saveProgress() {
+        if (this.storage) {
+            this.storage.setItem(PROGRESS_KEY, JSON.stringify(this.progress));
+        }
+    }
+
+    resetProgress() {
+        this.progress = { balance: 0, levels: {} };
+        this.saveProgress();
+    }
+}
+
+return { UPGRADE_EFFECTS, UpgradeShop };
+}));
@@ -0,0 +1,717 @@
+/**
+ * Menu Editor - Edits a draft of config/menu.json in the browser
+ * The draft is kept in menu.json's own format, checked with the core menu
+ * validator on every change and autosaved to localStorage. Playtest hands the
+ * draft to the game page (index.html?menu=draft), which swaps it in without
+ * reloading.
+ *
+ * Form fields name the part of the draft they edit with data-path, written
+ * the way the validator reports problems (e.g. dishes[0].finalSteps[1].key),
+ * so every reported problem can be pinned to its field.
+ */
+
+class MenuEditor {
+    constructor(root) {
+        this.root = root;
+        this.menu = null;
+        this.report = { errors: [], warnings: [] };
+        this.tab = 'dishes';
+        this.selectedDish = 0;
+        this.status = null; // { message, isError }
+        this.focusValue = null; // Value of the focused field before editing (for id renames)
+        this.playtestWindow = null;
+        
+        root.addEventListener('focusin', (event) => {
+            this.focusValue = event.target.value;
+        });
+        root.addEventListener('input', (event) => this.handleInput(event));
+        root.addEventListener('change', (event) => this.handleChange(event));
+        root.addEventListener('click', (event) => this.handleClick(event));
+    }
+
+    // Pick up the autosaved draft, or start from the served menu.json
+    async load() {
+        const draft = window.localStorage.getItem('cookTap.menuEditorDraft');
+        if (draft) {
+            try {
+                this.setMenu(this.parseMenu(draft));
+                this.showStatus('Restored your saved draft');
+                return;
+            } catch (error) {
+                console.warn('Could not restore the saved draft, loading config/menu.json instead:', error);
+            }
+        }
+        
+        await this.loadFromServer();
+    }
+
+    // A menu whose lists or entries are the wrong type can't be drawn as forms, so it is refused whole
+    parseMenu(text) {
+        const menu = JSON.parse(text);
+        const [problem] = CookTapCore.validateMenu(menu).errors.filter(error => error.shape);
+        if (problem) {
+            throw new Error(`${problem.path}: ${problem.message}`);
+        }
+        return menu;
+    }
+
+    async loadFromServer() {
+        try {
+            const response = await fetch('./config/menu.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.setMenu(await response.json());
+            this.showStatus('Loaded config/menu.json');
+        } catch (error) {
+            console.warn('Could not load config/menu.json, starting an empty menu:', error);
+            this.setMenu({ ingredients: [], tools: [], cookingStations: {}, dishes: [] });
+            this.showStatus('Could not load config/menu.json, started an empty menu', true);
+        }
+    }
+
+    setMenu(menu) {
+        this.menu = menu;
+        this.selectedDish = 0;
+        this.update(true);
+    }
+
+    // Re-check and autosave the draft; structural changes also redraw the forms
+    update(redraw) {
+        this.report = CookTapCore.validateMenu(this.menu);
+        window.localStorage.setItem('cookTap.menuEditorDraft', JSON.stringify(this.menu));
+        
+        if (redraw) {
+            this.render();
+        } else {
+            this.renderIssues();
+            this.markFields();
+            this.renderKeyBindings();
+        }
+    }
+
+    showStatus(message, isError = false) {
+        this.status = { message, isError };
+        const element = this.root.querySelector('.editor-status');
+        if (element) {
+            element.textContent = message;
+            element.classList.toggle('error', isError);
+        }
+    }
+
+    // Draft paths use the validator's notation: dishes[0].ingredients[1].id
+    parsePath(path) {
+        return path.split(/\.|\[(\d+)\]/).filter(part => part !== undefined && part !== '')
+            .map(part => (/^\d+$/.test(part) ? Number(part) : part));
+    }
+
+    getAt(path) {
+        return this.parsePath(path).reduce((value, part) => (value == null ? undefined : value[part]), this.menu);
+    }
+
+    setAt(path, value) {
+        const parts = this.parsePath(path);
+        const last = parts.pop();
+        const parent = parts.reduce((object, part) => object[part], this.menu);
+        
+        if (value === undefined) {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+    }
+
+    // Read a form field as the value it stands for; empty optional fields are left out
+    readField(element) {
+        const { type, optional } = element.dataset;
+        
+        if (type === 'checkbox') return element.checked;
+        if (element.value === '' && optional !== undefined) return undefined;
+        if (type === 'number') return element.value === '' ? undefined : Number(element.value);
+        return element.value;
+    }
+
+    handleInput(event) {
+        const element = event.target;
+        if (!element.dataset.path || element.tagName === 'SELECT' || element.type === 'checkbox') return;
+        
+        this.setAt(element.dataset.path, this.readField(element));
+        this.update(false);
+    }
+
+    handleChange(event) {
+        const element = event.target;
+        
+        if (element.id === 'import-file') {
+            this.importFile(element.files[0]);
+            return;
+        }
+        
+        if (element.dataset.stationId !== undefined) {
+            this.renameStation(element.dataset.stationId, element.value.trim());
+            return;
+        }
+        
+        if (element.dataset.type === 'action') {
+            const actions = this.getAt(element.dataset.path);
+            const index = actions.indexOf(element.dataset.action);
+            if (element.checked && index === -1) actions.push(element.dataset.action);
+            if (!element.checked && index !== -1) actions.splice(index, 1);
+            this.update(false);
+            return;
+        }
+        
+        if (!element.dataset.path) return;
+        
+        this.setAt(element.dataset.path, this.readField(element));
+        if (element.dataset.rename && this.focusValue && this.focusValue !== element.value) {
+            this.renameReferences(element.dataset.rename, this.focusValue, element.value);
+        }
+        
+        // Ids, names and selects show up elsewhere in the forms
+        const redraw = element.tagName === 'SELECT' || element.type === 'checkbox' || element.dataset.redraw !== undefined;
+        this.update(redraw);
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-op]');
+        if (!button) return;
+        
+        const { op, list, index, template } = button.dataset;
+        const position = Number(index);
+        
+        switch (op) {
+            case 'tab':
+                this.tab = button.dataset.tab;
+                this.render();
+                return;
+            case 'select-dish':
+                this.selectedDish = position;
+                this.render();
+                return;
+            case 'goto':
+                this.goTo(button.dataset.path);
+                return;
+            case 'import':
+                this.root.querySelector('#import-file').click();
+                return;
+            case 'revert':
+                this.loadFromServer();
+                return;
+            case 'export':
+                this.exportMenu();
+                return;
+            case 'playtest':
+                this.playtest();
+                return;
+            case 'add-station':
+                this.addStation();
+                break;
+            case 'remove-station':
+                delete this.menu.cookingStations[button.dataset.station];
+                break;
+            case 'add':
+                if (!this.getAt(list)) this.setAt(list, []);
+                this.getAt(list).push(this.createItem(template, list));
+                if (list === 'dishes') this.selectedDish = this.menu.dishes.length - 1;
+                break;
+            case 'remove':
+                this.getAt(list).splice(position, 1);
+                // A step left with no doneness zones goes back to its plain done window
+                if (list.endsWith('.doneness') && this.getAt(list).length === 0) this.setAt(list, undefined);
+                if (list === 'dishes') this.selectedDish = Math.max(0, Math.min(this.selectedDish, this.menu.dishes.length - 1));
+                break;
+            case 'up':
+            case 'down': {
+                const items = this.getAt(list);
+                const target = op === 'up' ? position - 1 : position + 1;
+                if (target < 0 || target >= items.length) return;
+                [items[position], items[target]] = [items[target], items[position]];
+                if (list === 'dishes' && this.selectedDish === position) this.selectedDish = target;
+                break;
+            }
+            default:
+                return;
+        }
+        
+        this.update(true);
+    }
+
+    // A fresh entry for a list, filled with the first sensible choices
+    createItem(template, list) {
+        const menu = this.menu;
+        const firstTool = menu.tools[0];
+        
+        switch (template) {
+            case 'ingredient':
+                return { id: this.uniqueId('new_ingredient', menu.ingredients.map(ing => ing.id)), name: 'New Ingredient', category: 'vegetable', baseColor: '#90ee90', key: '' };
+            case 'tool':
+                return { id: this.uniqueId('new_tool', menu.tools.map(tool => tool.id)), name: 'New Tool', category: 'cut', baseColor: '#c0c0c0', key: '' };
+            case 'dish':
+                return {
+                    id: this.uniqueId('new_dish', menu.dishes.map(dish => dish.id)),
+                    name: 'New Dish',
+                    station: Object.keys(menu.cookingStations)[0] || 'prep',
+                    baseColor: '#ffffff',
+                    difficulty: 1,
+                    prepTime: 30,
+                    ingredients: [],
+                    finalSteps: []
+                };
+            case 'dishIngredient':
+                return { id: menu.ingredients[0] ? menu.ingredients[0].id : '', required: true, prepSteps: [] };
+            case 'step':
+                return { action: firstTool ? firstTool.id : '', description: '', key: firstTool ? firstTool.key : '' };
+            case 'donenessZone':
+                return { id: this.uniqueId('zone', this.getAt(list).map(zone => zone.id)), name: 'New Zone', time: 2000 };
+            default:
+                return {};
+        }
+    }
+
+    uniqueId(base, existingIds) {
+        let id = base;
+        for (let n = 2; existingIds.includes(id); n++) {
+            id = `${base}_${n}`;
+        }
+        return id;
+    }
+
+    addStation() {
+        const id = this.uniqueId('new_station', Object.keys(this.menu.cookingStations));
+        this.menu.cookingStations[id] = { name: 'New Station', allowedActions: [], color: '#6c757d', cookingSlots: 1 };
+    }
+
+    // Stations are keyed by id, so renaming one rebuilds the object in the same order
+    renameStation(oldId, newId) {
+        if (!newId || newId === oldId || this.menu.cookingStations[newId]) {
+            this.render();
+            return;
+        }
+        
+        this.menu.cookingStations = Object.fromEntries(Object.entries(this.menu.cookingStations)
+            .map(([id, station]) => [id === oldId ? newId : id, station]));
+        this.renameReferences('station', oldId, newId);
+        this.update(true);
+    }
+
+    // Keep dishes and stations pointing at a renamed ingredient, tool or station
+    renameReferences(kind, oldId, newId) {
+        const steps = this.menu.dishes.flatMap(dish => [
+            ...(dish.ingredients || []).flatMap(ingredient => ingredient.prepSteps || []),
+            ...(dish.finalSteps || [])
+        ]);
+        
+        if (kind === 'ingredient') {
+            this.menu.dishes.forEach(dish => (dish.ingredients || []).forEach(ingredient => {
+                if (ingredient.id === oldId) ingredient.id = newId;
+            }));
+        } else if (kind === 'tool') {
+            Object.values(this.menu.cookingStations).forEach(station => {
+                station.allowedActions = (station.allowedActions || []).map(action => (action === oldId ? newId : action));
+            });
+            steps.forEach(step => {
+                if (step.action === oldId) step.action = newId;
+            });
+        } else if (kind === 'station') {
+            this.menu.dishes.forEach(dish => {
+                if (dish.station === oldId) dish.station = newId;
+            });
+            steps.forEach(step => {
+                if (step.station === oldId) step.station = newId;
+            });
+        }
+    }
+
+    // Show the tab (and dish) a reported problem is in and focus its field
+    goTo(path) {
+        const [section, index] = this.parsePath(path);
+        this.tab = section === 'cookingStations' ? 'stations' : section;
+        if (section === 'dishes' && typeof index === 'number') {
+            this.selectedDish = index;
+        }
+        this.render();
+        
+        const [field] = this.getFields(path);
+        if (field) field.focus();
+    }
+
+    getFields(path) {
+        return Array.from(this.root.querySelectorAll('[data-path]')).filter(element => element.dataset.path === path);
+    }
+
+    async importFile(file) {
+        if (!file) return;
+        
+        try {
+            this.setMenu(this.parseMenu(await file.text()));
+            this.showStatus(`Imported ${file.name}`);
+        } catch (error) {
+            this.showStatus(`Could not import ${file.name}: ${error.message}`, true);
+        }
+    }
+
+    exportMenu() {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([`${JSON.stringify(this.menu, null, 2)}\n`], { type: 'application/json' }));
+        link.download = 'menu.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        
+        this.showStatus(this.report.errors.length > 0
+            ? `Exported menu.json with ${this.report.errors.length} error(s); the game will refuse to load it`
+            : 'Exported menu.json', this.report.errors.length > 0);
+    }
+
+    // The game tab swaps the draft in by itself when it is already open
+    playtest() {
+        if (this.report.errors.length > 0) {
+            this.showStatus(`Fix ${this.report.errors.length} error(s) before playtesting`, true);
+            return false;
+        }
+        
+        window.localStorage.setItem('cookTap.playtestMenu', JSON.stringify({ savedAt: Date.now(), menu: this.menu }));
+        
+        if (this.playtestWindow && !this.playtestWindow.closed) {
+            this.playtestWindow.focus();
+        } else {
+            this.playtestWindow = window.open('index.html?menu=draft', 'cooktap-playtest');
+        }
+        
+        this.showStatus('Draft sent to the playtest tab');
+        return true;
+    }
+
+    // One labelled form field bound to a draft path
+    field(path, label, options = {}) {
+        const { type = 'text', optional = false, redraw = false, rename = null, choices = null } = options;
+        const value = this.getAt(path);
+        const attributes = `data-path="${CookTapCore.escapeHtml(path)}" data-type="${type}" title="${CookTapCore.escapeHtml(label)}"` +
+            (optional ? ' data-optional' : '') + (redraw ? ' data-redraw' : '') + (rename ? ` data-rename="${rename}"` : '');
+        
+        let control;
+        if (choices) {
+            const known = choices.some(choice => choice.value === (value || ''));
+            control = `<select ${attributes}>
+                ${known ? '' : `<option value="${CookTapCore.escapeHtml(value)}" selected>${CookTapCore.escapeHtml(value)} (unknown)</option>`}
+                ${choices.map(choice => `<option value="${CookTapCore.escapeHtml(choice.value)}" ${choice.value === (value || '') ? 'selected' : ''}>${CookTapCore.escapeHtml(choice.label)}</option>`).join('')}
+            </select>`;
+        } else if (type === 'checkbox') {
+            control = `<input type="checkbox" ${attributes} ${value ? 'checked' : ''}>`;
+        } else {
+            const inputType = type === 'number' ? 'number' : type === 'color' ? 'color' : 'text';
+            control = `<input type="${inputType}" ${attributes} value="${CookTapCore.escapeHtml(value)}">`;
+        }
+        
+        return `<label class="field field-${type}"><span>${CookTapCore.escapeHtml(label)}</span>${control}</label>`;
+    }
+
+    listButtons(list, index) {
+        return `
+            <span class="list-buttons">
+                <button data-op="up" data-list="${list}" data-index="${index}" title="Move up">▲</button>
+                <button data-op="down" data-list="${list}" data-index="${index}" title="Move down">▼</button>
+                <button data-op="remove" data-list="${list}" data-index="${index}" title="Remove" class="danger">✕</button>
+            </span>
+        `;
+    }
+
+    toolChoices() {
+        return this.menu.tools.map(tool => ({ value: tool.id, label: `${tool.name} (${tool.id})` }));
+    }
+
+    stationChoices(emptyLabel = null) {
+        const choices = Object.entries(this.menu.cookingStations).map(([id, station]) => ({ value: id, label: station.name || id }));
+        return emptyLabel ? [{ value: '', label: emptyLabel }, ...choices] : choices;
+    }
+
+    render() {
+        const tabs = [['ingredients', 'Ingredients'], ['tools', 'Tools'], ['stations', 'Stations'], ['dishes', 'Dishes']];
+        
+        this.root.innerHTML = `
+            <header class="editor-toolbar">
+                <h1>Cook Tap Menu Editor</h1>
+                <div class="editor-actions">
+                    <button data-op="import">Import…</button>
+                    <input type="file" id="import-file" accept=".json,application/json" hidden>
+                    <button data-op="revert">Load config/menu.json</button>
+                    <button data-op="export">Export menu.json</button>
+                    <button data-op="playtest" class="primary">Playtest</button>
+                </div>
+                <div class="editor-status ${this.status && this.status.isError ? 'error' : ''}">${this.status ? CookTapCore.escapeHtml(this.status.message) : ''}</div>
+            </header>
+            <nav class="editor-tabs">
+                ${tabs.map(([id, label]) => `<button data-op="tab" data-tab="${id}" class="${this.tab === id ? 'active' : ''}">${label}</button>`).join('')}
+            </nav>
+            <div class="editor-body">
+                <main class="editor-panel">${this.renderTab()}</main>
+                <aside class="editor-issues"></aside>
+            </div>
+        `;
+        
+        this.renderIssues();
+        this.markFields();
+        this.renderKeyBindings();
+    }
+
+    renderTab() {
+        if (this.tab === 'ingredients') return this.renderIngredients();
+        if (this.tab === 'tools') return this.renderTools();
+        if (this.tab === 'stations') return this.renderStations();
+        return this.renderDishes();
+    }
+
+    renderIngredients() {
+        return `
+            <table class="editor-table">
+                <thead><tr><th>Id</th><th>Name</th><th>Category</th><th>Color</th><th>Key</th><th>Stock</th><th>Restock cost</th><th>Restock amount</th><th>Restock time (ms)</th><th></th></tr></thead>
+                <tbody>
+                    ${this.menu.ingredients.map((ingredient, index) => {
+                        const path = `ingredients[${index}]`;
+                        return `<tr>
+                            <td>${this.field(`${path}.id`, 'Id', { redraw: true, rename: 'ingredient' })}</td>
+                            <td>${this.field(`${path}.name`, 'Name', { redraw: true })}</td>
+                            <td>${this.field(`${path}.category`, 'Category')}</td>
+                            <td>${this.field(`${path}.baseColor`, 'Color', { type: 'color' })}</td>
+                            <td>${this.field(`${path}.key`, 'Key')}</td>
+                            <td>${this.field(`${path}.stock`, 'Stock', { type: 'number', optional: true })}</td>
+                            <td>${this.field(`${path}.restockCost`, 'Restock cost', { type: 'number', optional: true })}</td>
+                            <td>${this.field(`${path}.restockAmount`, 'Restock amount', { type: 'number', optional: true })}</td>
+                            <td>${this.field(`${path}.restockTime`, 'Restock time', { type: 'number', optional: true })}</td>
+                            <td>${this.listButtons('ingredients', index)}</td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+            <button data-op="add" data-list="ingredients" data-template="ingredient">+ Add ingredient</button>
+        `;
+    }
+
+    renderTools() {
+        return `
+            <table class="editor-table">
+                <thead><tr><th>Id</th><th>Name</th><th>Category</th><th>Color</th><th>Key</th><th></th></tr></thead>
+                <tbody>
+                    ${this.menu.tools.map((tool, index) => {
+                        const path = `tools[${index}]`;
+                        return `<tr>
+                            <td>${this.field(`${path}.id`, 'Id', { redraw: true, rename: 'tool' })}</td>
+                            <td>${this.field(`${path}.name`, 'Name', { redraw: true })}</td>
+                            <td>${this.field(`${path}.category`, 'Category')}</td>
+                            <td>${this.field(`${path}.baseColor`, 'Color', { type: 'color' })}</td>
+                            <td>${this.field(`${path}.key`, 'Key')}</td>
+                            <td>${this.listButtons('tools', index)}</td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+            <button data-op="add" data-list="tools" data-template="tool">+ Add tool</button>
+        `;
+    }
+
+    renderStations() {
+        return `
+            <div class="station-cards">
+                ${Object.entries(this.menu.cookingStations).map(([id, station]) => {
+                    const path = `cookingStations.${id}`;
+                    const allowed = station.allowedActions || [];
+                    return `<section class="editor-card">
+                        <div class="card-header">
+                            <label class="field"><span>Id</span><input type="text" data-station-id="${CookTapCore.escapeHtml(id)}" value="${CookTapCore.escapeHtml(id)}"></label>
+                            <button data-op="remove-station" data-station="${CookTapCore.escapeHtml(id)}" class="danger" title="Remove">✕</button>
+                        </div>
+                        ${this.field(`${path}.name`, 'Name', { redraw: true })}
+                        ${this.field(`${path}.color`, 'Color', { type: 'color' })}
+                        ${this.field(`${path}.cookingSlots`, 'Cooking slots', { type: 'number', optional: true })}
+                        <fieldset class="allowed-actions" data-path="${CookTapCore.escapeHtml(`${path}.allowedActions`)}">
+                            <legend>Allowed actions</legend>
+                            ${this.menu.tools.map(tool => `
+                                <label><input type="checkbox" data-path="${CookTapCore.escapeHtml(`${path}.allowedActions`)}" data-type="action" data-action="${CookTapCore.escapeHtml(tool.id)}" ${allowed.includes(tool.id) ? 'checked' : ''}> ${CookTapCore.escapeHtml(tool.name)}</label>
+                            `).join('')}
+                        </fieldset>
+                    </section>`;
+                }).join('')}
+            </div>
+            <button data-op="add-station">+ Add station</button>
+        `;
+    }
+
+    renderDishes() {
+        const dishes = this.menu.dishes;
+        const dish = dishes[this.selectedDish];
+        
+        return `
+            <div class="dish-editor">
+                <div class="dish-list">
+                    ${dishes.map((entry, index) => `
+                        <button data-op="select-dish" data-index="${index}" class="${index === this.selectedDish ? 'active' : ''}">${CookTapCore.escapeHtml(entry.name || entry.id)}</button>
+                    `).join('')}
+                    <button data-op="add" data-list="dishes" data-template="dish">+ Add dish</button>
+                </div>
+                ${dish ? this.renderDish(dish, `dishes[${this.selectedDish}]`) : '<p>No dishes yet.</p>'}
+            </div>
+        `;
+    }
+
+    renderDish(dish, path) {
+        const ingredientChoices = this.menu.ingredients.map(ing => ({ value: ing.id, label: ing.name || ing.id }));
+        
+        return `
+            <div class="dish-form">
+                <section class="editor-card">
+                    <div class="card-header">
+                        <h2>${CookTapCore.escapeHtml(dish.name || dish.id)}</h2>
+                        ${this.listButtons('dishes', this.selectedDish)}
+                    </div>
+                    <div class="field-row">
+                        ${this.field(`${path}.id`, 'Id', { redraw: true })}
+                        ${this.field(`${path}.name`, 'Name', { redraw: true })}
+                        ${this.field(`${path}.station`, 'Station', { choices: this.stationChoices() })}
+                        ${this.field(`${path}.baseColor`, 'Color', { type: 'color' })}
+                        ${this.field(`${path}.difficulty`, 'Difficulty', { type: 'number' })}
+                        ${this.field(`${path}.prepTime`, 'Prep time (s)', { type: 'number', optional: true })}
+                    </div>
+                </section>
+                <section class="editor-card">
+                    <h3>Ingredients</h3>
+                    <ol class="ordered-list">
+                        ${(dish.ingredients || []).map((ingredient, index) => {
+                            const ingredientPath = `${path}.ingredients[${index}]`;
+                            return `<li>
+                                <div class="list-row">
+                                    ${this.field(`${ingredientPath}.id`, 'Ingredient', { choices: ingredientChoices })}
+                                    ${this.field(`${ingredientPath}.required`, 'Required', { type: 'checkbox' })}
+                                    ${this.listButtons(`${path}.ingredients`, index)}
+                                </div>
+                                <div class="nested-steps">
+                                    <h4>Prep steps</h4>
+                                    ${this.renderSteps(`${ingredientPath}.prepSteps`, ingredient.prepSteps || [])}
+                                </div>
+                            </li>`;
+                        }).join('')}
+                    </ol>
+                    <button data-op="add" data-list="${path}.ingredients" data-template="dishIngredient">+ Add ingredient</button>
+                </section>
+                <section class="editor-card">
+                    <h3>Final steps</h3>
+                    ${this.renderSteps(`${path}.finalSteps`, dish.finalSteps || [])}
+                </section>
+                <section class="editor-card">
+                    <h3>Keys in this dish</h3>
+                    <div class="dish-keys"></div>
+                </section>
+            </div>
+        `;
+    }
+
+    renderSteps(listPath, steps) {
+        return `
+            <ol class="ordered-list step-list">
+                ${steps.map((step, index) => {
+                    const path = `${listPath}[${index}]`;
+                    return `<li class="list-row">
+                        ${this.field(`${path}.action`, 'Action', { choices: this.toolChoices() })}
+                        ${this.field(`${path}.description`, 'Description')}
+                        ${this.field(`${path}.station`, 'Station', { choices: this.stationChoices('(dish station)'), optional: true })}
+                        ${this.field(`${path}.time`, 'Time (ms)', { type: 'number', optional: true })}
+                        ${this.field(`${path}.doneWindow`, 'Done window', { type: 'number', optional: true })}
+                        ${this.field(`${path}.overcookWindow`, 'Overcook window', { type: 'number', optional: true })}
+                        ${this.field(`${path}.key`, 'Key')}
+                        ${this.listButtons(listPath, index)}
+                        ${this.renderDonenessZones(path, step)}
+                    </li>`;
+                }).join('')}
+            </ol>
+            <button data-op="add" data-list="${listPath}" data-template="step">+ Add step</button>
+        `;
+    }
+
+    // A cooking step's doneness zones, in the order the item passes through them
+    renderDonenessZones(stepPath, step) {
+        const isCookingStep = step.station && step.station !== 'prep' && this.menu.cookingStations[step.station];
+        if (!isCookingStep) return '';
+        
+        const listPath = `${stepPath}.doneness`;
+        return `
+            <div class="doneness-zones">
+                ${(step.doneness || []).map((zone, index) => `<div class="list-row">
+                    ${this.field(`${listPath}[${index}].id`, 'Zone id')}
+                    ${this.field(`${listPath}[${index}].name`, 'Zone name')}
+                    ${this.field(`${listPath}[${index}].time`, 'Zone time (ms)', { type: 'number' })}
+                    ${this.listButtons(listPath, index)}
+                </div>`).join('')}
+                <button data-op="add" data-list="${listPath}" data-template="donenessZone">+ Add doneness zone</button>
+            </div>
+        `;
+    }
+
+    renderIssues() {
+        const panel = this.root.querySelector('.editor-issues');
+        if (!panel) return;
+        
+        const issues = [...this.report.errors, ...this.report.warnings];
+        panel.innerHTML = `
+            <h2>Checks</h2>
+            <p class="${this.report.errors.length > 0 ? 'has-errors' : 'all-clear'}">
+                ${this.report.errors.length} error(s), ${this.report.warnings.length} warning(s)
+            </p>
+            <ul>
+                ${issues.map(issue => `
+                    <li class="${issue.severity}">
+                        <button data-op="goto" data-path="${CookTapCore.escapeHtml(issue.path)}"><code>${CookTapCore.escapeHtml(issue.path)}</code></button>
+                        ${CookTapCore.escapeHtml(issue.message)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // Outline every field the checks complain about, with the complaint as its tooltip
+    markFields() {
+        this.root.querySelectorAll('.field-error, .field-warning').forEach(element => {
+            element.classList.remove('field-error', 'field-warning');
+            element.title = element.dataset.label || element.title;
+        });
+        
+        [...this.report.warnings, ...this.report.errors].forEach(issue => {
+            this.getFields(issue.path).forEach(element => {
+                element.dataset.label = element.dataset.label || element.title;
+                element.classList.remove('field-warning');
+                element.classList.add(issue.severity === 'error' ? 'field-error' : 'field-warning');
+                element.title = issue.message;
+            });
+        });
+    }
+
+    // The keys the game will actually bind for the selected dish, after remapping clashes
+    renderKeyBindings() {
+        const panel = this.root.querySelector('.dish-keys');
+        const dish = this.menu.dishes[this.selectedDish];
+        if (!panel || !dish) return;
+        
+        let bindings;
+        try {
+            const getIngredient = id => this.menu.ingredients.find(ingredient => ingredient.id === id);
+            bindings = CookTapCore.resolveKeyBindings(CookTapCore.collectDishKeyEntries(dish, getIngredient));
+        } catch (error) {
+            panel.innerHTML = '<p>Fix the errors above to see this dish\'s keys.</p>';
+            return;
+        }
+        
+        panel.innerHTML = `
+            <ul class="key-list">
+                ${Array.from(bindings.byKey.values()).map(binding => `
+                    <li class="${binding.remappedFrom ? 'remapped' : ''}">
+                        <kbd>${CookTapCore.escapeHtml(binding.key.toUpperCase())}</kbd> ${CookTapCore.escapeHtml(binding.name)}
+                        ${binding.remappedFrom ? `<span class="remap-note">(wanted ${CookTapCore.escapeHtml(binding.remappedFrom.toUpperCase())}: ${CookTapCore.escapeHtml(binding.remapReason)})</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ${bindings.conflicts.filter(conflict => !conflict.remappedKey).map(conflict => `
+                <p class="key-unbound">${CookTapCore.escapeHtml(conflict.name)} has no free key left (${CookTapCore.escapeHtml(conflict.reason)})</p>
+            `).join('')}
+        `;
+    }
+}
+
+window.MenuEditor = MenuEditor;
@@ -1,28 +1,85 @@
 /**
  * Main Game Controller - Orchestrates all game systems
+ * Game rules live in the DOM-free CookTapCore.Kitchen; this controller wires
+ * it to the renderers, the input handler and the page controls.
  */
 
 class CookTapGame {
     constructor() {
         this.dishSystem = window.dishSystem;
-        
-        this.isRunning = false;
-        this.gameTime = 0;
-        this.gameTimer = null;
+        this.kitchen = null;
+        this.packs = null; // Menu packs from config/packs.json and the player's imports
+        this.packChoice = null; // Settles once the restaurant for the first shift is chosen
+        this.campaign = null; // Optional run of days from config/campaign.json
+        this.upgradeShop = null; // Optional upgrades from config/upgrades.json
+        this.difficultyPresets = null; // Optional presets from config/difficulty.json
+        this.careerStats = new CookTapCore.CareerStats(window.localStorage);
+        this.tutorials = []; // Lessons from config/tutorials.json
+        this.tutorial = null; // The TutorialRunner while a lesson is played
+        this.practice = null; // The PracticeSession while a dish is drilled
+        this.currentDay = null;
+        this.isPlaytest = CookTapGame.isPlaytest(); // Playing the menu editor's draft
         
         this.setupUI();
-        this.setupCleaningEventListeners();
-        this.initializeGame();
+        this.ready = this.initializeGame();
+    }
+    
+    // ?menu=draft plays the menu editor's draft (see editor.html) instead of config/menu.json
+    static isPlaytest() {
+        return new URLSearchParams(window.location.search).get('menu') === 'draft';
+    }
+    
+    // Load the draft the editor handed over; a broken draft keeps the kitchen closed like a broken menu.json
+    static loadPlaytestMenu(dishSystem) {
+        const saved = window.localStorage.getItem('cookTap.playtestMenu');
+        if (!saved) {
+            console.warn('No menu draft to playtest, loading config/menu.json');
+            return dishSystem.loadConfiguration();
+        }
+        
+        try {
+            dishSystem.loadMenu(JSON.parse(saved).menu);
+        } catch (error) {
+            if (!(error instanceof CookTapCore.MenuValidationError)) throw error;
+            dishSystem.loadError = error;
+            console.error(error.message);
+        }
+    }
+    
+    // Core systems, exposed for the input handler and console helpers
+    get orderSystem() {
+        return this.kitchen ? this.kitchen.orderSystem : null;
+    }
+    
+    get cookingStationManager() {
+        return this.kitchen ? this.kitchen.stationManager : null;
+    }
+    
+    get clock() {
+        return this.kitchen ? this.kitchen.clock : null;
+    }
+    
+    get isRunning() {
+        return this.kitchen ? this.kitchen.isRunning : false;
+    }
+    
+    get gameTime() {
+        return this.kitchen ? this.kitchen.gameTime : 0;
     }
     
     async waitForDishSystem() {
         // Wait for dish system to load configuration
         let attempts = 0;
-        while ((!this.dishSystem.ingredients.size || !this.dishSystem.dishes.size) && attempts < 50) {
+        while ((!this.dishSystem.ingredients.size || !this.dishSystem.dishes.size) && !this.dishSystem.loadError && attempts < 50) {
             await new Promise(resolve => setTimeout(resolve, 100));
             attempts++;
         }
         
+        if (this.dishSystem.loadError) {
+            this.showMenuErrors(this.dishSystem.loadError.report);
+            return false;
+        }
+        
         if (attempts >= 50) {
             console.error('Dish system failed to load within timeout');
             return false;
@@ -31,34 +88,37 @@ class CookTapGame {
         return true;
     }
     
-    setupCleaningEventListeners() {
-        // Listen for cleaning complete events from all stations
-        const stations = ['grill', 'fryer', 'stove'];
-        stations.forEach(stationId => {
-            const stationElement = document.getElementById(`${stationId}-station`);
-            if (stationElement) {
-                stationElement.addEventListener('cleaningComplete', (event) => {
-                    console.log(`Cleaning completed for ${event.detail.stationId}`);
-                    // Update display if this station is currently active
-                    if (this.cookingStationManager.activeStation && 
-                        this.cookingStationManager.activeStation.id === event.detail.stationId) {
-                        
-                        // Update cleanliness display regardless of whether there's a dish
-                        this.cookingStationManager.updateStationCleanliness(this.cookingStationManager.activeStation);
-                        
-                        // Also update dish display if there's a current dish
-                        if (this.cookingStationManager.currentDish) {
-                            this.cookingStationManager.updateStationDisplay(event.detail.stationId, this.cookingStationManager.currentDish);
-                        }
-                    }
-                });
-            }
-        });
+    // Refuse to open the kitchen and list every problem in menu.json
+    showMenuErrors(report) {
+        const panel = document.createElement('div');
+        panel.className = 'menu-errors';
+        panel.innerHTML = `
+            <h2>Kitchen closed: menu.json has ${report.errors.length} error(s)</h2>
+            <p>Fix these and reload. Run <code>npm run validate-menu</code> to check from the command line.</p>
+            <ul>
+                ${[...report.errors, ...report.warnings].map(problem => `
+                    <li class="${CookTapCore.escapeHtml(problem.severity)}">
+                        <code>${CookTapCore.escapeHtml(problem.path)}</code> ${CookTapCore.escapeHtml(problem.message)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        document.body.appendChild(panel);
+        
+        const startButton = document.getElementById('start-game-btn');
+        if (startButton) {
+            startButton.disabled = true;
+        }
     }
-
+    
     setupUI() {
         // Update game time display
         this.gameTimeElement = document.getElementById('game-time');
+        this.dayNameElement = document.getElementById('day-name');
+        this.dayTargetElement = document.getElementById('day-target');
+        this.walletElement = document.getElementById('wallet');
+        this.paceNameElement = document.getElementById('pace-name');
+        this.paceElement = document.getElementById('pace');
         
         // Add help text element
         const controlsInfo = document.querySelector('.controls-info');
@@ -88,9 +148,18 @@ class CookTapGame {
             const controls = document.createElement('div');
             controls.className = 'game-controls';
             controls.innerHTML = `
+                <select id="difficulty-select" title="Difficulty" style="display: none;"></select>
+                <select id="day-select" style="display: none;"></select>
                 <button id="start-game-btn" class="btn btn-success">Start Game</button>
                 <button id="pause-game-btn" class="btn btn-warning" style="display: none;">Pause</button>
                 <button id="reset-game-btn" class="btn btn-secondary">Reset</button>
+                <button id="pack-btn" class="btn btn-info" title="Choose or import a restaurant" style="display: none;">Restaurant</button>
+                <button id="shop-btn" class="btn btn-info" style="display: none;">Shop</button>
+                <button id="keys-btn" class="btn btn-secondary" title="Key bindings">Keys</button>
+                <button id="stats-btn" class="btn btn-info" title="Career stats and high scores">Stats</button>
+                <button id="tutorial-btn" class="btn btn-info" title="Step-by-step lessons">Learn</button>
+                <button id="practice-btn" class="btn btn-info" title="Drill one dish with no time limit">Practice</button>
+                <button id="touch-btn" class="btn btn-secondary" title="Tap and drag instead of typing">Touch</button>
             `;
             header.appendChild(controls);
 
@@ -107,6 +176,42 @@ class CookTapGame {
                 this.resetGame();
             });
             
+            document.getElementById('day-select').addEventListener('change', (event) => {
+                this.selectDay(event.target.value);
+            });
+            
+            document.getElementById('difficulty-select').addEventListener('change', (event) => {
+                this.selectDifficulty(event.target.value);
+            });
+            
+            document.getElementById('pack-btn').addEventListener('click', () => {
+                this.openPacks();
+            });
+            
+            document.getElementById('shop-btn').addEventListener('click', () => {
+                this.openShop();
+            });
+            
+            document.getElementById('keys-btn').addEventListener('click', () => {
+                this.openKeySettings();
+            });
+            
+            document.getElementById('stats-btn').addEventListener('click', () => {
+                this.openStats();
+            });
+            
+            document.getElementById('touch-btn').addEventListener('click', () => {
+                this.toggleTouchMode();
+            });
+            
+            document.getElementById('tutorial-btn').addEventListener('click', () => {
+                this.openTutorials();
+            });
+            
+            document.getElementById('practice-btn').addEventListener('click', () => {
+                this.openPractice();
+            });
+            
             console.log('Game controls created successfully');
         }
 
@@ -155,6 +260,20 @@ class CookTapGame {
                 background-color: #5a6268;
             }
             
+            .btn-info {
+                background-color: #17a2b8;
+                color: white;
+            }
+            
+            .btn-info:hover {
+                background-color: #138496;
+            }
+            
+            .btn:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            
             .help-section {
                 min-width: 300px;
             }
@@ -253,6 +372,12 @@ class CookTapGame {
     async initializeGame() {
         console.log('Initializing Cook Tap Game...');
         
+        // The chosen pack's menu; a playtest has already loaded the editor's draft
+        if (!this.isPlaytest) {
+            this.packs = await this.loadPacks();
+            await this.loadMenu();
+        }
+        
         // Wait for dish system to load
         const loaded = await this.waitForDishSystem();
         if (!loaded) {
@@ -260,73 +385,416 @@ class CookTapGame {
             return;
         }
         
-        // Initialize other systems after dish system is ready
-        this.cookingStationManager = new CookingStationManager(this.dishSystem);
-        this.orderSystem = new OrderSystem(this.dishSystem);
+        // Bought upgrades shape the stations, so the shop loads before the kitchen
+        this.upgradeShop = await this.loadUpgradeShop();
+        this.customers = await this.loadCustomers();
+        this.difficultyPresets = await this.loadDifficulty();
+        const events = await this.loadEvents();
+        const gamepadConfig = await this.loadGamepadConfig();
+        
+        // Initialize the rules core, then the views that subscribe to it
+        this.kitchen = new CookTapCore.Kitchen(this.dishSystem, {
+            upgrades: this.upgradeShop,
+            customers: this.customers,
+            seed: this.getSeedFromUrl(),
+            difficulty: this.getSavedDifficulty(),
+            events
+        });
+        this.kitchen.setKeyBindings(this.getSavedKeyBindings());
+        this.recorder = new CookTapCore.ShiftRecorder(this.kitchen);
+        this.gamepad = new CookTapCore.GamepadController(this.kitchen, gamepadConfig);
+        this.stationRenderer = new StationRenderer(this.kitchen);
+        this.holdingRenderer = new HoldingRenderer(this.kitchen);
+        this.orderRenderer = new OrderRenderer(this.kitchen);
+        this.kitchenEventsRenderer = new KitchenEventsRenderer(this.kitchen);
+        this.gamepadRenderer = new GamepadRenderer(this.gamepad, this.kitchen);
         this.inputHandler = new InputHandler(this);
+        this.dayReportRenderer = new DayReportRenderer();
+        this.keySettingsRenderer = new KeySettingsRenderer(this.dishSystem, {
+            onChange: profile => this.saveKeyBindings(profile)
+        });
+        this.statsRenderer = new StatsRenderer(this.careerStats, {
+            onExport: () => this.downloadStats()
+        });
+        this.touchControls = new TouchControls(this.kitchen, this.stationRenderer);
+        this.setTouchMode(this.getSavedTouchMode());
+        this.tutorialRenderer = new TutorialRenderer(this.kitchen, {
+            onStart: tutorialId => this.startTutorial(tutorialId),
+            onExit: () => this.resetGame()
+        });
+        this.practiceRenderer = new PracticeRenderer(this.dishSystem, {
+            onStart: dishId => this.startPractice(dishId),
+            onNext: () => this.practice && this.practice.nextAttempt(),
+            onExit: () => this.resetGame()
+        });
+        
+        if (this.packs) {
+            this.packPickerRenderer = new PackPickerRenderer(this.packs, {
+                onSelect: packId => this.selectPack(packId),
+                onImport: pack => this.importPack(pack),
+                onRemove: packId => this.removePack(packId)
+            });
+            document.getElementById('pack-btn').style.display = 'inline-block';
+            this.updatePackButton();
+        }
+        
+        if (this.upgradeShop) {
+            this.shopRenderer = new ShopRenderer(this.upgradeShop, { onPurchase: () => this.applyUpgrades() });
+            document.getElementById('shop-btn').style.display = 'inline-block';
+            this.updateWalletDisplay();
+        }
+        
+        this.subscribeToKitchen();
+        this.inputHandler.updateControlHints();
+        this.populateDifficultySelect();
+        this.updatePaceDisplay();
         
-        // Initialize cooking stations display
-        this.cookingStationManager.initializeStations();
+        // Play the campaign's current day when there is one, else an endless shift.
+        // A playtest is always an endless shift on the whole draft menu.
+        if (this.isPlaytest) {
+            this.watchPlaytestMenu();
+        } else {
+            this.campaign = await this.loadCampaign();
+            this.tutorials = await this.loadTutorials();
+        }
+        if (this.campaign) {
+            this.selectDay(this.campaign.getCurrentDay().id);
+        }
         
         // Show initial help
         this.updateHelpDisplay();
         
+        // With more than one restaurant to play, the first shift waits for the player to pick one
+        if (this.packs && this.packs.getPacks().length > 1) {
+            this.packChoice = new Promise(resolve => {
+                this.resolvePackChoice = resolve;
+            });
+            this.openPacks();
+        }
+        
         console.log('Cook Tap Game initialized!');
         console.log('Available dishes:', this.dishSystem.getAllDishes().map(d => d.name));
     }
+    
+    // ?seed=... replays the same orders every shift; without it each shift gets a fresh seed
+    getSeedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed ? CookTapCore.parseSeed(seed) : undefined;
+    }
+
+    // Each Playtest press in the editor swaps the new draft in without reloading this page
+    watchPlaytestMenu() {
+        const banner = document.createElement('div');
+        banner.className = 'playtest-banner';
+        banner.textContent = 'Playtesting the menu editor\'s draft. Press Playtest in the editor again to load your latest changes.';
+        document.body.insertBefore(banner, document.body.firstChild);
+        
+        window.addEventListener('storage', (event) => {
+            if (event.key === 'cookTap.playtestMenu' && event.newValue) {
+                this.playtestMenu(JSON.parse(event.newValue).menu);
+            }
+        });
+    }
+    
+    playtestMenu(menu) {
+        if (!this.swapMenu(menu)) return false;
+        
+        console.log('Loaded the menu draft:', this.dishSystem.getAllDishes().map(d => d.name));
+        return true;
+    }
+    
+    // Reset the shift and reload the kitchen with another menu; a broken one keeps the kitchen closed
+    swapMenu(menu) {
+        this.resetGame();
+        document.querySelectorAll('.menu-errors').forEach(panel => panel.remove());
+        
+        try {
+            this.dishSystem.loadMenu(menu);
+        } catch (error) {
+            if (!(error instanceof CookTapCore.MenuValidationError)) throw error;
+            this.showMenuErrors(error.report);
+            return false;
+        }
+        
+        this.kitchen.reloadMenu();
+        document.getElementById('start-game-btn').disabled = false;
+        this.inputHandler.updateControlHints();
+        this.updateHelpDisplay();
+        return true;
+    }
+    
+    // Built-in packs from config/packs.json plus the player's imports; without the list only config/menu.json is played
+    async loadPacks() {
+        try {
+            const response = await fetch('./config/packs.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const { packs } = await response.json();
+            const menus = await Promise.all(packs.map(async file => {
+                const packResponse = await fetch(`./config/${file}`);
+                if (!packResponse.ok) {
+                    throw new Error(`HTTP error! status: ${packResponse.status} for ${file}`);
+                }
+                return packResponse.json();
+            }));
+            return new CookTapCore.MenuPackLibrary(menus, window.localStorage);
+        } catch (error) {
+            console.warn('No menu packs loaded, playing config/menu.json:', error);
+            return null;
+        }
+    }
+    
+    // The chosen pack's menu and theme; a broken menu keeps the kitchen closed like a broken menu.json
+    async loadMenu() {
+        if (!this.packs) {
+            return this.dishSystem.loadConfiguration();
+        }
+        
+        const pack = this.packs.getSelectedPack();
+        this.applyTheme(pack.pack.theme);
+        try {
+            this.dishSystem.loadMenu(pack);
+        } catch (error) {
+            if (!(error instanceof CookTapCore.MenuValidationError)) throw error;
+            this.dishSystem.loadError = error;
+            console.error(error.message);
+        }
+    }
+    
+    // Color the page with a pack's theme; colors it leaves out keep the stylesheet's
+    applyTheme(theme = {}) {
+        const { style } = document.documentElement;
+        CookTapCore.THEME_COLORS.forEach(name => {
+            const property = `--theme-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+            if (theme[name]) {
+                style.setProperty(property, theme[name]);
+            } else {
+                style.removeProperty(property);
+            }
+        });
+    }
+    
+    // The days are written for one menu; a pack that lacks their dishes plays free shifts instead
+    async loadCampaign() {
+        try {
+            const response = await fetch('./config/campaign.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const campaign = new CookTapCore.Campaign(await response.json(), window.localStorage);
+            if (!campaign.days.every(day => day.dishes.every(dishId => this.dishSystem.getDish(dishId)))) {
+                console.log('The campaign\'s dishes are not on this menu, playing an endless shift');
+                return null;
+            }
+            return campaign;
+        } catch (error) {
+            console.warn('No campaign loaded, playing an endless shift:', error);
+            return null;
+        }
+    }
+    
+    // Lessons that don't fit the loaded menu are left out rather than failing halfway through
+    async loadTutorials() {
+        try {
+            const response = await fetch('./config/tutorials.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const { tutorials } = await response.json();
+            return tutorials.filter(tutorial => {
+                try {
+                    return CookTapCore.validateTutorial(tutorial, this.dishSystem);
+                } catch (error) {
+                    console.warn('Skipping tutorial:', error.message);
+                    return false;
+                }
+            });
+        } catch (error) {
+            console.warn('No tutorials loaded:', error);
+            return [];
+        }
+    }
+    
+    async loadUpgradeShop() {
+        try {
+            const response = await fetch('./config/upgrades.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return new CookTapCore.UpgradeShop(await response.json(), window.localStorage);
+        } catch (error) {
+            console.warn('No upgrade shop loaded:', error);
+            return null;
+        }
+    }
+    
+    async loadCustomers() {
+        try {
+            const response = await fetch('./config/customers.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return new CookTapCore.CustomerRoster(await response.json());
+        } catch (error) {
+            console.warn('No customer archetypes loaded, everyone is a walk-in:', error);
+            return null;
+        }
+    }
+    
+    async loadDifficulty() {
+        try {
+            const response = await fetch('./config/difficulty.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return new CookTapCore.DifficultyPresets(await response.json());
+        } catch (error) {
+            console.warn('No difficulty presets loaded, orders keep a fixed pace:', error);
+            return null;
+        }
+    }
+    
+    // Breakdowns, rushes and inspections; without them a shift runs undisturbed
+    async loadEvents() {
+        try {
+            const response = await fetch('./config/events.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return CookTapCore.validateEventConfig(await response.json());
+        } catch (error) {
+            console.warn('No kitchen events loaded, shifts run without them:', error);
+            return null;
+        }
+    }
+    
+    // Gamepad button mapping; without it (or with a broken one) the defaults apply
+    async loadGamepadConfig() {
+        try {
+            const response = await fetch('./config/gamepad.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return CookTapCore.resolveGamepadConfig(await response.json());
+        } catch (error) {
+            console.warn('No gamepad config loaded, using the default button mapping:', error);
+            return null;
+        }
+    }
+    
+    // The preset picked last time, else the config's default (null without presets)
+    getSavedDifficulty() {
+        if (!this.difficultyPresets) return null;
+        
+        const saved = this.difficultyPresets.getPreset(window.localStorage.getItem('cookTap.difficulty'));
+        return saved || this.difficultyPresets.getDefaultPreset();
+    }
+    
+    // The player's key choices from last time (KeyProfile overrides), or none
+    getSavedKeyBindings() {
+        try {
+            return JSON.parse(window.localStorage.getItem('cookTap.keyBindings')) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable saved key bindings:', error);
+            return {};
+        }
+    }
+    
+    // The player's last choice, or touch mode on devices whose main pointer is a finger
+    getSavedTouchMode() {
+        const saved = window.localStorage.getItem('cookTap.touchMode');
+        if (saved !== null) return saved === 'on';
+        
+        return Boolean(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+    }
+    
+    subscribeToKitchen() {
+        this.kitchen.on('gameTimeChanged', () => this.updateGameTimeDisplay());
+        this.kitchen.on('shiftClosed', () => this.endDay());
+        this.kitchen.on('feedback', (label, success) => this.inputHandler.showKeyFeedback(label, success));
+        this.kitchen.on('dishUpdated', dish => {
+            this.inputHandler.updateKeyHints(dish);
+            this.updateHelpDisplay();
+        });
+        this.cookingStationManager.on('dishCleared', () => {
+            this.inputHandler.clearKeyHints();
+            this.updateHelpDisplay();
+        });
+        this.orderSystem.on('orderDeselected', () => this.updateHelpDisplay());
+        this.orderSystem.on('scoreChanged', () => this.updateDayDisplay());
+        this.kitchen.director.on('adjusted', () => this.updatePaceDisplay());
+        this.gamepad.on('pause', () => this.togglePause());
+    }
 
+    // The page's auto-start waits for the first restaurant to be chosen
     async start() {
+        await this.ready;
+        if (this.packChoice) await this.packChoice;
         return this.startGame();
     }
     
     async startGame() {
         if (this.isRunning) return;
         
-        // Ensure game is properly initialized
-        if (!this.orderSystem) {
-            console.log('Game not ready yet, initializing...');
-            await this.initializeGame();
+        // A closed day has to be reset before it can be played again
+        if (this.kitchen && this.kitchen.isClosed) {
+            this.resetGame();
         }
         
-        if (!this.orderSystem) {
-            console.error('Cannot start game - initialization failed');
+        // A paused shift picks up exactly where it stopped
+        if (this.kitchen && this.kitchen.hasStarted) {
+            this.resumeGame();
             return;
         }
         
-        this.isRunning = true;
-        this.gameTime = 0;
+        // Ensure game is properly initialized (kitchen and campaign day)
+        await this.ready;
+        
+        if (!this.kitchen) {
+            console.error('Cannot start game - initialization failed');
+            return;
+        }
         
         // Start systems
-        this.orderSystem.start();
+        this.kitchen.start();
         this.inputHandler.startListening();
-        
-        // Start game timer
-        this.gameTimer = setInterval(() => {
-            this.gameTime++;
-            this.updateGameTimeDisplay();
-        }, 1000);
+        this.dayReportRenderer.hide();
+        if (this.shopRenderer) this.shopRenderer.hide();
+        this.keySettingsRenderer.hide();
+        this.statsRenderer.hide();
+        this.tutorialRenderer.hidePicker();
+        this.practiceRenderer.hidePicker();
+        if (this.packPickerRenderer) this.packPickerRenderer.hide();
         
         // Update UI
         document.getElementById('start-game-btn').style.display = 'none';
         document.getElementById('pause-game-btn').style.display = 'inline-block';
+        document.getElementById('day-select').disabled = true;
+        document.getElementById('difficulty-select').disabled = true;
+        document.getElementById('shop-btn').disabled = true;
+        document.getElementById('pack-btn').disabled = true;
+        document.getElementById('keys-btn').disabled = true;
         
         console.log('Game started!');
     }
 
-    pauseGame() {
-        if (!this.isRunning) return;
+    resumeGame() {
+        if (!this.kitchen.resume()) return;
         
-        this.isRunning = false;
+        this.inputHandler.startListening();
         
-        // Stop systems
-        this.orderSystem.stop();
-        this.inputHandler.stopListening();
+        // Update UI
+        document.getElementById('start-game-btn').style.display = 'none';
+        document.getElementById('pause-game-btn').style.display = 'inline-block';
         
-        // Stop game timer
-        if (this.gameTimer) {
-            clearInterval(this.gameTimer);
-            this.gameTimer = null;
-        }
+        console.log('Game resumed!');
+    }
+
+    pauseGame() {
+        if (!this.kitchen || !this.kitchen.pause()) return;
+        
+        this.inputHandler.stopListening();
         
         // Update UI
         document.getElementById('start-game-btn').style.display = 'inline-block';
@@ -336,321 +804,497 @@ class CookTapGame {
         console.log('Game paused!');
     }
 
+    // The gamepad's pause button pauses a running shift and starts or resumes one otherwise
+    togglePause() {
+        if (this.kitchen.isRunning) {
+            this.pauseGame();
+        } else {
+            this.startGame();
+        }
+    }
+
     resetGame() {
-        this.pauseGame();
+        if (!this.kitchen) return;
         
-        // Reset all systems
-        this.orderSystem.clearAllOrders();
-        this.cookingStationManager.clearCurrentDish();
+        this.pauseGame();
         
-        // Reset dishes
-        for (const dish of this.dishSystem.getAllDishes()) {
-            this.dishSystem.resetDish(dish.id);
+        // A shift abandoned halfway still counts towards the career stats; lessons and practice don't
+        if (this.tutorial || this.practice) {
+            this.stopTutorial();
+            this.stopPractice();
+        } else if (this.kitchen.hasStarted && !this.kitchen.isClosed) {
+            this.recordCareerStats();
+            // Free play never closes on its own, so resetting is how its shift gets paid
+            if (!this.currentDay) this.bankEarnings();
         }
-        
-        // Reset game state
-        this.gameTime = 0;
-        this.updateGameTimeDisplay();
+        this.kitchen.reset();
         
         // Update UI
         document.getElementById('start-game-btn').textContent = 'Start Game';
+        document.getElementById('day-select').disabled = false;
+        document.getElementById('difficulty-select').disabled = false;
+        document.getElementById('shop-btn').disabled = false;
+        document.getElementById('pack-btn').disabled = false;
+        document.getElementById('keys-btn').disabled = false;
         this.inputHandler.clearKeyHints();
         this.updateHelpDisplay();
+        this.updateDayDisplay();
         
         console.log('Game reset!');
     }
 
-    updateGameTimeDisplay() {
-        if (this.gameTimeElement) {
-            const minutes = Math.floor(this.gameTime / 60);
-            const seconds = this.gameTime % 60;
-            this.gameTimeElement.textContent = 
-                `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    // Choose the campaign day the next shift plays (only between shifts)
+    selectDay(dayId) {
+        if (!this.campaign || (this.kitchen.hasStarted && !this.kitchen.isClosed)) return false;
+        
+        const day = this.campaign.getDay(dayId);
+        if (!day || !this.campaign.isUnlocked(day)) return false;
+        
+        if (this.kitchen.isClosed) {
+            this.resetGame();
         }
+        
+        this.currentDay = day;
+        this.kitchen.configureShift({ dishIds: day.dishes, duration: this.campaign.getDayLength(day) });
+        
+        this.populateDaySelect();
+        this.updateDayDisplay();
+        this.updateGameTimeDisplay();
+        
+        console.log(`Selected Day ${day.number}: ${day.name}`);
+        return true;
     }
 
-    // Select an order to work on
-    selectOrder(orderId) {
-        const order = this.orderSystem.selectOrder(orderId);
-        if (!order) return false;
+    // Choose the difficulty preset for the next shift (only between shifts)
+    selectDifficulty(presetId) {
+        if (!this.difficultyPresets || (this.kitchen.hasStarted && !this.kitchen.isClosed)) return false;
         
-        // Set up cooking station for this dish
-        this.cookingStationManager.setActiveDish(order.dishId);
+        const preset = this.difficultyPresets.getPreset(presetId);
+        if (!preset) return false;
         
-        // Update key hints
-        this.inputHandler.updateKeyHints(order.dishId);
-        this.updateHelpDisplay();
+        if (this.kitchen.isClosed) {
+            this.resetGame();
+        }
         
-        console.log(`Selected order: ${order.dishName}`);
+        this.kitchen.setDifficulty(preset);
+        window.localStorage.setItem('cookTap.difficulty', preset.id);
+        this.populateDifficultySelect();
+        
+        console.log(`Selected ${preset.name} difficulty`);
         return true;
     }
 
-    // Add ingredient to current dish
-    addIngredient(dishId, ingredientId) {
-        const success = this.dishSystem.addIngredientToDish(dishId, ingredientId);
+    populateDifficultySelect() {
+        const select = document.getElementById('difficulty-select');
+        if (!select || !this.difficultyPresets) return;
         
-        if (success) {
-            // Update station display
-            const currentStation = this.cookingStationManager.activeStation;
-            if (currentStation) {
-                this.cookingStationManager.updateStationDisplay(currentStation.id, dishId);
-            }
-            
-            // Show feedback
-            const ingredient = this.dishSystem.getIngredient(ingredientId);
-            if (ingredient) {
-                this.inputHandler.showKeyFeedback(ingredient.key, true);
-                console.log(`Added ingredient: ${ingredient.name}`);
-            }
-        } else {
-            // Show failure feedback
-            console.log(`Failed to add ingredient: ${ingredientId}`);
-            this.inputHandler.showKeyFeedback('invalid', false);
-        }
+        select.innerHTML = this.difficultyPresets.presets.map(preset =>
+            `<option value="${CookTapCore.escapeHtml(preset.id)}">${CookTapCore.escapeHtml(preset.name)}</option>`
+        ).join('');
         
-        this.updateHelpDisplay();
-        return success;
+        select.value = this.kitchen.director.preset.id;
+        select.style.display = 'inline-block';
     }
 
-    // Use tool on current dish
-    useTool(dishId, toolId) {
-        const dish = this.dishSystem.getDish(dishId);
-        if (!dish) {
-            console.log(`Dish not found: ${dishId}`);
-            return false;
-        }
+    populateDaySelect() {
+        const select = document.getElementById('day-select');
+        if (!select || !this.campaign) return;
         
-        const tool = this.dishSystem.getTool(toolId);
-        if (!tool) {
-            console.log(`Tool not found: ${toolId}`);
-            return false;
+        select.innerHTML = this.campaign.days.map(day => {
+            const result = this.campaign.getResult(day);
+            const stars = result ? ` ${'★'.repeat(result.stars)}` : '';
+            const locked = !this.campaign.isUnlocked(day);
+            return `<option value="${CookTapCore.escapeHtml(day.id)}" ${locked ? 'disabled' : ''}>Day ${day.number}: ${CookTapCore.escapeHtml(day.name)}${locked ? ' 🔒' : stars}</option>`;
+        }).join('');
+        
+        select.value = this.currentDay.id;
+        select.style.display = 'inline-block';
+    }
+
+    // Closing time: stop play, grade the day and show the report
+    endDay() {
+        this.inputHandler.stopListening();
+        
+        document.getElementById('start-game-btn').style.display = 'inline-block';
+        document.getElementById('start-game-btn').textContent = this.currentDay ? 'Replay Day' : 'Start Game';
+        document.getElementById('pause-game-btn').style.display = 'none';
+        document.getElementById('day-select').disabled = false;
+        document.getElementById('difficulty-select').disabled = false;
+        document.getElementById('shop-btn').disabled = false;
+        document.getElementById('pack-btn').disabled = false;
+        document.getElementById('keys-btn').disabled = false;
+        
+        const session = this.recordCareerStats();
+        
+        this.bankEarnings();
+        
+        if (!this.campaign || !this.currentDay) {
+            if (session && session.rank) this.openStats(session.rank);
+            return;
         }
         
-        console.log(`Using tool ${toolId} (${tool.name}) on dish ${dishId}`);
+        const report = this.campaign.buildReport(this.currentDay, this.orderSystem);
+        this.campaign.recordResult(report);
+        this.populateDaySelect();
         
-        // Use the updated dish system workflow
-        const success = this.dishSystem.useToolOnDish(dishId, toolId);
+        const nextDay = this.campaign.getNextDay(this.currentDay);
+        const canAdvance = nextDay && this.campaign.isUnlocked(nextDay);
         
-        if (success) {
-            this.inputHandler.showKeyFeedback(tool.key, true);
-            console.log(`Successfully used tool: ${tool.name}`);
-            
-            // Handle cooking actions that require station switches
-            // Check if this tool triggers a cooking station action
-            
-            // First check ingredient prep steps
-            for (const ingredient of dish.ingredients) {
-                if (!dish.currentIngredients.has(ingredient.id)) continue;
-
-                const ingredientState = dish.ingredientStates.get(ingredient.id);
-                if (!ingredientState || ingredientState.isReady) continue;
-
-                // Check if we just completed a prep step that requires a cooking station
-                if (ingredient.prepSteps && ingredient.prepSteps.length > ingredientState.prepStepsCompleted - 1) {
-                    const completedStep = ingredient.prepSteps[ingredientState.prepStepsCompleted - 1];
-                    
-                    if (completedStep && completedStep.action === toolId && completedStep.station && completedStep.station !== 'prep') {
-                        // Switch to cooking station and start cooking
-                        this.cookingStationManager.setActiveDish(dishId, completedStep.station);
+        this.dayReportRenderer.show(report, {
+            onShop: this.upgradeShop ? () => this.openShop() : null,
+            onReplay: () => this.startGame(),
+            onNextDay: canAdvance ? () => {
+                this.selectDay(nextDay.id);
+                this.startGame();
+            } : null
+        });
+        
+        console.log(`Day ${report.dayNumber} closed: ${report.earnings}/${report.targetRevenue}, ${report.stars} star(s)`);
+    }
 
-                        this.cookingStationManager.handleCookingAction(
-                            toolId,
-                            ingredient.id
-                        );
+    // A finished shift's earnings become money to spend in the shop; a playtest's draft menu pays nothing
+    bankEarnings() {
+        if (!this.upgradeShop || this.isPlaytest) return;
+        
+        this.upgradeShop.deposit(this.orderSystem.totalScore);
+        this.upgradeShop.deposit(this.orderSystem.tips);
+        this.updateWalletDisplay();
+    }
 
-                        console.log(`Started cooking: ${toolId} on ${completedStep.station} station`);
-                        return success; // Exit early since we switched stations
-                    }
-                }
-            }
-            
-            // Then check final steps (for things like baking pizza)
-            if (dish.finalSteps && dish.finalStepsProgress < dish.finalSteps.length) {
-                const currentFinalStep = dish.finalSteps[dish.finalStepsProgress - 1]; // We just completed this step
-                
-                if (currentFinalStep && currentFinalStep.action === toolId && currentFinalStep.station && currentFinalStep.station !== 'prep') {
-                    // Switch to cooking station and start cooking
-                    this.cookingStationManager.setActiveDish(dishId, currentFinalStep.station);
+    // Add the shift to the saved career stats; returns the session, or null if no order finished.
+    // A playtest runs the editor's draft menu, so it never counts
+    recordCareerStats() {
+        if (this.isPlaytest) return null;
+        
+        const label = this.currentDay ? `Day ${this.currentDay.number}: ${this.currentDay.name}` : 'Free Play';
+        return this.careerStats.recordShift(this.kitchen, {
+            label,
+            difficulty: this.kitchen.director.preset.name
+        });
+    }
 
-                    this.cookingStationManager.handleCookingAction(
-                        toolId,
-                        dishId // Use dishId instead of ingredient for final steps
-                    );
+    // The lesson list pauses a running shift; picking one resets it
+    openTutorials() {
+        if (!this.tutorialRenderer) return false;
+        
+        this.pauseGame();
+        this.tutorialRenderer.showPicker(this.tutorials);
+        return true;
+    }
 
-                    console.log(`Started cooking final step: ${toolId} on ${currentFinalStep.station} station`);
-                }
-            }
-        } else {
-            this.inputHandler.showKeyFeedback(tool.key, false);
-            console.log(`Failed to use tool: ${tool.name}`);
-        }
+    // Play a lesson on a fresh shift that only has the lesson's dishes and orders
+    async startTutorial(tutorialId) {
+        const tutorial = this.tutorials.find(candidate => candidate.id === tutorialId);
+        if (!tutorial) return false;
         
-        // Update displays
-        const currentStation = this.cookingStationManager.activeStation;
-        if (currentStation) {
-            this.cookingStationManager.updateStationDisplay(currentStation.id, dishId);
-        }
-        this.updateHelpDisplay();
+        this.resetGame();
+        this.tutorial = new CookTapCore.TutorialRunner(this.kitchen, tutorial);
+        this.kitchen.configureShift(this.tutorial.getShift());
+        this.tutorialRenderer.show(this.tutorial);
+        await this.startGame();
+        this.tutorial.start();
         
-        return success;
+        console.log(`Started the ${tutorial.name} tutorial`);
+        return true;
     }
 
-    // Serve completed dish
-    serveDish() {
-        const activeOrder = this.orderSystem.getActiveOrder();
-        if (!activeOrder) {
-            console.log('No active order to serve');
-            return false;
-        }
+    // Leave the lesson and set the next shift back to the selected day (or free play)
+    stopTutorial() {
+        if (!this.tutorial) return;
         
-        const dish = this.dishSystem.getDish(activeOrder.dishId);
-        if (!dish) return false;
+        this.tutorial.stop();
+        this.tutorial = null;
+        this.tutorialRenderer.hide();
+        this.restoreShift();
+    }
+
+    // The practice list pauses a running shift; picking a dish resets it
+    openPractice() {
+        if (!this.practiceRenderer) return false;
         
-        // Check if dish is valid and ready
-        const isValid = this.dishSystem.isDishValid(activeOrder.dishId);
-        const isComplete = dish.isComplete;
+        this.pauseGame();
+        this.practiceRenderer.showPicker(CookTapCore.loadPracticeBests(window.localStorage));
+        return true;
+    }
+
+    // Drill one dish on a fresh shift: one untimed order at a time
+    async startPractice(dishId) {
+        if (!this.dishSystem.getDish(dishId)) return false;
         
-        if (!isValid) {
-            console.log('Dish is missing required ingredients');
-            this.inputHandler.showKeyFeedback('space', false);
-            return false;
-        }
+        this.resetGame();
+        this.practice = new CookTapCore.PracticeSession(this.kitchen, dishId, window.localStorage);
+        this.kitchen.configureShift(this.practice.getShift());
+        this.practiceRenderer.show(this.practice);
+        await this.startGame();
+        this.practice.start();
         
-        // Complete the order
-        const rating = isComplete ? 'perfect' : 'good';
-        this.orderSystem.completeOrder(activeOrder.id, isValid);
+        console.log(`Practicing ${this.practice.dish.name}`);
+        return true;
+    }
+
+    stopPractice() {
+        if (!this.practice) return;
         
-        // Reset dish state
-        this.dishSystem.resetDish(activeOrder.dishId);
-        this.cookingStationManager.clearCurrentDish();
+        this.practice.stop();
+        this.practice = null;
+        this.practiceRenderer.hide();
+        this.restoreShift();
+    }
+
+    // The next shift plays the selected day again, or free play
+    restoreShift() {
+        if (this.currentDay) {
+            this.kitchen.configureShift({ dishIds: this.currentDay.dishes, duration: this.campaign.getDayLength(this.currentDay) });
+        } else {
+            this.kitchen.configureShift();
+        }
+    }
+
+    // The stats screen pauses a running shift like the key bindings do
+    openStats(latestRank = null) {
+        if (!this.statsRenderer) return false;
         
-        // Clear input hints
-        this.inputHandler.clearKeyHints();
-        this.updateHelpDisplay();
+        this.pauseGame();
+        this.statsRenderer.show(latestRank);
+        return true;
+    }
+
+    // The restaurant picker, like the shop, only opens between shifts
+    openPacks() {
+        if (!this.packPickerRenderer || (this.kitchen.hasStarted && !this.kitchen.isClosed)) return false;
         
-        console.log(`Served dish: ${activeOrder.dishName} (${rating})`);
+        this.packPickerRenderer.show();
         return true;
     }
 
-    // Cancel current dish
-    cancelCurrentDish() {
-        const activeOrder = this.orderSystem.getActiveOrder();
-        if (!activeOrder) return;
+    // Play another restaurant from the next shift: its menu, theme, campaign days and lessons
+    async selectPack(packId) {
+        const pack = this.packs.getPack(packId);
+        if (!pack || (this.kitchen.hasStarted && !this.kitchen.isClosed)) return false;
         
-        // Reset dish state
-        this.dishSystem.resetDish(activeOrder.dishId);
-        this.cookingStationManager.clearCurrentDish();
+        if (this.dishSystem.menuConfig !== pack) {
+            if (!this.swapMenu(pack)) return false;
+            
+            this.applyTheme(pack.pack.theme);
+            this.campaign = await this.loadCampaign();
+            this.tutorials = await this.loadTutorials();
+            if (this.campaign) {
+                this.selectDay(this.campaign.getCurrentDay().id);
+            } else {
+                this.currentDay = null;
+                this.kitchen.configureShift();
+                document.getElementById('day-select').style.display = 'none';
+                document.querySelector('.campaign-stat').style.display = 'none';
+                this.updateGameTimeDisplay();
+            }
+            console.log(`Opened ${pack.pack.name}:`, this.dishSystem.getAllDishes().map(d => d.name));
+        }
         
-        // Deselect order
-        activeOrder.isActive = false;
-        if (activeOrder.element) {
-            activeOrder.element.classList.remove('active');
+        this.packs.select(packId);
+        this.updatePackButton();
+        if (this.resolvePackChoice) {
+            this.resolvePackChoice();
+            this.resolvePackChoice = null;
         }
+        return true;
+    }
+
+    // Add a pack from a player's file; throws with the pack's problems for the picker to list
+    importPack(pack) {
+        this.packs.importPack(pack);
+        console.log(`Imported the ${pack.pack.name} menu pack`);
+    }
+
+    // Removing the restaurant being played switches back to the default one
+    removePack(packId) {
+        const isPlayed = this.dishSystem.menuConfig === this.packs.getPack(packId);
+        if (!this.packs.removePack(packId)) return false;
         
-        // Clear input hints
-        this.inputHandler.clearKeyHints();
-        this.updateHelpDisplay();
+        if (isPlayed) {
+            this.selectPack(this.packs.getSelectedPack().pack.id);
+        }
+        return true;
+    }
+
+    updatePackButton() {
+        const { pack } = this.packs.getSelectedPack();
+        document.getElementById('pack-btn').textContent = `${pack.icon || '🍽️'} ${pack.name}`;
+    }
+
+    // The shop only opens between shifts, while the stations are idle
+    openShop() {
+        if (!this.shopRenderer || (this.kitchen.hasStarted && !this.kitchen.isClosed)) return false;
         
-        console.log('Cancelled current dish');
+        this.shopRenderer.show();
+        return true;
     }
 
-    // Retrieve cooked items from stations
-    retrieveCookedItems() {
-        const readyItems = this.cookingStationManager.getReadyItems();
+    // Keys only change between shifts: a recording replays every press with the bindings it started with
+    openKeySettings() {
+        if (!this.keySettingsRenderer || (this.kitchen.hasStarted && !this.kitchen.isClosed)) return false;
         
-        if (readyItems.length === 0) {
-            console.log('No cooked items ready to retrieve');
-            return false;
-        }
+        this.keySettingsRenderer.show();
+        return true;
+    }
+
+    // Keep the player's key choices and show them everywhere keys are hinted
+    saveKeyBindings(profile) {
+        window.localStorage.setItem('cookTap.keyBindings', JSON.stringify(profile.toJSON()));
         
+        this.inputHandler.updateControlHints();
         const activeOrder = this.orderSystem.getActiveOrder();
-        if (!activeOrder) {
-            console.log('No active order to retrieve items for');
-            return false;
-        }
+        this.inputHandler.updateKeyHints(activeOrder ? activeOrder.dish : null);
+        this.updateHelpDisplay();
+    }
+
+    // Tappable ingredients, draggable cooked items and the action bar
+    setTouchMode(enabled) {
+        this.touchControls.setEnabled(enabled);
+        this.stationRenderer.setTouchMode(enabled);
+        document.getElementById('touch-btn').classList.toggle('active', enabled);
+    }
+
+    // The Touch button; an explicit choice beats what the device looks like
+    toggleTouchMode() {
+        if (!this.touchControls) return;
         
-        const dish = this.dishSystem.getDish(activeOrder.dishId);
-        if (!dish) {
-            console.log(`Dish not found: ${activeOrder.dishId}`);
-            return false;
-        }
+        const enabled = !this.touchControls.enabled;
+        this.setTouchMode(enabled);
+        window.localStorage.setItem('cookTap.touchMode', enabled ? 'on' : 'off');
+    }
+
+    // Rebuild the stations with everything bought so far
+    applyUpgrades() {
+        this.kitchen.stationManager.applyUpgrades();
+        this.updateWalletDisplay();
+    }
+
+    updateWalletDisplay() {
+        const walletStat = document.querySelector('.wallet-stat');
+        if (!walletStat || !this.upgradeShop) return;
         
-        // Retrieve all ready items
-        let retrieved = 0;
-        readyItems.forEach(({stationId, slotIndex, item}) => {
-            const success = this.cookingStationManager.removeCookedItem(stationId, slotIndex);
-            if (success) {
-                retrieved++;
-                console.log(`Retrieved ${item.name} from ${stationId} station`);
-                
-                // Mark the ingredient as ready in the dish, OR mark dish as complete for final steps
-                if (item.ingredient) {
-                    // This is an ingredient that was cooking (like pasta, chicken)
-                    const ingredientState = dish.ingredientStates.get(item.ingredient);
-                    if (ingredientState) {
-                        ingredientState.isReady = true;
-                        console.log(`Marked ingredient ${item.ingredient} as ready`);
-                    }
-                } else if (item.name === dish.name || item.action) {
-                    // This is a final step cooking (like baking pizza)
-                    if (dish.finalSteps && dish.finalStepsProgress === dish.finalSteps.length) {
-                        dish.isComplete = true;
-                        console.log(`Marked dish ${dish.name} as complete after retrieving from cooking`);
-                    }
-                }
-            }
-        });
+        walletStat.style.display = '';
+        this.walletElement.textContent = `$${this.upgradeShop.balance}`;
+    }
+
+    // How hard the director is currently pushing, as five bars
+    updatePaceDisplay() {
+        const paceStat = document.querySelector('.pace-stat');
+        if (!paceStat || !this.difficultyPresets) return;
         
-        if (retrieved > 0) {
-            this.inputHandler.showKeyFeedback('Enter', true);
-            console.log(`Retrieved ${retrieved} cooked items`);
-            
-            // Switch back to prep station so user can continue assembly
-            this.cookingStationManager.setActiveDish(activeOrder.dishId, 'prep');
-            
-            // Update displays
-            const currentStation = this.cookingStationManager.activeStation;
-            if (currentStation) {
-                this.cookingStationManager.updateStationDisplay(currentStation.id, activeOrder.dishId);
-            }
-            this.updateHelpDisplay();
-        }
+        const { preset, intensity } = this.kitchen.director;
+        const bars = Math.round(intensity * 5);
+        paceStat.style.display = '';
+        this.paceNameElement.textContent = `${preset.name}:`;
+        this.paceElement.textContent = '▮'.repeat(bars) + '▯'.repeat(5 - bars);
+        this.paceElement.title = `Orders every ${(this.kitchen.director.getSettings().spawnInterval / 1000).toFixed(1)}s`;
+    }
+
+    updateDayDisplay() {
+        const campaignStat = document.querySelector('.campaign-stat');
+        if (!campaignStat || !this.currentDay) return;
         
-        return retrieved > 0;
+        campaignStat.style.display = '';
+        this.dayNameElement.textContent = `Day ${this.currentDay.number} Target:`;
+        this.dayTargetElement.textContent = `${this.orderSystem.totalScore} / ${this.currentDay.targetRevenue}`;
+    }
+
+    updateGameTimeDisplay() {
+        if (this.gameTimeElement && this.currentDay) {
+            // Campaign days show the restaurant's time of day
+            this.gameTimeElement.textContent = this.campaign.getClockTime(this.currentDay, this.gameTime * 1000);
+        } else if (this.gameTimeElement) {
+            const minutes = Math.floor(this.gameTime / 60);
+            const seconds = this.gameTime % 60;
+            this.gameTimeElement.textContent = 
+                `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        }
+    }
+
+    // Player actions are rules, so they are delegated to the kitchen
+    handleInput(input) {
+        return this.kitchen.handleInput(input);
+    }
+
+    selectOrder(orderId) {
+        return this.kitchen.selectOrder(orderId);
+    }
+
+    addIngredient(dish, ingredientId) {
+        return this.kitchen.addIngredient(dish, ingredientId);
+    }
+
+    useTool(dish, toolId) {
+        return this.kitchen.useTool(dish, toolId);
+    }
+
+    restock(ingredientId) {
+        return this.kitchen.restock(ingredientId);
+    }
+
+    serveDish() {
+        return this.kitchen.serveDish();
+    }
+
+    cancelCurrentDish() {
+        return this.kitchen.cancelCurrentDish();
+    }
+
+    retrieveCookedItems() {
+        return this.kitchen.retrieveCookedItems();
     }
     
-    // Clean current station
     cleanStation() {
-        const success = this.cookingStationManager.cleanCurrentStation();
-        
-        if (success) {
-            this.inputHandler.showKeyFeedback('Clean', true);
-            console.log('Started cleaning station...');
-        } else {
-            this.inputHandler.showKeyFeedback('Clean', false);
-            console.log('Cannot clean station');
+        return this.kitchen.cleanStation();
+    }
+
+    // Save the current shift's seed and inputs as a JSON file for scripts/replay-shift.js
+    downloadReplay() {
+        const recording = this.recorder.getRecording();
+        if (!recording) {
+            console.warn('No shift to save yet');
+            return null;
         }
         
-        return success;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' }));
+        link.download = `cooktap-replay-${recording.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        return recording;
+    }
+
+    // Save every recorded shift and the dish totals as a JSON file
+    downloadStats() {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(this.careerStats, null, 2)], { type: 'application/json' }));
+        link.download = `cooktap-stats-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        return this.careerStats.toJSON();
     }
 
     // Update help display
     updateHelpDisplay() {
-        this.inputHandler.updateHelpDisplay();
+        if (this.inputHandler) {
+            this.inputHandler.updateHelpDisplay();
+        }
+    }
+
+    // Speed up or slow down the whole kitchen (1 = real time)
+    setTimeScale(scale) {
+        this.kitchen.setTimeScale(scale);
     }
 
     // Get game statistics
     getStats() {
-        return {
-            gameTime: this.gameTime,
-            ...this.orderSystem.getStats()
-        };
+        return this.kitchen.getStats();
     }
 }
 
-// Initialize game when DOM is loaded
+// Initialize game when DOM is loaded (index.html may already have created it)
 document.addEventListener('DOMContentLoaded', () => {
-    window.game = new CookTapGame();
+    window.game = window.game || new CookTapGame();
     
     // Development helper - expose game to console
     if (typeof window !== 'undefined') {
@@ -659,10 +1303,22 @@ document.addEventListener('DOMContentLoaded', () => {
             dishSystem: window.dishSystem,
             startGame: () => window.game.startGame(),
             getStats: () => window.game.getStats(),
+            getReplay: () => window.game.recorder.getRecording(),
+            saveReplay: () => window.game.downloadReplay(),
+            getCareerStats: () => window.game.careerStats.toJSON(),
+            exportStats: () => window.game.downloadStats(),
+            startTutorial: tutorialId => window.game.startTutorial(tutorialId),
+            startPractice: dishId => window.game.startPractice(dishId),
+            triggerEvent: eventId => window.game.kitchen.events.trigger(eventId),
             help: () => {
                 console.log('Cook Tap Game Commands:');
                 console.log('- cookTap.startGame() - Start the game');
                 console.log('- cookTap.getStats() - Get game statistics');
+                console.log('- cookTap.saveReplay() - Download this shift\'s seed and inputs');
+                console.log('- cookTap.exportStats() - Download the career stats and high scores');
+                console.log('- cookTap.startTutorial(\'classic_burger\') - Play a lesson from config/tutorials.json');
+                console.log('- cookTap.startPractice(\'classic_burger\') - Drill one dish with a timing breakdown');
+                console.log('- cookTap.triggerEvent(\'fryer_breakdown\') - Start a kitchen event from config/events.json now (not kept in replays)');
                 console.log('- cookTap.dishSystem.getAllDishes() - List all dishes');
                 console.log('- Press 1-9 to select orders');
                 console.log('- Press ingredient/tool keys to cook');
@@ -1,5 +1,5 @@
 /**
- * Input Handler - Manages keyboard input and key mappings
+ * Input Handler - Manages keyboard and gamepad input and key mappings
  */
 
 class InputHandler {
@@ -8,8 +8,10 @@ class InputHandler {
         this.keyMappings = new Map();
         this.isListening = false;
         this.pressedKeys = new Set();
+        this.gamepadFrame = null;
         
         this.setupEventListeners();
+        this.setupGamepad();
     }
 
     setupEventListeners() {
@@ -28,16 +30,33 @@ class InputHandler {
             if (!this.isListening) return;
             this.handleKeyUp(event);
         });
+    }
 
-        // Handle number keys for order selection
-        for (let i = 1; i <= 9; i++) {
-            document.addEventListener('keydown', (event) => {
-                if (!this.isListening) return;
-                if (event.key === i.toString()) {
-                    this.handleOrderSelection(i);
-                }
-            });
-        }
+    // The Gamepad API has no button events, so a connected gamepad is polled every frame
+    setupGamepad() {
+        const { gamepad } = this.game;
+        if (!gamepad || !navigator.getGamepads) return;
+        
+        gamepad.on('pressed', () => {
+            const activeOrder = this.game.orderSystem.getActiveOrder();
+            if (activeOrder) {
+                this.updateKeyHints(activeOrder.dish);
+            }
+        });
+        window.addEventListener('gamepadconnected', () => this.pollGamepad());
+        
+        // A gamepad connected before the page loaded shows up on the first poll
+        this.pollGamepad();
+    }
+
+    pollGamepad() {
+        if (this.gamepadFrame !== null) return;
+        
+        const poll = () => {
+            this.game.gamepad.poll(navigator.getGamepads());
+            this.gamepadFrame = this.game.gamepad.isConnected() ? window.requestAnimationFrame(poll) : null;
+        };
+        poll();
     }
 
     // Start listening for input
@@ -51,16 +70,11 @@ class InputHandler {
         this.pressedKeys.clear();
     }
 
-    // Check if a key is a game key
+    // Check if a key is a game key: a general control or one of the selected dish's keys
     isGameKey(key) {
-        const gameKeys = [
-            'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p',
-            'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l',
-            'z', 'x', 'c', 'v', 'b', 'n', 'm',
-            '1', '2', '3', '4', '5', '6', '7', '8', '9', '0',
-            ' ', 'Escape', 'Enter', 'Delete', 'Backspace', ',', '.', ';', "'", '[', ']'
-        ];
-        return gameKeys.includes(key.toLowerCase()) || gameKeys.includes(key);
+        const normalized = CookTapCore.normalizeKey(key);
+        return this.game.dishSystem.keyProfile.getControlForKey(normalized) !== null ||
+            this.getCurrentKeyMappings().has(normalized);
     }
 
     // Handle key down events
@@ -71,49 +85,19 @@ class InputHandler {
         if (this.pressedKeys.has(key)) return;
         this.pressedKeys.add(key);
 
-        // Handle special keys
-        if (key === 'escape') {
-            this.game.cancelCurrentDish();
-            return;
-        }
-
-        if (key === ' ') {
-            this.game.serveDish();
-            return;
-        }
-
-        if (key === 'enter') {
-            this.game.retrieveCookedItems();
+        // The kitchen decides what a key does with the player's bindings; going
+        // through it records the press for replays
+        if (!this.isGameKey(event.key)) {
+            // Practice counts a stray letter as a wrong key too
+            if (this.game.practice && key.length === 1) this.game.practice.countWrongKey();
             return;
         }
+        this.game.handleInput({ key, shift: event.shiftKey });
         
-        // Handle cleaning (both Delete and Backspace for Mac compatibility)
-        if (key === 'delete' || key === 'backspace') {
-            this.game.cleanStation();
-            return;
-        }
-
-        // Handle dish-specific keys
+        // Update key hints
         const activeOrder = this.game.orderSystem.getActiveOrder();
-        if (!activeOrder) return;
-
-        const keyMappings = this.game.dishSystem.getDishKeyMappings(activeOrder.dishId);
-        const mapping = keyMappings.get(key);
-        
-        if (mapping) {
-            console.log(`Key pressed: ${key}, mapping:`, mapping);
-            
-            if (mapping.type === 'ingredient') {
-                this.game.addIngredient(activeOrder.dishId, mapping.id);
-            } else if (mapping.type === 'tool') {
-                this.game.useTool(activeOrder.dishId, mapping.id);
-            }
-            
-            // Update key hints
-            this.updateKeyHints(activeOrder.dishId);
-        } else {
-            console.log(`No mapping found for key: ${key}`);
-            console.log('Available mappings:', Array.from(keyMappings.keys()));
+        if (activeOrder) {
+            this.updateKeyHints(activeOrder.dish);
         }
     }
 
@@ -123,23 +107,57 @@ class InputHandler {
         this.pressedKeys.delete(key);
     }
 
-    // Handle order selection (1-9 keys)
-    handleOrderSelection(orderNumber) {
-        const activeOrders = this.game.orderSystem.getActiveOrders();
-        const orderIndex = orderNumber - 1;
+    // Key actually bound to an ingredient or tool in this dish, as shown to the player
+    getKeyLabel(dish, type, id, fallbackKey) {
+        return CookTapCore.formatKey(this.game.dishSystem.getKeyFor(dish, type, id) || fallbackKey);
+    }
+
+    // Keys bound to a general control, as shown to the player
+    getControlLabel(controlId) {
+        return this.game.dishSystem.keyProfile.getControlLabel(controlId);
+    }
+
+    // Keys that select orders: "1-9" while they run in a row, else each one
+    getOrderKeysLabel() {
+        const labels = [1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => this.getControlLabel(`order${n}`));
+        return labels.join('') === '123456789' ? '1-9' : labels.join(' ');
+    }
+
+    // Rebuild the general controls list with the keys in effect
+    updateControlHints() {
+        const element = document.querySelector('.general-keys');
+        if (!element) return;
         
-        if (orderIndex >= 0 && orderIndex < activeOrders.length) {
-            const order = activeOrders[orderIndex];
-            this.game.selectOrder(order.id);
+        const kbd = controlId => this.game.dishSystem.keyProfile.getControlKeys(controlId)
+            .map(key => `<kbd>${CookTapCore.escapeHtml(CookTapCore.formatKey(key))}</kbd>`).join('/');
+        
+        element.innerHTML = `
+            <span class="key-combo"><kbd>${CookTapCore.escapeHtml(this.getOrderKeysLabel())}</kbd> Select Order</span>
+            <span class="key-combo">${kbd('serve')} Serve Dish</span>
+            <span class="key-combo">${kbd('retrieve')} Retrieve Cooked Items</span>
+            <span class="key-combo"><kbd>Shift</kbd>+${kbd('retrieve')} Hold Cooked Items</span>
+            <span class="key-combo">${kbd('clean')} Clean Station</span>
+            <span class="key-combo"><kbd>Shift</kbd>+<kbd>key</kbd> Restock Ingredient</span>
+            <span class="key-combo">${kbd('cancel')} Cancel Current</span>
+        `;
+    }
+
+    // Key hint markup, flagging keys that were remapped away from a conflict
+    getKeyHtml(dish, type, id, fallbackKey) {
+        const binding = this.game.dishSystem.getKeyBinding(dish, type, id);
+        const label = this.getKeyLabel(dish, type, id, fallbackKey);
+        
+        if (binding && binding.remappedFrom) {
+            return `<kbd class="remapped" title="Remapped from ${CookTapCore.escapeHtml(binding.remappedFrom.toUpperCase())} (${CookTapCore.escapeHtml(binding.remapReason)})">${CookTapCore.escapeHtml(label)}</kbd>`;
         }
+        return `<kbd>${CookTapCore.escapeHtml(label)}</kbd>`;
     }
 
-    // Update key hints display
-    updateKeyHints(dishId) {
+    // Update key hints display for a prepared dish
+    updateKeyHints(dish) {
         const keyHintsElement = document.getElementById('recipe-keys');
         if (!keyHintsElement) return;
 
-        const dish = this.game.dishSystem.getDish(dishId);
         if (!dish) {
             keyHintsElement.innerHTML = '<span class="key-hint">Select a dish to see controls</span>';
             return;
@@ -147,16 +165,19 @@ class InputHandler {
 
         const hints = [];
         
-        // Show ingredient keys for missing required ingredients
+        // Show ingredient keys for missing required ingredients and the customer's additions
         const requiredIngredients = dish.ingredients.filter(ing => ing.required);
-        const remainingRequired = requiredIngredients.filter(ing => !dish.currentIngredients.has(ing.id));
+        const requestedIds = new Set(dish.modifiers.filter(mod => mod.type !== 'exclude').map(mod => mod.ingredientId));
+        const excludedIds = new Set(dish.modifiers.filter(mod => mod.type === 'exclude').map(mod => mod.ingredientId));
+        const remainingRequired = dish.ingredients.filter(ing =>
+            (ing.required || requestedIds.has(ing.id)) && !dish.currentIngredients.has(ing.id));
         
         remainingRequired.forEach(ing => {
             const ingredientData = this.game.dishSystem.getIngredient(ing.id);
             if (ingredientData) {
                 hints.push(`
                     <span class="key-combo priority">
-                        <kbd>${ingredientData.key.toUpperCase()}</kbd> ${ingredientData.name} *
+                        ${this.getKeyHtml(dish, 'ingredient', ing.id, ingredientData.key)} ${CookTapCore.escapeHtml(ingredientData.name)} *
                     </span>
                 `);
             }
@@ -174,7 +195,7 @@ class InputHandler {
                 if (nextStep) {
                     hints.push(`
                         <span class="key-combo next-step">
-                            <kbd>${nextStep.key.toUpperCase()}</kbd> ${nextStep.description}
+                            ${this.getKeyHtml(dish, 'tool', nextStep.action, nextStep.key)} ${CookTapCore.escapeHtml(nextStep.description)}
                         </span>
                     `);
                 }
@@ -192,20 +213,33 @@ class InputHandler {
             if (currentStep) {
                 hints.push(`
                     <span class="key-combo next-step">
-                        <kbd>${currentStep.key.toUpperCase()}</kbd> ${currentStep.description}
+                        ${this.getKeyHtml(dish, 'tool', currentStep.action, currentStep.key)} ${CookTapCore.escapeHtml(currentStep.description)}
                     </span>
                 `);
             }
         }
 
-        // Show optional ingredients
-        const optionalIngredients = dish.ingredients.filter(ing => !ing.required && !dish.currentIngredients.has(ing.id));
+        // Second portions the customer asked for
+        dish.ingredients.forEach(ing => {
+            if (!this.game.dishSystem.canDoubleIngredient(dish, ing.id)) return;
+            
+            const ingredientData = this.game.dishSystem.getIngredient(ing.id);
+            hints.push(`
+                <span class="key-combo priority">
+                    ${this.getKeyHtml(dish, 'ingredient', ing.id, ingredientData.key)} Extra ${CookTapCore.escapeHtml(ingredientData.name)} *
+                </span>
+            `);
+        });
+
+        // Show optional ingredients the customer didn't ask to leave out
+        const optionalIngredients = dish.ingredients.filter(ing =>
+            !ing.required && !requestedIds.has(ing.id) && !excludedIds.has(ing.id) && !dish.currentIngredients.has(ing.id));
         optionalIngredients.forEach(ing => {
             const ingredientData = this.game.dishSystem.getIngredient(ing.id);
             if (ingredientData) {
                 hints.push(`
                     <span class="key-combo optional">
-                        <kbd>${ingredientData.key.toUpperCase()}</kbd> ${ingredientData.name}
+                        ${this.getKeyHtml(dish, 'ingredient', ing.id, ingredientData.key)} ${CookTapCore.escapeHtml(ingredientData.name)}
                     </span>
                 `);
             }
@@ -220,7 +254,7 @@ class InputHandler {
                     if (ingredientData) {
                         hints.push(`
                             <span class="key-combo completed">
-                                <kbd>${ingredientData.key.toUpperCase()}</kbd> ${ingredientData.name} ✓
+                                ${this.getKeyHtml(dish, 'ingredient', ing.id, ingredientData.key)} ${CookTapCore.escapeHtml(ingredientData.name)} ✓
                             </span>
                         `);
                     }
@@ -245,7 +279,7 @@ class InputHandler {
         const activeOrder = this.game.orderSystem.getActiveOrder();
         if (!activeOrder) return new Map();
         
-        return this.game.dishSystem.getDishKeyMappings(activeOrder.dishId);
+        return this.game.dishSystem.getDishKeyMappings(activeOrder.dish);
     }
 
     // Show key press feedback
@@ -295,25 +329,26 @@ class InputHandler {
     getHelpText() {
         const activeOrder = this.game.orderSystem.getActiveOrder();
         if (!activeOrder) {
-            return 'Select an order (1-9) to start cooking!';
+            return `Select an order (${this.getOrderKeysLabel()}) to start cooking!`;
         }
 
-        const dish = this.game.dishSystem.getDish(activeOrder.dishId);
+        const dish = activeOrder.dish;
         if (!dish) return '';
 
         const keyMappings = this.getCurrentKeyMappings();
         const requiredIngredients = dish.ingredients.filter(ing => ing.required);
         const remainingRequired = requiredIngredients.filter(ing => !dish.currentIngredients.has(ing.id));
 
-        // Check for ingredients that need to be added
+        // Check for ingredients that need to be added, including the customer's additions
         const missingRequired = dish.ingredients.filter(ing => 
-            ing.required && !dish.currentIngredients.has(ing.id)
+            (ing.required || dish.modifiers.some(mod => mod.type !== 'exclude' && mod.ingredientId === ing.id)) &&
+            !dish.currentIngredients.has(ing.id)
         );
         
         if (missingRequired.length > 0) {
             const ingredientNames = missingRequired.map(ing => {
                 const ingredientData = this.game.dishSystem.getIngredient(ing.id);
-                const key = ingredientData ? ingredientData.key.toUpperCase() : '?';
+                const key = this.getKeyLabel(dish, 'ingredient', ing.id, ingredientData && ingredientData.key);
                 return `${ingredientData.name} (${key})`;
             }).join(', ');
             
@@ -327,18 +362,19 @@ class InputHandler {
             const ingredientState = dish.ingredientStates.get(ingredient.id);
             if (ingredientState && !ingredientState.isReady) {
                 const nextStep = ingredient.prepSteps[ingredientState.prepStepsCompleted];
-                return `Prepare ${this.game.dishSystem.getIngredient(ingredient.id).name}: ${nextStep.description} (${nextStep.key.toUpperCase()})`;
+                if (!nextStep) return `${this.game.dishSystem.getIngredient(ingredient.id).name} is cooking...`;
+                return `Prepare ${this.game.dishSystem.getIngredient(ingredient.id).name}: ${nextStep.description} (${this.getKeyLabel(dish, 'tool', nextStep.action, nextStep.key)})`;
             }
         }
 
         // Check for final assembly steps
         if (dish.finalSteps && dish.finalStepsProgress < dish.finalSteps.length) {
             const currentStep = dish.finalSteps[dish.finalStepsProgress];
-            return `${currentStep.description} (${currentStep.key.toUpperCase()})`;
+            return `${currentStep.description} (${this.getKeyLabel(dish, 'tool', currentStep.action, currentStep.key)})`;
         }
 
         if (dish.isComplete) {
-            return 'Dish ready! Press SPACE to serve.';
+            return `Dish ready! Press ${this.getControlLabel('serve')} to serve.`;
         }
 
         return 'All ingredients ready! Proceed to final assembly.';
@@ -0,0 +1,73 @@
+/**
+ * Day Report Renderer - End-of-day summary shown when a campaign day closes
+ */
+
+class DayReportRenderer {
+    constructor() {
+        this.element = null;
+    }
+
+    // actions: { onNextDay (omitted when the next day is locked), onReplay, onShop }
+    show(report, actions = {}) {
+        this.hide();
+        
+        const stars = '★'.repeat(report.stars) + '☆'.repeat(Math.max(0, report.maxStars - report.stars));
+        const passed = report.stars > 0;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'day-report';
+        this.element.innerHTML = `
+            <div class="day-report-card">
+                <h2>Day ${report.dayNumber}: ${report.dayName} - Closed</h2>
+                <div class="day-report-stars ${passed ? 'passed' : 'failed'}">${stars}</div>
+                <div class="day-report-verdict">${passed ? 'Target reached!' : 'Target missed - try the day again'}</div>
+                <table class="day-report-table">
+                    <tr><th>Earnings</th><td>${report.earnings} / ${report.targetRevenue}</td></tr>
+                    <tr><th>Tips</th><td>${report.tips}</td></tr>
+                    <tr><th>Restocking</th><td>${report.expenses}</td></tr>
+                    ${report.fines > 0 ? `<tr><th>Inspection fines</th><td>${report.fines}</td></tr>` : ''}
+                    <tr><th>Orders served</th><td>${report.served}</td></tr>
+                    <tr><th>Walkouts</th><td>${report.walkouts}</td></tr>
+                    <tr><th>Perfect</th><td>${report.ratings.perfect}</td></tr>
+                    <tr><th>Good</th><td>${report.ratings.good}</td></tr>
+                    <tr><th>Average</th><td>${report.ratings.average}</td></tr>
+                    <tr><th>Bad</th><td>${report.ratings.bad}</td></tr>
+                </table>
+                <div class="day-report-actions">
+                    ${actions.onShop ? '<button class="btn btn-info" data-action="shop">Upgrade Shop</button>' : ''}
+                    <button class="btn btn-secondary" data-action="replay">Replay Day</button>
+                    ${actions.onNextDay ? '<button class="btn btn-success" data-action="next">Next Day</button>' : ''}
+                </div>
+            </div>
+        `;
+        
+        this.element.querySelector('[data-action="replay"]').addEventListener('click', () => {
+            this.hide();
+            if (actions.onReplay) actions.onReplay();
+        });
+        
+        const shopButton = this.element.querySelector('[data-action="shop"]');
+        if (shopButton) {
+            shopButton.addEventListener('click', () => actions.onShop());
+        }
+        
+        const nextButton = this.element.querySelector('[data-action="next"]');
+        if (nextButton) {
+            nextButton.addEventListener('click', () => {
+                this.hide();
+                actions.onNextDay();
+            });
+        }
+        
+        document.body.appendChild(this.element);
+    }
+
+    hide() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
+
+window.DayReportRenderer = DayReportRenderer;
@@ -0,0 +1,73 @@
+/**
+ * Gamepad Renderer - Shows the open radial menu and the gamepad's controls
+ * while a gamepad is connected
+ */
+
+class GamepadRenderer {
+    constructor(controller, kitchen) {
+        this.controller = controller;
+        this.kitchen = kitchen;
+        this.element = document.getElementById('gamepad-section');
+        this.menuElement = document.getElementById('gamepad-menu');
+        
+        if (!this.element) return;
+        
+        controller.on('connected', () => this.show());
+        controller.on('disconnected', () => this.hide());
+        controller.on('menuChanged', () => this.render());
+        kitchen.on('dishUpdated', () => this.render());
+    }
+
+    show() {
+        this.element.style.display = '';
+        this.render();
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    render() {
+        if (!this.controller.isConnected()) return;
+        
+        const { controls } = this.controller.config;
+        const button = name => `<kbd>${this.controller.getButtonName(controls[name])}</kbd>`;
+        const menu = this.controller.getCurrentMenu();
+        const order = this.kitchen.getActiveOrder();
+        
+        let radial = '<span class="key-hint">Select an order to open its menus</span>';
+        if (menu) {
+            const slots = menu.slots.map((slot, index) => {
+                const binding = slot.binding;
+                const added = binding && binding.type === 'ingredient' && order.dish.currentIngredients.has(binding.id);
+                return `
+                    <div class="radial-slot radial-slot-${index}${binding ? '' : ' empty'}${added ? ' added' : ''}">
+                        <kbd>${slot.label}</kbd> ${binding ? CookTapCore.escapeHtml(binding.name) : '-'}
+                    </div>
+                `;
+            }).join('');
+            const paging = menu.count > 1 ? `${button('previousMenu')}${button('nextMenu')}` : '';
+            
+            radial = `
+                <div class="radial-title">${menu.name} ${paging}</div>
+                <div class="radial-menu">${slots}</div>
+            `;
+        }
+        
+        this.menuElement.innerHTML = `
+            ${radial}
+            <div class="gamepad-controls">
+                <span class="key-combo">${button('previousOrder')}/${button('nextOrder')} Orders</span>
+                <span class="key-combo">${button('serve')} Serve</span>
+                <span class="key-combo">${button('retrieve')} Retrieve</span>
+                <span class="key-combo">${button('shift')}+${button('retrieve')} Hold</span>
+                <span class="key-combo">${button('shift')}+ingredient Restock</span>
+                <span class="key-combo">${button('clean')} Clean</span>
+                <span class="key-combo">${button('cancel')} Cancel</span>
+                <span class="key-combo">${button('pause')} Pause</span>
+            </div>
+        `;
+    }
+}
+
+window.GamepadRenderer = GamepadRenderer;
@@ -0,0 +1,63 @@
+/**
+ * Holding Renderer - Draws the holding station's warm items and how long
+ * each stays fresh
+ */
+
+class HoldingRenderer {
+    constructor(kitchen) {
+        this.holdingStation = kitchen.holdingStation;
+        this.dishSystem = kitchen.dishSystem;
+        this.clock = kitchen.clock;
+        this.element = document.getElementById('holding-station');
+        this.refreshTimer = null;
+        
+        if (!this.holdingStation || !this.element) return;
+        
+        this.element.style.display = '';
+        
+        this.holdingStation.on('slotChanged', () => this.render());
+        this.holdingStation.on('cleared', () => this.render());
+        this.render();
+    }
+
+    render() {
+        // A reloaded menu may rename the station
+        this.element.querySelector('h3').textContent = this.holdingStation.name;
+        
+        const slots = this.element.querySelector('#holding-slots');
+        slots.innerHTML = '';
+        
+        for (let i = 0; i < this.holdingStation.slots; i++) {
+            const item = this.holdingStation.items.get(i);
+            const slotElement = document.createElement('div');
+            
+            if (item) {
+                slotElement.className = `holding-slot held ${item.doneness}`;
+                slotElement.innerHTML = `
+                    <div class="cooked-item-name">${CookTapCore.escapeHtml(item.name)}${item.doneness === 'overcooked' ? ' (overcooked)' : item.zoneName ? ` (${CookTapCore.escapeHtml(item.zoneName)})` : ''}</div>
+                    <div class="freshness-hint">Fresh for ${this.holdingStation.getFreshnessLeft(i)}s</div>
+                `;
+            } else {
+                slotElement.className = 'holding-slot';
+                slotElement.textContent = `Shift+${this.dishSystem.keyProfile.getControlLabel('retrieve')} to hold`;
+            }
+            slots.appendChild(slotElement);
+        }
+        
+        this.updateRefreshTimer();
+    }
+
+    // Count freshness down every game second while anything is held
+    updateRefreshTimer() {
+        const hasItems = this.holdingStation.items.size > 0;
+        
+        if (hasItems && this.refreshTimer === null) {
+            this.refreshTimer = this.clock.setInterval(() => this.render(), 1000);
+        } else if (!hasItems && this.refreshTimer !== null) {
+            this.clock.clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+}
+
+window.HoldingRenderer = HoldingRenderer;
@@ -0,0 +1,198 @@
+/**
+ * Key Settings Renderer - Overlay for rebinding the general controls and any
+ * ingredient or tool key, with conflict checks and reset to the defaults
+ */
+
+class KeySettingsRenderer {
+    constructor(dishSystem, options = {}) {
+        this.dishSystem = dishSystem;
+        this.onChange = options.onChange || (() => {});
+        this.element = null;
+        this.capturing = null; // { type, id } waiting for its new key
+        this.message = null; // { text, level }
+        
+        // Capture phase, so the key being bound never reaches the game
+        this.handleKeyDown = (event) => {
+            if (!this.capturing) return;
+            
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                this.capturing = null;
+                this.render();
+                return;
+            }
+            this.bind(this.capturing.type, this.capturing.id, event.key);
+        };
+    }
+
+    isOpen() {
+        return this.element !== null;
+    }
+
+    show() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'key-settings';
+            this.element.addEventListener('click', (event) => this.handleClick(event));
+            document.addEventListener('keydown', this.handleKeyDown, true);
+            document.body.appendChild(this.element);
+        }
+        
+        this.message = null;
+        this.render();
+    }
+
+    hide() {
+        if (this.element) {
+            document.removeEventListener('keydown', this.handleKeyDown, true);
+            this.element.remove();
+            this.element = null;
+            this.capturing = null;
+        }
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const { action, type, id } = button.dataset;
+        if (action === 'rebind') {
+            this.capturing = this.isCapturing(type, id) ? null : { type, id };
+            this.message = null;
+            this.render();
+        } else if (action === 'reset') {
+            this.dishSystem.keyProfile.resetKey(type, id);
+            this.applyChange(null);
+        } else if (action === 'reset-all') {
+            this.dishSystem.keyProfile.resetAll();
+            this.applyChange({ text: 'All keys are back to their defaults.', level: 'info' });
+        } else if (action === 'close') {
+            this.hide();
+        }
+    }
+
+    isCapturing(type, id) {
+        return Boolean(this.capturing && this.capturing.type === type && this.capturing.id === id);
+    }
+
+    // Bind the captured key, refusing clashes with a control and warning about clashes inside dishes
+    bind(type, id, key) {
+        const defaultKey = type === 'control' ? null : this.dishSystem.getDefaultKey(type, id);
+        const result = this.dishSystem.keyProfile.setKey(type, id, key, defaultKey);
+        if (!result.ok) {
+            this.message = { text: result.reason, level: 'error' };
+            this.render();
+            return;
+        }
+        
+        this.capturing = null;
+        this.applyChange(this.describeClashes(type, id, CookTapCore.normalizeKey(key)));
+    }
+
+    applyChange(message) {
+        const profile = this.dishSystem.keyProfile;
+        
+        // Dish keys are resolved again with the new choices
+        this.dishSystem.setKeyProfile(profile);
+        this.message = message;
+        this.onChange(profile);
+        this.render();
+    }
+
+    // Clashes are allowed; resolving a dish's keys moves the losing binding to a free key
+    describeClashes(type, id, key) {
+        const label = CookTapCore.formatKey(key);
+        
+        if (type === 'control') {
+            const items = this.getItems().filter(item => this.getItemKey(item.type, item.id) === key);
+            if (items.length === 0) return null;
+            return {
+                text: `${label} was also bound to ${items.map(item => item.name).join(', ')}; dishes using them get another key instead.`,
+                level: 'warning'
+            };
+        }
+        
+        const clashes = this.dishSystem.findKeyClashes(type, id, key);
+        if (clashes.length === 0) return null;
+        return {
+            text: `${label} is also bound to ${clashes.map(clash => `${clash.name} in ${clash.dishName}`).join(', ')}; ` +
+                'the later one in each recipe gets another key there.',
+            level: 'warning'
+        };
+    }
+
+    // Ingredients and tools that have keys; space-bound tools are done by serving
+    getItems() {
+        const ingredients = this.dishSystem.getAllIngredients()
+            .filter(ingredient => ingredient.key)
+            .map(ingredient => ({ type: 'ingredient', id: ingredient.id, name: ingredient.name }));
+        const tools = this.dishSystem.getAllTools()
+            .filter(tool => tool.key && CookTapCore.normalizeKey(tool.key) !== 'space')
+            .map(tool => ({ type: 'tool', id: tool.id, name: tool.name }));
+        
+        return ingredients.concat(tools);
+    }
+
+    getItemKey(type, id) {
+        const key = this.dishSystem.keyProfile.getKey(type, id, this.dishSystem.getDefaultKey(type, id));
+        return CookTapCore.normalizeKey(key);
+    }
+
+    renderRow(type, id, name, keys, isCustom) {
+        const capturing = this.isCapturing(type, id);
+        const label = capturing
+            ? '<kbd class="capturing">Press a key…</kbd>'
+            : keys.map(key => `<kbd class="${isCustom ? 'custom' : ''}">${CookTapCore.escapeHtml(CookTapCore.formatKey(key))}</kbd>`).join('/');
+        const reset = isCustom
+            ? `<button class="btn btn-secondary" data-action="reset" data-type="${type}" data-id="${id}">Reset</button>`
+            : '';
+        
+        return `
+            <li class="key-setting${capturing ? ' capturing' : ''}">
+                <span class="key-setting-name">${CookTapCore.escapeHtml(name)}</span>
+                <span class="key-setting-keys">${label}</span>
+                <span class="key-setting-buttons">
+                    <button class="btn btn-info" data-action="rebind" data-type="${type}" data-id="${id}">${capturing ? 'Cancel' : 'Change'}</button>
+                    ${reset}
+                </span>
+            </li>
+        `;
+    }
+
+    render() {
+        if (!this.element) return;
+        
+        const profile = this.dishSystem.keyProfile;
+        const controls = profile.getControls()
+            .map(control => this.renderRow('control', control.id, control.name, control.keys, control.isCustom))
+            .join('');
+        const itemRows = type => this.getItems()
+            .filter(item => item.type === type)
+            .map(item => this.renderRow(type, item.id, item.name, [this.getItemKey(type, item.id)], profile.isCustom(type, item.id)))
+            .join('');
+        const message = this.message
+            ? `<div class="key-settings-message ${this.message.level}">${CookTapCore.escapeHtml(this.message.text)}</div>`
+            : '';
+        
+        this.element.innerHTML = `
+            <div class="key-settings-card">
+                <h2>Key Bindings</h2>
+                <p class="key-settings-note">Shift with an ingredient's key restocks it; Shift with Retrieve holds cooked items.</p>
+                ${message}
+                <h3>General Controls</h3>
+                <ul class="key-settings-list">${controls}</ul>
+                <h3>Ingredients</h3>
+                <ul class="key-settings-list">${itemRows('ingredient')}</ul>
+                <h3>Tools</h3>
+                <ul class="key-settings-list">${itemRows('tool')}</ul>
+                <div class="key-settings-actions">
+                    <button class="btn btn-warning" data-action="reset-all">Reset All to Defaults</button>
+                    <button class="btn btn-secondary" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+    }
+}
+
+window.KeySettingsRenderer = KeySettingsRenderer;
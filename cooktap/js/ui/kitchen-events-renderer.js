@@ -0,0 +1,100 @@
+/**
+ * Kitchen Events Renderer - Banners for breakdowns, rushes and inspections
+ * Each running event gets a banner with its message and a countdown; an
+ * inspection's verdict stays up for a few seconds after the inspector leaves.
+ */
+
+class KitchenEventsRenderer {
+    constructor(kitchen) {
+        this.kitchen = kitchen;
+        this.events = kitchen.events;
+        this.clock = kitchen.clock;
+        this.verdicts = []; // Inspection results still on show
+        this.verdictTime = 5000; // Game ms each one stays up
+        this.refreshTimer = null;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'kitchen-events';
+        document.body.appendChild(this.element);
+        
+        this.events.on('eventStarted', () => this.render());
+        this.events.on('eventEnded', () => this.render());
+        this.events.on('inspected', result => this.showVerdict(result));
+        
+        // A reset kitchen drops the clock's timers, so leftover verdicts go with them
+        this.kitchen.on('stateChanged', ({ hasStarted }) => {
+            if (!hasStarted && this.verdicts.length > 0) {
+                this.verdicts = [];
+                this.render();
+            }
+        });
+    }
+
+    showVerdict(result) {
+        this.verdicts.push(result);
+        this.render();
+        
+        this.clock.setTimeout(() => {
+            this.verdicts = this.verdicts.filter(verdict => verdict !== result);
+            this.render();
+        }, this.verdictTime);
+    }
+
+    getCountdownLabel(active) {
+        const seconds = this.events.getTimeLeft(active);
+        const label = { breakdown: 'Repaired in', rush: 'Ends in', inspection: 'Arrives in' }[active.event.type];
+        return `${label} ${seconds}s`;
+    }
+
+    renderEvent(active) {
+        const { event } = active;
+        return `
+            <div class="kitchen-event ${event.type}">
+                <span class="kitchen-event-icon">${event.icon || '⚠️'}</span>
+                <div class="kitchen-event-text">
+                    <strong>${event.name || event.id}</strong>
+                    <span>${event.message || ''}</span>
+                </div>
+                <span class="kitchen-event-countdown">${this.getCountdownLabel(active)}</span>
+            </div>
+        `;
+    }
+
+    renderVerdict({ event, dirtyStations, fine }) {
+        const text = fine > 0
+            ? `Fined ${fine} for ${dirtyStations.map(station => station.name).join(', ')}`
+            : 'Passed: every station was clean enough';
+        return `
+            <div class="kitchen-event verdict ${fine > 0 ? 'failed' : 'passed'}">
+                <span class="kitchen-event-icon">${event.icon || '📋'}</span>
+                <div class="kitchen-event-text">
+                    <strong>${event.name || event.id}</strong>
+                    <span>${text}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        this.element.innerHTML = [
+            ...this.events.getActiveEvents().map(active => this.renderEvent(active)),
+            ...this.verdicts.map(verdict => this.renderVerdict(verdict))
+        ].join('');
+        
+        this.updateRefreshTimer();
+    }
+
+    // Count down every game second while an event runs
+    updateRefreshTimer() {
+        const isRunning = this.events.getActiveEvents().length > 0;
+        
+        if (isRunning && this.refreshTimer === null) {
+            this.refreshTimer = this.clock.setInterval(() => this.render(), 1000);
+        } else if (!isRunning && this.refreshTimer !== null) {
+            this.clock.clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+}
+
+window.KitchenEventsRenderer = KitchenEventsRenderer;
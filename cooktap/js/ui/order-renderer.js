@@ -0,0 +1,204 @@
+/**
+ * Order Renderer - Draws the order queue, timers and score from OrderSystem events
+ */
+
+class OrderRenderer {
+    constructor(kitchen) {
+        this.kitchen = kitchen;
+        this.orderSystem = kitchen.orderSystem;
+        this.dishSystem = kitchen.dishSystem;
+        this.elements = new Map(); // Order id -> order element
+        
+        this.ordersContainer = document.getElementById('active-orders');
+        this.scoreElement = document.getElementById('score');
+        this.tipsElement = document.getElementById('tips');
+        this.ordersCompletedElement = document.getElementById('orders-completed');
+        
+        this.subscribe();
+    }
+
+    subscribe() {
+        this.orderSystem.on('orderSpawned', order => this.createOrderElement(order));
+        this.orderSystem.on('orderTimerUpdated', order => this.updateOrderTimer(order));
+        this.orderSystem.on('orderSelected', (order, previous) => {
+            if (previous) this.setActive(previous, false);
+            this.setActive(order, true);
+        });
+        this.orderSystem.on('orderDeselected', order => this.setActive(order, false));
+        this.orderSystem.on('orderCompleted', (order, score) => {
+            this.removeOrderElement(order, 'completed', 1000);
+            this.showOrderFeedback(order, score);
+        });
+        this.orderSystem.on('orderExpired', (order, score) => {
+            this.removeOrderElement(order, 'expired', 2000);
+            this.showOrderFeedback(order, score);
+        });
+        this.orderSystem.on('scoreChanged', stats => this.updateDisplay(stats));
+        this.orderSystem.on('ordersCleared', () => this.clear());
+        this.kitchen.inventory.on('stockChanged', () => this.updateStockWarnings());
+    }
+
+    // Create DOM element for an order
+    createOrderElement(order) {
+        const orderElement = document.createElement('div');
+        orderElement.className = 'order-item';
+        orderElement.id = `order-${order.id}`;
+        orderElement.dataset.orderId = order.id;
+        
+        const dish = this.dishSystem.getDish(order.dishId);
+        
+        orderElement.innerHTML = `
+            <div class="dish-name" style="background-color: ${CookTapCore.escapeHtml(dish.baseColor)}">${CookTapCore.escapeHtml(order.dishName)}</div>
+            <div class="order-customer" title="${order.customer.name}">
+                <span class="customer-icon">${order.customer.icon}</span>
+                <span class="customer-name">${order.customer.name}</span>
+                <span class="customer-mood"></span>
+            </div>
+            <div class="mood-bar"><div class="mood-fill"></div></div>
+            ${this.renderModifiers(order.modifiers)}
+            <div class="order-details">
+                <div class="order-id">#${order.id.substr(-4)}</div>
+                <div class="timer" data-time-limit="${order.timeLimit}">
+                    ${this.formatRemainingTime(order)}
+                </div>
+            </div>
+        `;
+        
+        orderElement.addEventListener('click', () => {
+            this.kitchen.handleInput({ action: 'selectOrder', args: [order.id] });
+        });
+        
+        this.elements.set(order.id, orderElement);
+        this.updateStockWarning(order);
+        this.updateMood(order);
+        
+        if (this.ordersContainer) {
+            this.ordersContainer.appendChild(orderElement);
+        }
+    }
+
+    // Flag orders that can't be finished until an ingredient is restocked
+    updateStockWarning(order) {
+        const orderElement = this.elements.get(order.id);
+        if (!orderElement) return;
+        
+        const missing = this.kitchen.inventory.getMissingIngredients(order.dish);
+        orderElement.classList.toggle('out-of-stock', missing.length > 0);
+        orderElement.title = missing.length > 0
+            ? `Out of stock: ${missing.map(id => this.dishSystem.getIngredient(id).name).join(', ')}`
+            : '';
+    }
+
+    updateStockWarnings() {
+        this.orderSystem.getActiveOrders().forEach(order => this.updateStockWarning(order));
+    }
+
+    // The customer's requests, e.g. "No Pickles", "Extra Cheese"
+    renderModifiers(modifiers) {
+        if (modifiers.length === 0) return '';
+        
+        const items = modifiers.map(modifier => `<li class="order-modifier ${modifier.type}">${CookTapCore.escapeHtml(this.describeModifier(modifier))}</li>`);
+        return `<ul class="order-modifiers">${items.join('')}</ul>`;
+    }
+
+    describeModifier(modifier) {
+        const ingredient = this.dishSystem.getIngredient(modifier.ingredientId);
+        return CookTapCore.describeModifier(modifier, ingredient ? ingredient.name : modifier.ingredientId);
+    }
+
+    // Practice orders have no time limit
+    formatRemainingTime(order) {
+        return order.expires ? `${order.getRemainingTime()}s` : 'No limit';
+    }
+
+    updateOrderTimer(order) {
+        const orderElement = this.elements.get(order.id);
+        if (!orderElement) return;
+        
+        const timerElement = orderElement.querySelector('.timer');
+        if (timerElement) {
+            timerElement.textContent = this.formatRemainingTime(order);
+            timerElement.className = `timer ${order.getUrgencyLevel()}`;
+        }
+        
+        this.updateMood(order);
+    }
+
+    // Face and bar for how the customer feels about the wait
+    updateMood(order) {
+        const orderElement = this.elements.get(order.id);
+        if (!orderElement) return;
+        
+        const faces = { happy: '😊', content: '😐', upset: '😠' };
+        const level = order.getMoodLevel();
+        orderElement.querySelector('.customer-mood').textContent = faces[level];
+        
+        const fill = orderElement.querySelector('.mood-fill');
+        fill.style.width = `${Math.round(order.getMood() * 100)}%`;
+        fill.className = `mood-fill ${level}`;
+    }
+
+    setActive(order, isActive) {
+        const orderElement = this.elements.get(order.id);
+        if (orderElement) {
+            orderElement.classList.toggle('active', isActive);
+        }
+    }
+
+    // Fade out a finished order with completed/expired styling
+    removeOrderElement(order, className, delay) {
+        const orderElement = this.elements.get(order.id);
+        if (!orderElement) return;
+        
+        this.elements.delete(order.id);
+        orderElement.classList.add(className);
+        setTimeout(() => {
+            orderElement.remove();
+        }, delay);
+    }
+
+    // Show order completion feedback
+    showOrderFeedback(order, score) {
+        const feedback = document.createElement('div');
+        feedback.className = `order-feedback ${order.rating}`;
+        feedback.textContent = `${order.dishName}: ${order.rating.toUpperCase()} ${score > 0 ? '+' : ''}${score}`;
+        
+        if (order.tip > 0) {
+            feedback.textContent += ` (${order.customer.name} tipped ${order.tip})`;
+        }
+        
+        if (order.unmetModifiers.length > 0) {
+            feedback.textContent += ` (missed: ${order.unmetModifiers.map(modifier => this.describeModifier(modifier)).join(', ')})`;
+        }
+        
+        document.body.appendChild(feedback);
+        
+        setTimeout(() => {
+            feedback.remove();
+        }, 3000);
+    }
+
+    // Update score and stats display
+    updateDisplay(stats) {
+        if (this.scoreElement) {
+            this.scoreElement.textContent = stats.totalScore;
+        }
+        
+        if (this.tipsElement) {
+            this.tipsElement.textContent = stats.tips;
+        }
+        
+        if (this.ordersCompletedElement) {
+            this.ordersCompletedElement.textContent = stats.ordersCompleted;
+        }
+    }
+
+    clear() {
+        this.elements.clear();
+        if (this.ordersContainer) {
+            this.ordersContainer.innerHTML = '';
+        }
+    }
+}
+
+window.OrderRenderer = OrderRenderer;
@@ -0,0 +1,142 @@
+/**
+ * Pack Picker Renderer - The restaurant choice shown before a shift
+ * Lists the built-in and imported menu packs with their theme colors and
+ * dishes. A pack file dropped on the picker, or chosen with the file picker,
+ * is imported; if it doesn't validate, every problem in it is listed.
+ */
+
+class PackPickerRenderer {
+    // options: { onSelect(packId), onImport(pack) (throws on a bad pack), onRemove(packId) }
+    constructor(library, options = {}) {
+        this.library = library;
+        this.onSelect = options.onSelect || (() => {});
+        this.onImport = options.onImport || (() => {});
+        this.onRemove = options.onRemove || (() => {});
+        this.element = null;
+        this.rejected = null; // The last import that failed: { fileName, report }
+    }
+
+    show() {
+        this.hide();
+        
+        this.element = document.createElement('div');
+        this.element.className = 'pack-picker';
+        this.element.addEventListener('click', (event) => this.handleClick(event));
+        this.element.addEventListener('change', (event) => {
+            if (event.target.id === 'pack-file') this.importFile(event.target.files[0]);
+        });
+        
+        // Dropping a file anywhere on the picker imports it
+        this.element.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            this.element.classList.add('dragging');
+        });
+        this.element.addEventListener('dragleave', (event) => {
+            if (event.target === this.element) this.element.classList.remove('dragging');
+        });
+        this.element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            this.element.classList.remove('dragging');
+            this.importFile(event.dataTransfer.files[0]);
+        });
+        
+        document.body.appendChild(this.element);
+        this.render();
+    }
+
+    hide() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const { action, pack } = button.dataset;
+        if (action === 'select') {
+            this.hide();
+            this.onSelect(pack);
+        } else if (action === 'remove') {
+            this.onRemove(pack);
+            this.render();
+        } else if (action === 'close') {
+            // Closing keeps the restaurant that was chosen last
+            this.hide();
+            this.onSelect(this.library.getSelectedPack().pack.id);
+        } else if (action === 'browse') {
+            this.element.querySelector('#pack-file').click();
+        }
+    }
+
+    async importFile(file) {
+        if (!file) return;
+        
+        try {
+            this.onImport(JSON.parse(await file.text()));
+            this.rejected = null;
+        } catch (error) {
+            // A pack with problems brings its report; a file that isn't JSON gets one
+            const report = error.report || { errors: [{ path: '$', message: error.message, severity: 'error' }], warnings: [] };
+            this.rejected = { fileName: file.name, report };
+        }
+        this.render();
+    }
+
+    renderPack(menu) {
+        const { pack } = menu;
+        const theme = pack.theme || {};
+        const isSelected = pack.id === this.library.getSelectedPack().pack.id;
+        const swatch = `background: linear-gradient(90deg, ${theme.header || '#ff6b6b'}, ${theme.headerEnd || theme.header || '#ee5a24'})`;
+        
+        return `
+            <div class="pack-option ${isSelected ? 'selected' : ''}">
+                <button class="pack-choose" data-action="select" data-pack="${CookTapCore.escapeHtml(pack.id)}">
+                    <span class="pack-swatch" style="${swatch}"></span>
+                    <strong>${CookTapCore.escapeHtml(pack.icon || '🍽️')} ${CookTapCore.escapeHtml(pack.name)}</strong>
+                    <span class="pack-description">${CookTapCore.escapeHtml(pack.description || '')}</span>
+                    <span class="pack-dishes">${menu.dishes.map(dish => CookTapCore.escapeHtml(dish.name)).join(' · ')}</span>
+                </button>
+                ${this.library.isImported(pack.id) ? `<button class="btn btn-secondary pack-remove" data-action="remove" data-pack="${CookTapCore.escapeHtml(pack.id)}">Remove</button>` : ''}
+            </div>
+        `;
+    }
+
+    renderRejected() {
+        if (!this.rejected) return '';
+        
+        const { fileName, report } = this.rejected;
+        return `
+            <div class="pack-rejected">
+                <strong>${CookTapCore.escapeHtml(fileName)} was not imported: ${report.errors.length} error(s)</strong>
+                <ul>
+                    ${report.errors.map(problem => `<li><code>${CookTapCore.escapeHtml(problem.path)}</code> ${CookTapCore.escapeHtml(problem.message)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    render() {
+        if (!this.element) return;
+        
+        this.element.innerHTML = `
+            <div class="pack-card">
+                <h2>Choose Your Restaurant</h2>
+                <div class="pack-list">
+                    ${this.library.getPacks().map(menu => this.renderPack(menu)).join('')}
+                </div>
+                <div class="pack-import">
+                    <span>Drop a menu pack (.json) here to import it, or</span>
+                    <button class="btn btn-info" data-action="browse">Choose File…</button>
+                    <input type="file" id="pack-file" accept=".json,application/json" hidden>
+                </div>
+                ${this.renderRejected()}
+                <button class="btn btn-secondary" data-action="close">Close</button>
+            </div>
+        `;
+    }
+}
+
+window.PackPickerRenderer = PackPickerRenderer;
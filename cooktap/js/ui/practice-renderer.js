@@ -0,0 +1,188 @@
+/**
+ * Practice Renderer - The practice dish picker and the attempt panel
+ * While an attempt runs the panel lists its steps as they happen; once the
+ * dish is served it shows the step-by-step timing breakdown, the wrong keys
+ * and how the attempt compares with the personal best.
+ */
+
+class PracticeRenderer {
+    // options: { onStart(dishId), onNext(), onExit() }
+    constructor(dishSystem, options = {}) {
+        this.dishSystem = dishSystem;
+        this.onStart = options.onStart || (() => {});
+        this.onNext = options.onNext || (() => {});
+        this.onExit = options.onExit || (() => {});
+        this.picker = null;
+        this.panel = null;
+        this.session = null;
+        this.result = null; // The last attempt's result until the next one starts
+        
+        this.handleStarted = () => {
+            this.result = null;
+            this.render();
+        };
+        this.handleStep = () => this.render();
+        this.handleCompleted = result => {
+            this.result = result;
+            this.render();
+        };
+    }
+
+    formatTime(ms) {
+        return `${(ms / 1000).toFixed(1)}s`;
+    }
+
+    // Every dish on the menu with its personal best
+    showPicker(bests) {
+        this.hidePicker();
+        
+        this.picker = document.createElement('div');
+        this.picker.className = 'practice-picker';
+        this.picker.innerHTML = `
+            <div class="practice-card">
+                <h2>Practice a Dish</h2>
+                <p class="practice-note">One order at a time, no time limit and a full pantry. Every attempt is timed step by step.</p>
+                <div class="practice-list">
+                    ${this.dishSystem.getAllDishes().map(dish => `
+                        <button class="practice-option" data-action="start" data-dish="${dish.id}">
+                            <strong>${CookTapCore.escapeHtml(dish.name)}</strong>
+                            <span>${bests[dish.id] ? `Best: ${this.formatTime(bests[dish.id].time)}` : 'No attempts yet'}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="practice-actions">
+                    <button class="btn btn-secondary" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+        this.picker.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            this.hidePicker();
+            if (button.dataset.action === 'start') {
+                this.onStart(button.dataset.dish);
+            }
+        });
+        document.body.appendChild(this.picker);
+    }
+
+    hidePicker() {
+        if (this.picker) {
+            this.picker.remove();
+            this.picker = null;
+        }
+    }
+
+    // Follow a practice session's attempts
+    show(session) {
+        this.hide();
+        
+        this.session = session;
+        this.result = null;
+        session.on('attemptStarted', this.handleStarted);
+        session.on('stepRecorded', this.handleStep);
+        session.on('wrongKey', this.handleStep);
+        session.on('attemptCompleted', this.handleCompleted);
+        
+        this.panel = document.createElement('div');
+        this.panel.className = 'practice-panel';
+        this.panel.addEventListener('click', (event) => this.handleClick(event));
+        document.body.appendChild(this.panel);
+        this.render();
+    }
+
+    hide() {
+        if (this.session) {
+            this.session.off('attemptStarted', this.handleStarted);
+            this.session.off('stepRecorded', this.handleStep);
+            this.session.off('wrongKey', this.handleStep);
+            this.session.off('attemptCompleted', this.handleCompleted);
+            this.session = null;
+        }
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const { action } = button.dataset;
+        if (action === 'next') {
+            this.onNext();
+        } else if (action === 'exit') {
+            this.onExit();
+        }
+    }
+
+    renderStep(step) {
+        const notes = [];
+        if (step.idle > 0) notes.push(`left ${this.formatTime(step.idle)} after it was done`);
+        if (step.burnt) notes.push('burnt');
+        
+        return `
+            <tr class="practice-step ${step.type}">
+                <td>${CookTapCore.escapeHtml(step.label)}${notes.length > 0 ? ` <span class="practice-step-note">(${notes.join(', ')})</span>` : ''}</td>
+                <td>${this.formatTime(step.time)}</td>
+            </tr>
+        `;
+    }
+
+    renderResult(result) {
+        let comparison = 'First attempt: the time to beat.';
+        if (result.best && result.isBest) {
+            comparison = `New personal best! (was ${this.formatTime(result.best.time)})`;
+        } else if (result.best) {
+            comparison = `Personal best: ${this.formatTime(result.best.time)} (${this.formatTime(result.time - result.best.time)} slower)`;
+        }
+        
+        return `
+            <div class="practice-total">
+                <span class="practice-time">${this.formatTime(result.time)}</span>
+                <span class="practice-best ${result.isBest ? 'new' : ''}">${comparison}</span>
+            </div>
+            <table class="practice-totals">
+                <tr><th>Adding ingredients</th><td>${this.formatTime(result.totals.ingredient)}</td><th>Prep steps</th><td>${this.formatTime(result.totals.prep)}</td></tr>
+                <tr><th>Station waits</th><td>${this.formatTime(result.totals.wait)}</td><th>Final steps</th><td>${this.formatTime(result.totals.final)}</td></tr>
+                <tr><th>Wrong keys</th><td>${result.wrongKeys}</td><th>Rating</th><td>${result.rating}</td></tr>
+            </table>
+            <table class="practice-steps">${result.steps.map(step => this.renderStep(step)).join('')}</table>
+            <div class="practice-actions">
+                <button class="btn btn-success" data-action="next">Next Attempt</button>
+                <button class="btn btn-secondary" data-action="exit">Exit</button>
+            </div>
+        `;
+    }
+
+    renderAttempt(session) {
+        const steps = session.steps || [];
+        const best = session.getBest();
+        
+        return `
+            <p class="practice-note">Select the order and cook it. ${best ? `Best: ${this.formatTime(best.time)}` : ''}</p>
+            <table class="practice-steps">${steps.slice(-6).map(step => this.renderStep(step)).join('')}</table>
+            <div class="practice-wrong-keys">Wrong keys: ${session.wrongKeys || 0}</div>
+            <div class="practice-actions">
+                <button class="btn btn-secondary" data-action="exit">Exit</button>
+            </div>
+        `;
+    }
+
+    render() {
+        if (!this.panel) return;
+        
+        const { session } = this;
+        this.panel.innerHTML = `
+            <div class="practice-header">
+                <strong>Practice: ${CookTapCore.escapeHtml(session.dish.name)}</strong>
+                <span class="practice-attempt">Attempt ${session.attempts}</span>
+            </div>
+            ${this.result ? this.renderResult(this.result) : this.renderAttempt(session)}
+        `;
+    }
+}
+
+window.PracticeRenderer = PracticeRenderer;
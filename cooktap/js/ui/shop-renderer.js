@@ -0,0 +1,87 @@
+/**
+ * Shop Renderer - Upgrade shop overlay shown between shifts
+ */
+
+class ShopRenderer {
+    constructor(shop, options = {}) {
+        this.shop = shop;
+        this.onPurchase = options.onPurchase || (() => {});
+        this.element = null;
+    }
+
+    isOpen() {
+        return this.element !== null;
+    }
+
+    show() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'upgrade-shop';
+            this.element.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-upgrade]');
+                if (button) {
+                    this.buy(button.dataset.upgrade);
+                } else if (event.target.closest('[data-action="close"]')) {
+                    this.hide();
+                }
+            });
+            document.body.appendChild(this.element);
+        }
+        
+        this.render();
+    }
+
+    hide() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    buy(upgradeId) {
+        if (this.shop.purchase(upgradeId)) {
+            this.onPurchase(this.shop.getUpgrade(upgradeId));
+            this.render();
+        }
+    }
+
+    render() {
+        if (!this.element) return;
+        
+        const rows = this.shop.upgrades.map(upgrade => {
+            const level = this.shop.getLevel(upgrade.id);
+            const next = this.shop.getNextLevel(upgrade.id);
+            const current = level > 0 ? this.shop.describeLevel(upgrade, upgrade.levels[level - 1]) : 'Not owned';
+            
+            const action = next
+                ? `<button class="btn btn-success" data-upgrade="${upgrade.id}" ${this.shop.canBuy(upgrade.id) ? '' : 'disabled'}>
+                       ${this.shop.describeLevel(upgrade, next)} - $${next.cost}
+                   </button>`
+                : '<span class="upgrade-maxed">Maxed out</span>';
+            
+            return `
+                <li class="upgrade-item">
+                    <div class="upgrade-info">
+                        <div class="upgrade-name">${upgrade.name} <span class="upgrade-level">Lv ${level}/${upgrade.levels.length}</span></div>
+                        <div class="upgrade-description">${upgrade.description || ''}</div>
+                        <div class="upgrade-current">${current}</div>
+                    </div>
+                    ${action}
+                </li>
+            `;
+        }).join('');
+        
+        this.element.innerHTML = `
+            <div class="upgrade-shop-card">
+                <h2>Upgrade Shop</h2>
+                <div class="upgrade-balance">Balance: $${this.shop.balance}</div>
+                <ul class="upgrade-list">${rows}</ul>
+                <div class="upgrade-shop-actions">
+                    <button class="btn btn-secondary" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+    }
+}
+
+window.ShopRenderer = ShopRenderer;
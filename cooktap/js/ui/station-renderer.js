@@ -0,0 +1,549 @@
+/**
+ * Station Renderer - Draws cooking stations, slots, cleanliness and the prep
+ * workflow from CookingStationManager and Kitchen events
+ * Every station in the menu's cookingStations gets a panel built from its
+ * config (name, color and slots), so a new station needs no page markup.
+ */
+
+class StationRenderer {
+    constructor(kitchen) {
+        this.kitchen = kitchen;
+        this.clock = kitchen.clock;
+        this.dishSystem = kitchen.dishSystem;
+        this.stationManager = kitchen.stationManager;
+        this.inventory = kitchen.inventory;
+        this.slotTimers = new Map(); // "stationId:slot" -> clock interval id
+        this.stationElements = new Map(); // stationId -> panel, so no selector is built from a station id
+        this.touchMode = false; // Hints say what to tap and drag instead of which key to press
+        
+        this.initializeStations();
+        this.subscribe();
+    }
+
+    getElement(station) {
+        return this.stationElements.get(station.id) || null;
+    }
+
+    getSlotElement(station, slotIndex) {
+        return this.getElement(station)?.querySelectorAll('.cooking-slot')[slotIndex] || null;
+    }
+
+    // Rebuild the panels whenever the stations are, since a reloaded menu may bring other ones
+    initializeStations() {
+        const container = document.querySelector('.cooking-stations');
+        if (!container) return;
+        
+        container.querySelectorAll('.station:not(.holding-station)').forEach(element => element.remove());
+        this.stationElements.clear();
+        const holdingElement = container.querySelector('.holding-station');
+        
+        for (const station of this.stationManager.getAllStations()) {
+            const element = this.createStationElement(station);
+            this.stationElements.set(station.id, element);
+            container.insertBefore(element, holdingElement);
+            this.initializeDisplay(station);
+            this.clearStationDisplay(station);
+            this.setBroken(station, station.isBroken);
+            
+            // Initialize cleanliness display for cooking stations
+            if (station.currentCleanliness !== null) {
+                this.updateStationCleanliness(station);
+            }
+        }
+    }
+
+    subscribe() {
+        const manager = this.stationManager;
+        
+        manager.on('slotChanged', (station, slotIndex) => this.updateSlotDisplay(station, slotIndex));
+        manager.on('itemBurnt', (station, slotIndex, item) => this.showBurntItem(station, slotIndex, item));
+        manager.on('activated', station => this.setHighlight(station, true));
+        manager.on('deactivated', station => this.setHighlight(station, false));
+        manager.on('stationActivated', (station, dish) => this.updateStationDisplay(station, dish));
+        manager.on('dishCleared', station => this.clearStationDisplay(station));
+        manager.on('stationsReset', () => this.initializeStations());
+        manager.on('brokenChanged', (station, isBroken) => this.setBroken(station, isBroken));
+        
+        manager.on('cleaningStarted', station => this.updateStationCleanliness(station));
+        manager.on('cleanlinessChanged', station => {
+            if (manager.activeStation === station && manager.currentDish) {
+                this.updateStationDisplay(station, manager.currentDish);
+            } else {
+                this.updateStationCleanliness(station);
+            }
+        });
+        manager.on('cleaningComplete', station => {
+            console.log(`Cleaning completed for ${station.id}`);
+            // Update display if this station is currently active
+            if (manager.activeStation === station) {
+                this.updateStationCleanliness(station);
+                
+                // Also update dish display if there's a current dish
+                if (manager.currentDish) {
+                    this.updateStationDisplay(station, manager.currentDish);
+                }
+            }
+        });
+        
+        this.kitchen.on('dishUpdated', dish => {
+            if (manager.activeStation) {
+                this.updateStationDisplay(manager.activeStation, dish);
+            }
+        });
+        
+        // Stock counts and restock buttons live in the ingredients panel
+        const refreshStock = () => {
+            if (manager.activeStation && manager.currentDish) {
+                this.updateStationDisplay(manager.activeStation, manager.currentDish);
+            }
+        };
+        this.inventory.on('stockChanged', refreshStock);
+        this.inventory.on('restockOrdered', refreshStock);
+    }
+
+    // Switch the hints between keys and taps, redrawing the selected dish
+    setTouchMode(enabled) {
+        this.touchMode = enabled;
+        
+        const { activeStation, currentDish } = this.stationManager;
+        if (activeStation && currentDish) {
+            this.updateStationDisplay(activeStation, currentDish);
+        }
+    }
+
+    // A broken station is greyed out with an "Out of order" sign until it is repaired
+    setBroken(station, isBroken) {
+        this.getElement(station)?.classList.toggle('broken', Boolean(isBroken));
+    }
+
+    // The prep station shows the selected dish's ingredients; the others show their cooking slots
+    createStationElement(station) {
+        const element = document.createElement('div');
+        element.className = 'station';
+        element.id = `${station.id}-station`;
+        element.dataset.station = station.id;
+        
+        // The border takes the station's color, the heading a light tint of it
+        if (/^#[0-9a-f]{6}$/i.test(station.color || '')) {
+            element.style.setProperty('--station-color', station.color);
+            element.style.setProperty('--station-tint', this.mixColor(station.color, 255, 0.8));
+            element.style.setProperty('--station-ink', this.mixColor(station.color, 0, 0.5));
+        }
+        
+        const id = CookTapCore.escapeHtml(station.id);
+        const panel = station.id === 'prep'
+            ? `<div class="ingredients-panel" id="${id}-ingredients"></div>`
+            : `<div class="cooking-slots" id="${id}-slots"></div>`;
+        element.innerHTML = `
+            <h3>${CookTapCore.escapeHtml(station.name)}</h3>
+            <div class="station-content">
+                <div class="current-dish" id="${id}-current-dish"></div>
+                ${panel}
+            </div>
+        `;
+        return element;
+    }
+
+    // A #rrggbb color moved toward white (255) or black (0) by amount (0-1)
+    mixColor(color, target, amount) {
+        return `#${color.slice(1).match(/../g).map(channel => {
+            const value = Math.round(parseInt(channel, 16) + (target - parseInt(channel, 16)) * amount);
+            return value.toString(16).padStart(2, '0');
+        }).join('')}`;
+    }
+
+    // Initialize station display
+    initializeDisplay(station) {
+        const element = this.getElement(station);
+        if (!element) return;
+        
+        const slotsContainer = element.querySelector('.cooking-slots');
+        if (!slotsContainer) return;
+        
+        slotsContainer.innerHTML = '';
+        
+        for (let i = 0; i < station.cookingSlots; i++) {
+            const slotElement = document.createElement('div');
+            slotElement.className = 'cooking-slot';
+            slotElement.textContent = 'Empty';
+            slotElement.dataset.station = station.id;
+            slotElement.dataset.slot = i;
+            slotsContainer.appendChild(slotElement);
+        }
+    }
+
+    // Update slot display
+    updateSlotDisplay(station, slotIndex) {
+        const slotElement = this.getSlotElement(station, slotIndex);
+        if (!slotElement) return;
+        
+        this.stopSlotTimer(station, slotIndex);
+        const item = station.currentItems.get(slotIndex);
+        
+        if (!item) {
+            slotElement.className = 'cooking-slot';
+            slotElement.textContent = 'Empty';
+            return;
+        }
+        
+        this.renderSlotItem(slotElement, station, slotIndex, item);
+        
+        // Count down to the next doneness stage every game second
+        const timer = this.clock.setInterval(() => {
+            if (station.getStageTimeLeft(slotIndex) > 0) {
+                this.renderSlotItem(slotElement, station, slotIndex, item);
+            } else {
+                this.stopSlotTimer(station, slotIndex);
+            }
+        }, 1000);
+        this.slotTimers.set(`${station.id}:${slotIndex}`, timer);
+    }
+
+    // Draw a cooking item in its current doneness stage
+    renderSlotItem(slotElement, station, slotIndex, item) {
+        const secondsLeft = station.getStageTimeLeft(slotIndex);
+        slotElement.className = `cooking-slot ${item.isReady ? 'ready' : 'occupied'} ${item.doneness}`;
+        
+        if (item.doneness === 'done') {
+            const zoneId = station.getDonenessZone(item);
+            const zone = zoneId && item.donenessZones.find(({ id }) => id === zoneId);
+            slotElement.innerHTML = `
+                <div class="cooked-item-name">${CookTapCore.escapeHtml(item.name)} ${zone ? CookTapCore.escapeHtml(zone.name) : 'Ready!'}</div>
+                <div class="retrieve-hint">${this.getRetrieveHint(item)}</div>
+                <div class="doneness-hint">Overcooks in ${secondsLeft}s</div>
+                ${this.renderDonenessBar(item)}
+            `;
+        } else if (item.doneness === 'overcooked') {
+            slotElement.innerHTML = `
+                <div class="cooked-item-name">${CookTapCore.escapeHtml(item.name)} Overcooked!</div>
+                <div class="retrieve-hint">${this.getRetrieveHint(item)}</div>
+                <div class="doneness-hint">Burns in ${secondsLeft}s</div>
+                ${this.renderDonenessBar(item)}
+            `;
+        } else {
+            const stage = item.doneness === 'raw' ? 'Raw' : 'Cooking';
+            slotElement.innerHTML = `
+                <div>${CookTapCore.escapeHtml(item.name)} - ${stage} (${station.getTimeLeft(slotIndex)}s)</div>
+                ${this.renderDonenessBar(item)}
+            `;
+        }
+    }
+
+    // The item's time on the station as a bar: cooking, the done stage (split into
+    // the step's doneness zones), then overcooked, with a marker for now. The zone
+    // the order asked for is picked out.
+    renderDonenessBar(item) {
+        const request = item.ingredient && item.dish.modifiers.find(mod =>
+            mod.type === 'doneness' && mod.ingredientId === item.ingredient);
+        const zones = item.donenessZones || [{ id: 'done', name: 'Done', time: item.doneWindow }];
+        const segments = [
+            { className: 'cooking', title: 'Cooking', time: item.cookingTime },
+            ...zones.map((zone, index) => ({
+                className: `done zone-${index % 4}${request && request.doneness === zone.id ? ' requested' : ''}`,
+                title: zone.name,
+                time: zone.time
+            })),
+            { className: 'overcooked', title: 'Overcooked', time: item.overcookWindow }
+        ];
+        
+        const total = segments.reduce((sum, segment) => sum + segment.time, 0);
+        const elapsed = Math.min(total, this.clock.now() - item.startTime);
+        const percent = time => `${(time / total * 100).toFixed(2)}%`;
+        return `
+            <div class="doneness-bar">
+                ${segments.map(segment => `<span class="doneness-zone ${segment.className}" style="width: ${percent(segment.time)}" title="${CookTapCore.escapeHtml(segment.title)}"></span>`).join('')}
+                <span class="doneness-marker" style="left: ${percent(elapsed)}"></span>
+            </div>
+        `;
+    }
+
+    // Cooked ingredients can also go to the holding station for a later order
+    getRetrieveHint(item) {
+        if (this.touchMode) {
+            return item.ingredient && this.kitchen.holdingStation
+                ? 'Drag to the dish or the holding station'
+                : 'Drag to the dish or tap';
+        }
+        
+        const key = CookTapCore.escapeHtml(this.dishSystem.keyProfile.getControlLabel('retrieve'));
+        return item.ingredient && this.kitchen.holdingStation
+            ? `${key} to retrieve, Shift+${key} to hold`
+            : `Press ${key} to retrieve`;
+    }
+
+    // Briefly show a burnt item in the slot it was thrown out of
+    showBurntItem(station, slotIndex, item) {
+        const slotElement = this.getSlotElement(station, slotIndex);
+        if (!slotElement) return;
+        
+        slotElement.className = 'cooking-slot burnt';
+        slotElement.textContent = `🔥 ${item.name} burnt!`;
+        
+        this.clock.setTimeout(() => {
+            if (!station.currentItems.has(slotIndex)) {
+                this.updateSlotDisplay(station, slotIndex);
+            }
+        }, 2000);
+    }
+
+    stopSlotTimer(station, slotIndex) {
+        const key = `${station.id}:${slotIndex}`;
+        if (this.slotTimers.has(key)) {
+            this.clock.clearInterval(this.slotTimers.get(key));
+            this.slotTimers.delete(key);
+        }
+    }
+
+    // Highlight or un-highlight the active station
+    setHighlight(station, isActive) {
+        const element = this.getElement(station);
+        if (!element) return;
+        
+        element.classList.toggle('active', isActive);
+        element.style.borderWidth = isActive ? '4px' : '3px';
+        element.style.boxShadow = isActive ? '0 0 15px rgba(0, 123, 255, 0.5)' : '0 4px 15px rgba(0, 0, 0, 0.1)';
+    }
+
+    getCleanlinessHtml(station) {
+        if (station.isBeingCleaned) {
+            return `<div class="station-status cleaning">🧽 Cleaning...</div>`;
+        }
+        
+        // Thresholds scale with the station's (upgradable) maximum
+        const ratio = station.currentCleanliness / station.maxCleanliness;
+        const cleanlinessClass = ratio < 0.4 ? 'low-cleanliness' :
+                               ratio < 0.8 ? 'medium-cleanliness' : 'high-cleanliness';
+        return `<div class="station-status ${cleanlinessClass}">🧽 ${station.currentCleanliness}/${station.maxCleanliness} Cleanliness</div>`;
+    }
+
+    // Update station display with a prepared dish
+    updateStationDisplay(station, dish) {
+        const element = this.getElement(station);
+        if (!element || !dish) return;
+        
+        // Update current dish display
+        const dishDisplay = element.querySelector('.current-dish');
+        if (dishDisplay) {
+            if (station.id === 'prep') {
+                // Show ingredient preparation progress
+                const totalIngredients = dish.ingredients.filter(ing => dish.currentIngredients.has(ing.id)).length;
+                const readyIngredients = Array.from(dish.ingredientStates.values()).filter(state => state.isReady).length;
+                
+                dishDisplay.innerHTML = `
+                    <div class="dish-name" style="background-color: ${CookTapCore.escapeHtml(dish.baseColor)}">${CookTapCore.escapeHtml(dish.name)}</div>
+                    <div class="dish-progress">Ingredients: ${readyIngredients}/${totalIngredients} ready</div>
+                    <div class="dish-progress">Final: ${dish.finalStepsProgress}/${dish.finalSteps?.length || 0} steps</div>
+                `;
+            } else {
+                // Show cleanliness status for cooking stations
+                let statusHtml = `<div class="station-status">Cooking in progress...</div>`;
+                
+                if (station.currentCleanliness !== null) {
+                    statusHtml = this.getCleanlinessHtml(station);
+                }
+                
+                dishDisplay.innerHTML = `
+                    <div class="dish-name" style="background-color: ${CookTapCore.escapeHtml(dish.baseColor)}">${CookTapCore.escapeHtml(dish.name)}</div>
+                    ${statusHtml}
+                `;
+            }
+            dishDisplay.classList.add('active');
+        }
+        
+        // Update ingredients panel for prep station
+        if (station.id === 'prep') {
+            const ingredientsPanel = element.querySelector('.ingredients-panel');
+            if (ingredientsPanel) {
+                this.updateIngredientsPanel(ingredientsPanel, dish);
+            }
+        }
+    }
+
+    // Key bound in this dish after conflict remapping, escaped since a player may bind "<" or "&"
+    getKeyLabel(dish, type, id, fallbackKey) {
+        return CookTapCore.escapeHtml((this.dishSystem.getKeyFor(dish, type, id) || fallbackKey).toUpperCase());
+    }
+
+    // How to do something: its key, or a tap in touch mode
+    getActionHint(dish, type, id, fallbackKey) {
+        return this.touchMode ? 'tap' : this.getKeyLabel(dish, type, id, fallbackKey);
+    }
+
+    // Update ingredients panel with better workflow display
+    updateIngredientsPanel(panel, dish) {
+        panel.innerHTML = '';
+        
+        // Show ingredient workflow
+        dish.ingredients.forEach(ingredient => {
+            const ingredientData = this.dishSystem.getIngredient(ingredient.id);
+            if (!ingredientData) return;
+            
+            const isAdded = dish.currentIngredients.has(ingredient.id);
+            const ingredientState = dish.ingredientStates.get(ingredient.id);
+            const modifier = dish.modifiers.find(mod => mod.ingredientId === ingredient.id && mod.type !== 'doneness');
+            const donenessRequest = dish.modifiers.find(mod => mod.ingredientId === ingredient.id && mod.type === 'doneness');
+            const keyLabel = this.getKeyLabel(dish, 'ingredient', ingredient.id, ingredientData.key);
+            
+            let statusClass = '';
+            let statusText = '';
+            
+            if (modifier && modifier.type === 'exclude') {
+                statusClass = isAdded ? 'unwanted' : 'excluded';
+                statusText = isAdded ? 'Customer asked for none!' : 'Leave out';
+            } else if (!isAdded && !this.inventory.hasStock(ingredient.id)) {
+                statusClass = 'out-of-stock';
+                statusText = 'Out of stock';
+            } else if (!isAdded) {
+                statusClass = ingredient.required || modifier ? 'needed-required' : 'needed-optional';
+                statusText = this.touchMode ? 'Tap to add' : `Press ${keyLabel}`;
+            } else if (ingredientState && ingredientState.isReady && this.dishSystem.canDoubleIngredient(dish, ingredient.id)) {
+                statusClass = 'needs-prep';
+                statusText = this.touchMode ? 'Extra portion: tap again' : `Extra portion: press ${keyLabel} again`;
+            } else if (ingredientState && !ingredientState.isReady) {
+                const nextStep = ingredient.prepSteps[ingredientState.prepStepsCompleted];
+                statusClass = 'needs-prep';
+                statusText = nextStep ? `${CookTapCore.escapeHtml(nextStep.description)} (${this.getActionHint(dish, 'tool', nextStep.action, nextStep.key)})` : 'Cooking...';
+            } else {
+                statusClass = 'ready';
+                statusText = 'Ready ✓';
+            }
+            
+            const ingredientElement = document.createElement('div');
+            ingredientElement.className = `ingredient-workflow-item ${statusClass}`;
+            ingredientElement.dataset.ingredient = ingredient.id;
+            
+            ingredientElement.innerHTML = `
+                <div class="ingredient-name">${CookTapCore.escapeHtml(ingredientData.name)}</div>
+                ${modifier ? `<div class="ingredient-request ${modifier.type}">${CookTapCore.escapeHtml(CookTapCore.describeModifier(modifier, ingredientData.name))}</div>` : ''}
+                ${donenessRequest ? `<div class="ingredient-request doneness">${CookTapCore.escapeHtml(CookTapCore.describeModifier(donenessRequest, ingredientData.name))}</div>` : ''}
+                <div class="ingredient-status">${statusText}</div>
+                ${this.renderStock(ingredient.id)}
+                ${ingredient.required ? '<div class="required-marker">*</div>' : ''}
+            `;
+            
+            const restockButton = ingredientElement.querySelector('.restock-btn');
+            if (restockButton) {
+                restockButton.addEventListener('click', () => this.kitchen.handleInput({ action: 'restock', args: [ingredient.id] }));
+            }
+            
+            panel.appendChild(ingredientElement);
+        });
+        
+        // Show final assembly steps if ingredients are ready
+        const readyRequired = dish.ingredients
+            .filter(ing => ing.required)
+            .every(ing => {
+                const state = dish.ingredientStates.get(ing.id);
+                return state && state.isReady;
+            });
+        
+        if (readyRequired && dish.finalSteps) {
+            const finalStepsTitle = document.createElement('div');
+            finalStepsTitle.className = 'final-steps-title';
+            finalStepsTitle.textContent = 'Final Assembly:';
+            panel.appendChild(finalStepsTitle);
+            
+            dish.finalSteps.forEach((step, index) => {
+                const isDone = index < dish.finalStepsProgress;
+                const isCurrent = index === dish.finalStepsProgress;
+                
+                const stepElement = document.createElement('div');
+                stepElement.className = `final-step ${isDone ? 'done' : ''} ${isCurrent ? 'current' : ''}`;
+                stepElement.dataset.step = index;
+                stepElement.dataset.tool = step.action;
+                
+                stepElement.innerHTML = `
+                    <div class="step-name">${CookTapCore.escapeHtml(step.description)}</div>
+                    <div class="step-key">${isDone ? '✓' : this.getActionHint(dish, 'tool', step.action, step.key)}</div>
+                `;
+                
+                panel.appendChild(stepElement);
+            });
+        }
+        
+        if (this.touchMode) {
+            panel.appendChild(this.renderToolButtons(dish));
+        }
+    }
+
+    // Every tool the dish uses, for tapping one out of the usual order
+    renderToolButtons(dish) {
+        const tools = document.createElement('div');
+        tools.className = 'touch-tools';
+        
+        for (const binding of this.dishSystem.getDishKeyBindings(dish).byKey.values()) {
+            if (binding.type !== 'tool') continue;
+            
+            const tool = this.dishSystem.getTool(binding.id);
+            const button = document.createElement('button');
+            button.className = 'touch-tool';
+            button.dataset.key = binding.key;
+            button.textContent = tool ? tool.name : binding.name;
+            tools.appendChild(button);
+        }
+        
+        return tools;
+    }
+
+    // Stock line for a tracked ingredient, with a restock button once it runs low
+    renderStock(ingredientId) {
+        if (!this.inventory.isTracked(ingredientId)) return '';
+        
+        const stock = this.inventory.getStock(ingredientId);
+        const isLow = this.inventory.isLow(ingredientId);
+        let restock = '';
+        
+        if (this.inventory.isRestocking(ingredientId)) {
+            restock = '<span class="restock-pending">Restocking…</span>';
+        } else if (isLow) {
+            restock = `<button class="restock-btn" title="Shift + ingredient key">Restock ($${this.inventory.getRestockCost(ingredientId)})</button>`;
+        }
+        
+        return `
+            <div class="ingredient-stock ${isLow ? 'low' : ''}">
+                <span class="stock-count">${stock} left</span>
+                ${restock}
+            </div>
+        `;
+    }
+
+    // Clear a station's dish display once its dish is no longer selected
+    clearStationDisplay(station) {
+        const element = this.getElement(station);
+        if (!element) return;
+        
+        const dishDisplay = element.querySelector('.current-dish');
+        if (dishDisplay) {
+            if (station.id === 'prep') {
+                dishDisplay.innerHTML = '<div class="dish-placeholder">Select a dish to prepare</div>';
+                const ingredientsPanel = element.querySelector('.ingredients-panel');
+                if (ingredientsPanel) {
+                    ingredientsPanel.innerHTML = '';
+                }
+            } else {
+                dishDisplay.innerHTML = `<div class="dish-placeholder">${CookTapCore.escapeHtml(station.name)} ready</div>`;
+            }
+            dishDisplay.classList.remove('active');
+        }
+    }
+
+    // Update station cleanliness display
+    updateStationCleanliness(station) {
+        const element = this.getElement(station);
+        if (!element) return;
+        
+        const dishDisplay = element.querySelector('.current-dish');
+        if (!dishDisplay) return;
+        
+        // Show cleanliness status for cooking stations
+        if (station.currentCleanliness !== null) {
+            dishDisplay.innerHTML = `
+                <div class="dish-placeholder">${CookTapCore.escapeHtml(station.name)}</div>
+                ${this.getCleanlinessHtml(station)}
+            `;
+            dishDisplay.classList.remove('active'); // Remove active styling when no dish
+        }
+    }
+}
+
+window.StationRenderer = StationRenderer;
@@ -0,0 +1,150 @@
+/**
+ * Stats Renderer - Career statistics screen: lifetime totals, trends over the
+ * recent shifts, the local high-score table and per-dish stats
+ */
+
+class StatsRenderer {
+    // options: { onExport } - called by the Export JSON button
+    constructor(careerStats, options = {}) {
+        this.careerStats = careerStats;
+        this.onExport = options.onExport || (() => {});
+        this.element = null;
+        this.confirmingReset = false; // Reset asks for a second click
+        this.latestRank = null; // High-score rank of the shift just recorded, to highlight it
+    }
+
+    isOpen() {
+        return this.element !== null;
+    }
+
+    show(latestRank = null) {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'stats-screen';
+            this.element.addEventListener('click', (event) => this.handleClick(event));
+            document.body.appendChild(this.element);
+        }
+        
+        this.latestRank = latestRank;
+        this.confirmingReset = false;
+        this.render();
+    }
+
+    hide() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const { action } = button.dataset;
+        if (action === 'export') {
+            this.onExport(this.careerStats);
+        } else if (action === 'reset') {
+            if (this.confirmingReset) {
+                this.careerStats.resetData();
+                this.latestRank = null;
+            }
+            this.confirmingReset = !this.confirmingReset;
+            this.render();
+        } else if (action === 'close') {
+            this.hide();
+        }
+    }
+
+    formatTime(seconds) {
+        return seconds === null ? '-' : `${seconds}s`;
+    }
+
+    // One bar per recent session, scaled to the best of them
+    renderTrend(sessions, name, getValue, format) {
+        const values = sessions.map(getValue);
+        const top = Math.max(1, ...values);
+        const bars = sessions.map((session, index) => {
+            const value = values[index];
+            const height = Math.max(2, Math.round((Math.max(0, value) / top) * 100));
+            return `<div class="stats-bar${value < 0 ? ' negative' : ''}" style="height: ${height}%"
+                title="${CookTapCore.escapeHtml(session.label)}, ${new Date(session.date).toLocaleDateString()}: ${format(value)}"></div>`;
+        }).join('');
+        
+        return `
+            <div class="stats-trend">
+                <div class="stats-trend-name">${name}</div>
+                <div class="stats-bars">${bars}</div>
+            </div>
+        `;
+    }
+
+    render() {
+        if (!this.element) return;
+        
+        const totals = this.careerStats.getTotals();
+        const sessions = this.careerStats.getSessions(20);
+        const highScores = this.careerStats.getHighScores();
+        const dishes = this.careerStats.getDishStats();
+        
+        const body = totals.sessions === 0
+            ? '<p class="stats-empty">No shifts recorded yet. A shift is added when it closes, or when it is reset after some orders finished.</p>'
+            : `
+                <table class="stats-totals">
+                    <tr><th>Shifts</th><td>${totals.sessions}</td><th>Best score</th><td>${totals.bestScore}</td></tr>
+                    <tr><th>Orders served</th><td>${totals.served}</td><th>Perfect rate</th><td>${totals.perfectRate}%</td></tr>
+                    <tr><th>Expired</th><td>${totals.expired}</td><th>Average time</th><td>${this.formatTime(totals.averageTime)}</td></tr>
+                    <tr><th>Stations cleaned</th><td>${totals.cleanings}</td><th>Burnt items</th><td>${totals.burnt}</td></tr>
+                </table>
+                
+                <h3>Last ${sessions.length} Shift(s)</h3>
+                ${this.renderTrend(sessions, 'Score', session => session.score, value => value)}
+                ${this.renderTrend(sessions, 'Perfect rate', session => session.perfectRate, value => `${value}%`)}
+                
+                <h3>High Scores</h3>
+                <table class="stats-table">
+                    <tr><th>#</th><th>Score</th><th>Shift</th><th>Difficulty</th><th>Date</th></tr>
+                    ${highScores.map((entry, index) => `
+                        <tr class="${index + 1 === this.latestRank ? 'latest' : ''}">
+                            <td>${index + 1}</td>
+                            <td>${entry.score}</td>
+                            <td>${CookTapCore.escapeHtml(entry.label)}</td>
+                            <td>${entry.difficulty || '-'}</td>
+                            <td>${new Date(entry.date).toLocaleDateString()}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                
+                <h3>Dishes</h3>
+                <table class="stats-table">
+                    <tr><th>Dish</th><th>Served</th><th>Expired</th><th>Perfect</th><th>Avg time</th><th>Fastest</th><th>Best</th></tr>
+                    ${dishes.map(dish => `
+                        <tr>
+                            <td>${CookTapCore.escapeHtml(dish.name)}</td>
+                            <td>${dish.served}</td>
+                            <td>${dish.expired}</td>
+                            <td>${dish.perfectRate}%</td>
+                            <td>${this.formatTime(dish.averageTime)}</td>
+                            <td>${this.formatTime(dish.fastestTime)}</td>
+                            <td>${dish.bestScore === null ? '-' : dish.bestScore}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            `;
+        
+        this.element.innerHTML = `
+            <div class="stats-card">
+                <h2>Career Stats</h2>
+                ${this.latestRank ? `<div class="stats-highlight">New high score: #${this.latestRank}!</div>` : ''}
+                ${body}
+                <div class="stats-actions">
+                    <button class="btn btn-warning" data-action="reset">${this.confirmingReset ? 'Really reset all stats?' : 'Reset Stats'}</button>
+                    <button class="btn btn-info" data-action="export">Export JSON</button>
+                    <button class="btn btn-secondary" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+    }
+}
+
+window.StatsRenderer = StatsRenderer;
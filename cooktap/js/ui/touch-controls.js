@@ -0,0 +1,216 @@
+/**
+ * Touch Controls - Pointer-driven play for tablets and mice
+ * Taps on the prep station's ingredient cards, final steps and tool buttons
+ * press the key bound to them, cooked items are dragged from station slots
+ * onto the dish (or the holding station), and an action bar serves, retrieves,
+ * holds and cancels. Everything goes through kitchen.handleInput like the
+ * keyboard, so touch shifts record and replay too.
+ */
+
+class TouchControls {
+    constructor(kitchen, stationRenderer) {
+        this.kitchen = kitchen;
+        this.stationRenderer = stationRenderer;
+        this.dishSystem = kitchen.dishSystem;
+        this.enabled = false;
+        this.drag = null; // { stationId, slotIndex, startX, startY, ghost } while a cooked item is held
+        
+        this.handleDragMove = (event) => this.moveDrag(event);
+        this.handleDragEnd = (event) => this.endDrag(event);
+        
+        this.stationsElement = document.querySelector('.cooking-stations');
+        if (this.stationsElement) {
+            this.stationsElement.addEventListener('click', (event) => this.handleClick(event));
+            this.stationsElement.addEventListener('pointerdown', (event) => this.startDrag(event));
+        }
+        
+        this.addCleanButtons();
+        this.addActionBar();
+        
+        // Rebuilt station panels come without their clean buttons (the StationRenderer subscribed first)
+        kitchen.stationManager.on('stationsReset', () => this.addCleanButtons());
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        document.body.classList.toggle('touch-mode', enabled);
+        if (!enabled) this.cancelDrag();
+    }
+
+    getActiveDish() {
+        const order = this.kitchen.getActiveOrder();
+        return order ? order.dish : null;
+    }
+
+    pressKey(key, shift = false) {
+        return key ? this.kitchen.handleInput({ key, shift }) : false;
+    }
+
+    // The first key bound to a general control, as if it were pressed
+    pressControl(controlId, shift = false) {
+        const [key] = this.dishSystem.keyProfile.getControlKeys(controlId);
+        return this.pressKey(key, shift);
+    }
+
+    // Stations that get dirty can be tapped clean
+    addCleanButtons() {
+        for (const station of this.kitchen.stationManager.getAllStations()) {
+            const panel = this.stationRenderer.getElement(station);
+            const heading = panel && panel.querySelector('h3');
+            if (station.currentCleanliness === null || !heading || heading.querySelector('.touch-clean')) continue;
+            
+            const button = document.createElement('button');
+            button.className = 'touch-clean touch-only';
+            button.dataset.station = station.id;
+            button.textContent = '🧽 Clean';
+            heading.appendChild(button);
+        }
+    }
+
+    addActionBar() {
+        const bar = document.createElement('div');
+        bar.className = 'touch-actions touch-only';
+        bar.innerHTML = `
+            <button class="btn btn-success" data-control="serve">Serve</button>
+            <button class="btn btn-info" data-control="retrieve">Retrieve</button>
+            ${this.kitchen.holdingStation ? '<button class="btn btn-secondary" data-control="retrieve" data-shift="true">Hold</button>' : ''}
+            <button class="btn btn-warning" data-control="cancel">Cancel</button>
+        `;
+        bar.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-control]');
+            if (button) {
+                this.pressControl(button.dataset.control, button.dataset.shift === 'true');
+            }
+        });
+        document.body.appendChild(bar);
+    }
+
+    handleClick(event) {
+        if (!this.enabled) return;
+        
+        const cleanButton = event.target.closest('.touch-clean');
+        if (cleanButton) {
+            this.kitchen.handleInput({ action: 'cleanStation', args: [cleanButton.dataset.station] });
+            return;
+        }
+        
+        const toolButton = event.target.closest('.touch-tool');
+        if (toolButton) {
+            this.pressKey(toolButton.dataset.key);
+            return;
+        }
+        
+        // Other buttons (like restock) handle themselves
+        if (event.target.closest('button')) return;
+        
+        const dish = this.getActiveDish();
+        if (!dish) return;
+        
+        const stepElement = event.target.closest('.final-step.current');
+        if (stepElement) {
+            this.tapFinalStep(dish, dish.finalSteps[Number(stepElement.dataset.step)]);
+            return;
+        }
+        
+        const ingredientElement = event.target.closest('.ingredient-workflow-item');
+        if (ingredientElement) {
+            this.tapIngredient(dish, ingredientElement.dataset.ingredient);
+        }
+    }
+
+    // An ingredient card does the next thing it needs: add it, its next prep step, or an extra portion
+    tapIngredient(dish, ingredientId) {
+        const ingredient = dish.ingredients.find(ing => ing.id === ingredientId);
+        if (!ingredient) return false;
+        
+        const state = dish.ingredientStates.get(ingredientId);
+        if (!dish.currentIngredients.has(ingredientId) || this.dishSystem.canDoubleIngredient(dish, ingredientId)) {
+            return this.pressKey(this.dishSystem.getKeyFor(dish, 'ingredient', ingredientId));
+        }
+        
+        const nextStep = state && !state.isReady && ingredient.prepSteps[state.prepStepsCompleted];
+        return nextStep ? this.pressKey(this.dishSystem.getKeyFor(dish, 'tool', nextStep.action)) : false;
+    }
+
+    // Space-bound steps (plating) are part of serving
+    tapFinalStep(dish, step) {
+        if (!step) return false;
+        if (CookTapCore.normalizeKey(step.key) === 'space') return this.pressControl('serve');
+        
+        return this.pressKey(this.dishSystem.getKeyFor(dish, 'tool', step.action));
+    }
+
+    // A ready item picked up from its slot; a tap without moving retrieves it straight away
+    startDrag(event) {
+        if (!this.enabled || this.drag) return;
+        
+        const slot = event.target.closest('.cooking-slot.ready');
+        if (!slot) return;
+        
+        event.preventDefault();
+        this.drag = {
+            stationId: slot.dataset.station,
+            slotIndex: Number(slot.dataset.slot),
+            startX: event.clientX,
+            startY: event.clientY,
+            label: slot.querySelector('.cooked-item-name')?.textContent || '',
+            ghost: null
+        };
+        document.addEventListener('pointermove', this.handleDragMove);
+        document.addEventListener('pointerup', this.handleDragEnd);
+        document.addEventListener('pointercancel', this.handleDragEnd);
+    }
+
+    moveDrag(event) {
+        const { drag } = this;
+        if (!drag) return;
+        
+        // A few pixels of wobble is still a tap
+        if (!drag.ghost && Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < 8) return;
+        
+        if (!drag.ghost) {
+            drag.ghost = document.createElement('div');
+            drag.ghost.className = 'drag-ghost';
+            drag.ghost.textContent = drag.label;
+            document.body.appendChild(drag.ghost);
+            document.body.classList.add('dragging-item');
+        }
+        drag.ghost.style.left = `${event.clientX}px`;
+        drag.ghost.style.top = `${event.clientY}px`;
+    }
+
+    endDrag(event) {
+        const { drag } = this;
+        if (!drag) return;
+        
+        const wasDragged = Boolean(drag.ghost);
+        this.cancelDrag();
+        if (event.type === 'pointercancel') return;
+        
+        const args = [drag.stationId, drag.slotIndex];
+        if (!wasDragged) {
+            this.kitchen.handleInput({ action: 'retrieveItem', args });
+            return;
+        }
+        
+        const target = document.elementFromPoint(event.clientX, event.clientY);
+        if (target && target.closest('#holding-station')) {
+            this.kitchen.handleInput({ action: 'holdItem', args });
+        } else if (target && target.closest('#prep-station')) {
+            this.kitchen.handleInput({ action: 'retrieveItem', args });
+        }
+    }
+
+    cancelDrag() {
+        if (!this.drag) return;
+        
+        if (this.drag.ghost) this.drag.ghost.remove();
+        document.body.classList.remove('dragging-item');
+        document.removeEventListener('pointermove', this.handleDragMove);
+        document.removeEventListener('pointerup', this.handleDragEnd);
+        document.removeEventListener('pointercancel', this.handleDragEnd);
+        this.drag = null;
+    }
+}
+
+window.TouchControls = TouchControls;
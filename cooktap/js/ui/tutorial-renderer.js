@@ -0,0 +1,194 @@
+/**
+ * Tutorial Renderer - The tutorial picker and the lesson panel
+ * The panel follows a TutorialRunner: the step's text and progress, a
+ * Continue button for steps that only explain, and an outline around the part
+ * of the page the step points at.
+ */
+
+class TutorialRenderer {
+    // options: { onStart(tutorialId), onExit() } - called by the picker and by Exit
+    constructor(kitchen, options = {}) {
+        this.kitchen = kitchen;
+        this.onStart = options.onStart || (() => {});
+        this.onExit = options.onExit || (() => {});
+        this.picker = null;
+        this.panel = null;
+        this.runner = null;
+        this.message = null; // { text, success } once the tutorial has finished or failed
+        
+        this.handleStep = () => this.render();
+        this.handleCompleted = () => this.finish({ text: 'Lesson complete! Pick another one or exit to play a shift.', success: true });
+        this.handleFailed = reason => this.finish({ text: `${reason}. Try the lesson again.`, success: false });
+        
+        // The renderers redraw orders and the prep station as play goes on, so the outline is put back after them
+        const refresh = () => this.applyHighlight();
+        this.kitchen.on('dishUpdated', refresh);
+        this.kitchen.orderSystem.on('orderSpawned', refresh);
+        this.kitchen.orderSystem.on('orderSelected', refresh);
+        this.kitchen.stationManager.on('stationActivated', refresh);
+        this.kitchen.stationManager.on('dishCleared', refresh);
+    }
+
+    isOpen() {
+        return this.panel !== null;
+    }
+
+    // The list of lessons to choose from
+    showPicker(tutorials) {
+        this.hidePicker();
+        
+        this.picker = document.createElement('div');
+        this.picker.className = 'tutorial-picker';
+        this.picker.innerHTML = `
+            <div class="tutorial-card">
+                <h2>Learn to Cook</h2>
+                ${tutorials.length === 0 ? '<p>No tutorials could be loaded.</p>' : ''}
+                <div class="tutorial-list">
+                    ${tutorials.map(tutorial => `
+                        <button class="tutorial-option" data-action="start" data-tutorial="${tutorial.id}">
+                            <strong>${tutorial.name}</strong>
+                            <span>${tutorial.description || ''}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="tutorial-actions">
+                    <button class="btn btn-secondary" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+        this.picker.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            this.hidePicker();
+            if (button.dataset.action === 'start') {
+                this.onStart(button.dataset.tutorial);
+            }
+        });
+        document.body.appendChild(this.picker);
+    }
+
+    hidePicker() {
+        if (this.picker) {
+            this.picker.remove();
+            this.picker = null;
+        }
+    }
+
+    // Follow a runner; its steps are shown as they start
+    show(runner) {
+        this.hide();
+        
+        this.runner = runner;
+        this.message = null;
+        runner.on('stepStarted', this.handleStep);
+        runner.on('completed', this.handleCompleted);
+        runner.on('failed', this.handleFailed);
+        
+        this.panel = document.createElement('div');
+        this.panel.className = 'tutorial-panel';
+        this.panel.addEventListener('click', (event) => this.handleClick(event));
+        document.body.appendChild(this.panel);
+        this.render();
+    }
+
+    hide() {
+        if (this.runner) {
+            this.runner.off('stepStarted', this.handleStep);
+            this.runner.off('completed', this.handleCompleted);
+            this.runner.off('failed', this.handleFailed);
+            this.runner = null;
+        }
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.clearHighlight();
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const { action } = button.dataset;
+        if (action === 'continue') {
+            this.runner.continue();
+        } else if (action === 'restart') {
+            this.onStart(this.runner.tutorial.id);
+        } else if (action === 'exit') {
+            this.onExit();
+        }
+    }
+
+    finish(message) {
+        this.message = message;
+        this.render();
+    }
+
+    render() {
+        if (!this.panel) return;
+        
+        const { tutorial } = this.runner;
+        const step = this.runner.getStep();
+        
+        let body;
+        if (this.message) {
+            body = `
+                <p class="tutorial-text ${this.message.success ? 'success' : 'failed'}">${this.message.text}</p>
+                <div class="tutorial-actions">
+                    <button class="btn btn-info" data-action="restart">Again</button>
+                    <button class="btn btn-secondary" data-action="exit">Exit</button>
+                </div>
+            `;
+        } else {
+            body = `
+                <p class="tutorial-text">${step ? step.text : ''}</p>
+                <div class="tutorial-actions">
+                    ${step && step.waitsForContinue ? '<button class="btn btn-success" data-action="continue">Continue</button>' : ''}
+                    <button class="btn btn-secondary" data-action="exit">Exit</button>
+                </div>
+            `;
+        }
+        
+        this.panel.innerHTML = `
+            <div class="tutorial-header">
+                <strong>${tutorial.name}</strong>
+                ${step && !this.message ? `<span class="tutorial-progress">Step ${step.index + 1}/${step.count}</span>` : ''}
+            </div>
+            ${body}
+        `;
+        this.applyHighlight();
+    }
+
+    // The page element a step's highlight points at
+    findHighlightTarget(highlight) {
+        if (highlight.order) {
+            return this.runner.order ? document.getElementById(`order-${this.runner.order.id}`) : null;
+        }
+        if (highlight.station) {
+            return document.getElementById(`${highlight.station}-station`);
+        }
+        if (highlight.ingredient) {
+            return document.querySelector(`#prep-station .ingredient-workflow-item[data-ingredient="${highlight.ingredient}"]`);
+        }
+        if (highlight.tool) {
+            return document.querySelector(`#prep-station .final-step[data-tool="${highlight.tool}"]`);
+        }
+        return highlight.controls ? document.querySelector('.general-keys') : null;
+    }
+
+    applyHighlight() {
+        this.clearHighlight();
+        if (!this.runner || this.message) return;
+        
+        const step = this.runner.getStep();
+        const target = step && step.highlight && this.findHighlightTarget(step.highlight);
+        if (target) target.classList.add('tutorial-highlight');
+    }
+
+    clearHighlight() {
+        document.querySelectorAll('.tutorial-highlight').forEach(element => element.classList.remove('tutorial-highlight'));
+    }
+}
+
+window.TutorialRenderer = TutorialRenderer;
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded shift headlessly
+ * Rebuilds the kitchen from the recording's menu pack (one listed in
+ * config/packs.json, else config/menu.json) and config/customers.json with the
+ * recording's seed and station upgrades, plays every input back at its
+ * recorded game time and checks the shift ends with the recorded stats.
+ * An imported pack isn't on disk; pass its file with --menu=pack.json.
+ * With --compare=other.json it prints how two recordings' stats differ.
+ *
+ * Recordings come from cookTap.saveReplay() in the browser console or
+ * `node scripts/simulate-shift.js --record=file.json`.
+ *
+ * Usage: node scripts/replay-shift.js recording.json [--menu=pack.json] [--compare=other.json] [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+    CustomerRoster, DishSystem, GameClock, Kitchen, getRecordedUpgrades, replayShift
+} = require('../js/core');
+const menu = require('../config/menu.json');
+const { packs } = require('../config/packs.json');
+const customerConfig = require('../config/customers.json');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const recordingPath = args.find(arg => !arg.startsWith('--'));
+const compareArg = args.find(arg => arg.startsWith('--compare='));
+const menuArg = args.find(arg => arg.startsWith('--menu='));
+
+const log = console.log;
+if (!verbose) {
+    console.log = () => {};
+}
+
+function readRecording(file) {
+    try {
+        return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+        console.error(`cannot read ${file}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// The menu the recording was played on: --menu, else its built-in pack, else menu.json
+function getRecordedMenu(recording) {
+    if (menuArg) {
+        return readRecording(menuArg.split('=')[1]);
+    }
+    
+    const builtIn = packs
+        .map(file => require(path.join('../config', file)))
+        .find(pack => pack.pack && pack.pack.id === recording.pack);
+    if (!builtIn && recording.pack) {
+        console.error(`"${recording.pack}" is not a built-in pack; pass its file with --menu=pack.json`);
+        process.exit(1);
+    }
+    return builtIn || menu;
+}
+
+function replay(recording) {
+    const dishSystem = new DishSystem();
+    dishSystem.loadMenu(getRecordedMenu(recording));
+
+    const kitchen = new Kitchen(dishSystem, {
+        clock: new GameClock({ autoTick: false }),
+        upgrades: getRecordedUpgrades(recording),
+        customers: new CustomerRoster(customerConfig)
+    });
+    return replayShift(kitchen, recording);
+}
+
+// Stats that differ between two runs, as "name: a -> b" lines
+function diffStats(a, b) {
+    return Object.keys({ ...a, ...b })
+        .filter(name => a[name] !== b[name])
+        .map(name => `  ${name}: ${a[name]} -> ${b[name]}`);
+}
+
+if (!recordingPath) {
+    console.error('Usage: node scripts/replay-shift.js recording.json [--menu=pack.json] [--compare=other.json] [--verbose]');
+    process.exit(1);
+}
+
+const recording = readRecording(recordingPath);
+const stats = replay(recording);
+console.log = log;
+
+console.log(`Replayed seed ${recording.seed}: ${recording.inputs.length} inputs over ${recording.duration / 1000}s`);
+console.log(JSON.stringify(stats, null, 2));
+
+const divergence = diffStats(recording.stats, stats);
+if (divergence.length > 0) {
+    console.error('Replay diverged from the recording (recorded -> replayed):');
+    console.error(divergence.join('\n'));
+    process.exit(1);
+}
+console.log('Replay matches the recording');
+
+if (compareArg) {
+    const other = readRecording(compareArg.split('=')[1]);
+    const differences = diffStats(recording.stats, other.stats);
+    console.log(differences.length > 0
+        ? `Compared with seed ${other.seed} (this -> other):\n${differences.join('\n')}`
+        : `Same stats as seed ${other.seed}`);
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Simulation checks: career stats
+ * Two short shifts are saved to the career stats, which must add up and load
+ * back from storage.
+ *
+ * Usage: node scripts/sim/career-stats.js [--seed=N] [--difficulty=id] [--verbose]
+ */
+
+const assert = require('assert');
+
+const { CareerStats } = require('../../js/core');
+const { STEP_MS, createKitchen, createMemoryStorage, defineChecks, playStep } = require('./helpers');
+
+// Two short shifts saved to the career stats, which must add up and load back
+function checkCareerStats() {
+    const storage = createMemoryStorage();
+    const careerStats = new CareerStats(storage);
+
+    const sessions = [1, 2].map(() => {
+        const kitchen = createKitchen();
+        kitchen.start();
+        while (kitchen.clock.now() < 2 * 60 * 1000) {
+            playStep(kitchen);
+            kitchen.clock.advance(STEP_MS);
+        }
+
+        const session = careerStats.recordShift(kitchen, { label: 'Simulation' });
+        const stats = kitchen.getStats();
+        assert.ok(session, 'a shift with served orders was not recorded');
+        assert.strictEqual(session.served, stats.ordersCompleted, 'the session miscounted served orders');
+        assert.strictEqual(session.score, stats.totalScore, 'the session score is not the shift score');
+        assert.ok(session.averageTime > 0, 'served orders took no time');
+        return session;
+    });
+
+    const reloaded = new CareerStats(storage);
+    const totals = reloaded.getTotals();
+    assert.strictEqual(totals.sessions, 2, 'saved sessions did not load back');
+    assert.strictEqual(totals.served, sessions[0].served + sessions[1].served, 'served totals do not add up');
+    assert.strictEqual(totals.bestScore, Math.max(sessions[0].score, sessions[1].score), 'best score is wrong');
+
+    const dishServed = reloaded.getDishStats().reduce((total, dish) => total + dish.served, 0);
+    assert.strictEqual(dishServed, totals.served, 'dish stats do not add up to the totals');
+
+    const scores = reloaded.getHighScores().map(entry => entry.score);
+    assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a), 'high scores are out of order');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(reloaded)), reloaded.toJSON(), 'stats do not export as JSON');
+
+    assert.strictEqual(careerStats.recordShift(createKitchen()), null, 'a shift without orders was recorded');
+}
+
+module.exports = defineChecks(module, 'Career stats', [checkCareerStats]);
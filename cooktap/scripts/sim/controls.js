@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Simulation checks: controls
+ * Rebound keys take effect and replay, a mocked gamepad cooks and serves a
+ * burger through its radial menus, and the touch actions retrieve, hold and
+ * clean.
+ *
+ * Usage: node scripts/sim/controls.js [--seed=N] [--difficulty=id] [--verbose]
+ */
+
+const assert = require('assert');
+
+const { GamepadController, ShiftRecorder, replayShift } = require('../../js/core');
+const gamepadConfig = require('../../config/gamepad.json');
+const { createKitchen, defineChecks, pressFor } = require('./helpers');
+
+// A player's own keys: moved controls only answer on their new keys, dish keys
+// still resolve clashes, and a replay plays back with the recorded bindings
+function checkKeyBindings() {
+    const kitchen = createKitchen();
+    const recorder = new ShiftRecorder(kitchen);
+    kitchen.configureShift({ dishIds: ['classic_burger'] });
+    kitchen.setKeyBindings({ control: { order1: '&', serve: 'x' }, ingredient: { beef_patty: 'q' } });
+
+    kitchen.start();
+    assert.ok(!kitchen.handleInput({ key: '1' }), 'the default order key still selects');
+    assert.ok(kitchen.handleInput({ key: '&' }), 'the rebound order key did not select');
+
+    const { dish } = kitchen.getActiveOrder();
+    const { dishSystem } = kitchen;
+    assert.strictEqual(dishSystem.getKeyFor(dish, 'ingredient', 'beef_patty'), 'q', 'the rebound ingredient key was not used');
+    assert.notStrictEqual(dishSystem.getKeyFor(dish, 'tool', 'grill'), 'q', 'the grill kept a key the patty took');
+    assert.notStrictEqual(dishSystem.getKeyFor(dish, 'tool', 'chop'), 'x', 'chopping kept the serve key');
+
+    assert.ok(kitchen.handleInput({ key: 'q' }), 'the rebound patty key did nothing');
+    assert.ok(dish.currentIngredients.has('beef_patty'), 'the patty was not added');
+    assert.ok(!kitchen.handleInput({ key: ' ' }), 'space still serves');
+
+    const recording = recorder.getRecording();
+    assert.deepStrictEqual(replayShift(createKitchen(), recording), recording.stats, 'replay with rebound keys diverged');
+}
+
+// A mocked gamepad cooks through the radial menus; its presses replay like keys
+function checkGamepad() {
+    const kitchen = createKitchen();
+    const { clock } = kitchen;
+    const recorder = new ShiftRecorder(kitchen);
+    const controller = new GamepadController(kitchen, gamepadConfig);
+    kitchen.configureShift({ dishIds: ['classic_burger'] });
+
+    const gamepad = { index: 0, id: 'Mock pad', connected: true, buttons: [] };
+    for (let i = 0; i < 17; i++) gamepad.buttons.push({ pressed: false, value: 0 });
+    const { controls, slots } = controller.config;
+    const tap = (button, shift = false) => {
+        gamepad.buttons[controls.shift].value = shift ? 1 : 0;
+        gamepad.buttons[button].pressed = true;
+        controller.poll([null, gamepad]);
+        gamepad.buttons[button].pressed = false;
+        controller.poll([null, gamepad]);
+    };
+    // Page to the menu holding an ingredient or tool, then press its slot
+    const choose = (type, id, shift = false) => {
+        for (let turns = 0; turns < 10; turns++) {
+            const slot = controller.getCurrentMenu().slots.findIndex(({ binding }) =>
+                binding && binding.type === type && binding.id === id);
+            if (slot !== -1) return tap(slots[slot], shift);
+            tap(controls.nextMenu);
+        }
+        assert.fail(`no gamepad menu has ${type} ${id}`);
+    };
+
+    kitchen.start();
+    controller.poll([gamepad]);
+    assert.ok(controller.isConnected(), 'the mocked gamepad was not picked up');
+
+    tap(controls.nextOrder);
+    const order = kitchen.getActiveOrder();
+    assert.ok(order, 'the next-order button selected nothing');
+    const { dish } = order;
+    assert.strictEqual(controller.getCurrentMenu().name.split(' ')[0], 'Ingredients', 'menus do not open on ingredients');
+
+    const stock = kitchen.inventory.getStock('pickles');
+    choose('ingredient', 'pickles', true);
+    assert.ok(kitchen.inventory.isRestocking('pickles') || kitchen.inventory.getStock('pickles') > stock,
+        'shift + ingredient did not restock');
+
+    choose('ingredient', 'beef_patty');
+    choose('tool', 'grill');
+    clock.advance(dish.ingredients.find(ing => ing.id === 'beef_patty').prepSteps[0].time);
+    tap(controls.retrieve);
+    assert.ok(dish.ingredientStates.get('beef_patty').isReady, 'the retrieve button left the patty on the grill');
+
+    choose('ingredient', 'burger_bun');
+    choose('tool', 'slice');
+    choose('tool', 'assemble');
+    tap(controls.serve);
+    assert.strictEqual(kitchen.orderSystem.getStats().ordersCompleted, 1, 'the serve button did not serve the burger');
+
+    const recording = recorder.getRecording();
+    assert.deepStrictEqual(replayShift(createKitchen(), recording), recording.stats, 'replay of gamepad presses diverged');
+}
+
+// Touch play: a cooked patty dragged onto the dish, another dragged to the holding
+// station, and a station tapped clean, all replaying like keys
+function checkPointerActions() {
+    const kitchen = createKitchen();
+    const { clock, holdingStation } = kitchen;
+    const recorder = new ShiftRecorder(kitchen);
+    kitchen.configureShift({ dishIds: ['classic_burger'] });
+
+    kitchen.start();
+    const [order] = kitchen.orderSystem.getActiveOrders();
+    const { dish } = order;
+    const grillPatty = () => {
+        pressFor(kitchen, dish, 'ingredient', 'beef_patty');
+        pressFor(kitchen, dish, 'tool', 'grill');
+        clock.advance(dish.ingredients.find(ing => ing.id === 'beef_patty').prepSteps[0].time);
+        const [ready] = kitchen.stationManager.getReadyItems(dish);
+        assert.ok(ready, 'the patty never finished grilling');
+        return [ready.stationId, ready.slotIndex];
+    };
+
+    kitchen.handleInput({ action: 'selectOrder', args: [order.id] });
+    const slot = grillPatty();
+    assert.ok(!kitchen.handleInput({ action: 'retrieveItem', args: [slot[0], slot[1] + 1] }), 'an empty slot was retrieved');
+    assert.ok(kitchen.handleInput({ action: 'retrieveItem', args: slot }), 'the dragged patty was not retrieved');
+    assert.ok(dish.ingredientStates.get('beef_patty').isReady, 'the retrieved patty is not on the dish');
+
+    kitchen.handleInput({ key: 'escape' });
+    kitchen.handleInput({ action: 'selectOrder', args: [order.id] });
+    kitchen.handleInput({ action: 'holdItem', args: grillPatty() });
+    assert.strictEqual(holdingStation.items.size, 1, 'the dragged patty was not held');
+
+    assert.ok(kitchen.handleInput({ action: 'cleanStation', args: ['grill'] }), 'tapping the grill did not clean it');
+    assert.ok(!kitchen.handleInput({ action: 'cleanStation', args: ['nowhere'] }), 'an unknown station was cleaned');
+
+    const recording = recorder.getRecording();
+    assert.deepStrictEqual(replayShift(createKitchen(), recording), recording.stats, 'replay of touch actions diverged');
+}
+
+module.exports = defineChecks(module, 'Controls', [checkKeyBindings, checkGamepad, checkPointerActions]);
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Simulation checks: events
+ * Kitchen events from config/events.json are triggered one at a time: a broken
+ * grill refuses a patty until it is repaired, a rush doubles the order pace
+ * and a dirty grill is fined by the inspector. A shift with random events
+ * must replay.
+ *
+ * Usage: node scripts/sim/events.js [--seed=N] [--difficulty=id] [--verbose]
+ */
+
+const assert = require('assert');
+
+const { DEFAULT_PRESET, ShiftRecorder } = require('../../js/core');
+const eventConfig = require('../../config/events.json');
+const { STEP_MS, checkReplay, createKitchen, defineChecks, playStep, pressFor } = require('./helpers');
+
+// Kitchen events: a broken grill takes nothing new until it is repaired, a rush
+// doubles the order pace, a dirty station fails an inspection, and a shift with
+// random events replays identically
+function checkEvents() {
+    // The pace checks count orders against a fixed spawn rate, so the director
+    // must not adjust it: events run on the default pacing whatever --difficulty says
+    const createEventKitchen = config => {
+        const kitchen = createKitchen();
+        kitchen.setDifficulty(DEFAULT_PRESET);
+        kitchen.setEvents(config);
+        kitchen.configureShift({ dishIds: ['classic_burger'] });
+        return kitchen;
+    };
+    const getEvent = id => eventConfig.events.find(event => event.id === id);
+
+    // Only what the check triggers itself
+    const triggered = createEventKitchen({ events: eventConfig.events });
+    const { clock, events, orderSystem, stationManager } = triggered;
+    const grill = stationManager.getStation('grill');
+    triggered.start();
+
+    triggered.handleInput({ key: '1' });
+    const { dish } = triggered.getActiveOrder();
+    pressFor(triggered, dish, 'ingredient', 'beef_patty');
+    assert.ok(events.trigger('grill_breakdown'), 'the grill breakdown did not start');
+    assert.ok(grill.isBroken, 'the grill did not break down');
+    assert.ok(!events.trigger('grill_breakdown'), 'a broken grill broke down again');
+    assert.ok(!pressFor(triggered, dish, 'tool', 'grill'), 'a broken grill took a patty');
+    assert.strictEqual(dish.ingredientStates.get('beef_patty').prepStepsCompleted, 0, 'a refused grill step was counted');
+    clock.advance(getEvent('grill_breakdown').duration);
+    assert.ok(!grill.isBroken, 'the grill was never repaired');
+    assert.ok(pressFor(triggered, dish, 'tool', 'grill'), 'the repaired grill refused a patty');
+
+    // Twice the orders while the rush lasts, the usual pace after
+    orderSystem.maxActiveOrders = 100;
+    const countSpawns = ms => {
+        const before = orderSystem.ordersSpawned;
+        clock.advance(ms);
+        return orderSystem.ordersSpawned - before;
+    };
+    const rush = getEvent('lunch_rush');
+    const usualPace = countSpawns(rush.duration);
+    events.trigger('lunch_rush');
+    const rushPace = countSpawns(rush.duration);
+    // (the rush can end on the very tick its last order was due)
+    assert.ok(rushPace >= usualPace * rush.spawnRateMultiplier - 1, `the rush spawned ${rushPace} orders against ${usualPace} usually`);
+    assert.strictEqual(countSpawns(rush.duration), usualPace, 'orders kept the rush pace after it ended');
+
+    // One station below the threshold when the inspector arrives is fined once
+    const inspection = getEvent('health_inspection');
+    const scoreBefore = orderSystem.totalScore;
+    let result = null;
+    events.on('inspected', inspected => { result = inspected; });
+    events.trigger('health_inspection');
+    grill.setCleanliness(inspection.threshold - 1);
+    clock.advance(inspection.duration);
+    assert.ok(result, 'the inspector never arrived');
+    assert.deepStrictEqual(result.dirtyStations.map(station => station.id), ['grill'], 'the inspection missed the dirty grill');
+    assert.strictEqual(triggered.getStats().fines, inspection.fine, 'the failed inspection was not fined');
+    assert.ok(orderSystem.totalScore <= scoreBefore - inspection.fine, 'the fine did not come out of the score');
+
+    // Random events draw from the seeded generator, so they replay too
+    const randomKitchen = createEventKitchen(eventConfig);
+    const recorder = new ShiftRecorder(randomKitchen);
+    let started = 0;
+    randomKitchen.events.on('eventStarted', () => started++);
+    randomKitchen.start();
+    while (randomKitchen.clock.now() < 5 * 60 * 1000) {
+        playStep(randomKitchen);
+        randomKitchen.clock.advance(STEP_MS);
+    }
+    assert.ok(started > 0, 'no random kitchen event started in five minutes');
+    checkReplay(recorder.getRecording());
+}
+
+module.exports = defineChecks(module, 'Events', [checkEvents]);
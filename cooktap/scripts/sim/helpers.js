@@ -0,0 +1,171 @@
+/**
+ * Shared pieces of the headless simulation
+ * The scripted cook, kitchens on a manually stepped game clock built from the
+ * --seed and --difficulty flags, the replay check and an in-memory stand-in
+ * for localStorage. Each feature's checks in this folder run on their own or
+ * from scripts/simulate-shift.js through the function defineChecks returns.
+ *
+ * Requiring this silences the core's logs unless --verbose is passed.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+
+const {
+    CustomerRoster, DifficultyPresets, DishSystem, GameClock, Kitchen, parseSeed, replayShift
+} = require('../../js/core');
+const menu = require('../../config/menu.json');
+const customerConfig = require('../../config/customers.json');
+const difficultyConfig = require('../../config/difficulty.json');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const seedArg = args.find(arg => arg.startsWith('--seed='));
+const recordArg = args.find(arg => arg.startsWith('--record='));
+const difficultyArg = args.find(arg => arg.startsWith('--difficulty='));
+
+const STEP_MS = 250; // The scripted cook makes at most one move per step
+
+// The core logs every action; keep the report readable unless asked
+const log = console.log;
+if (!verbose) {
+    console.log = () => {};
+}
+
+// Press the key bound to an ingredient or tool in this dish
+function pressFor(kitchen, dish, type, id) {
+    return kitchen.handleInput({ key: kitchen.dishSystem.getKeyFor(dish, type, id) });
+}
+
+// Reorder anything running low before it holds up the menu
+function restockStep(kitchen) {
+    const { inventory } = kitchen;
+    const ingredient = kitchen.dishSystem.getAllIngredients().find(ing =>
+        inventory.isLow(ing.id) && !inventory.isRestocking(ing.id));
+
+    return ingredient ? kitchen.handleInput({ action: 'restock', args: [ingredient.id] }) : false;
+}
+
+// Whether a ready item has yet to reach the doneness zone its order asked for
+function isShortOfRequest(kitchen, order, { stationId, item }) {
+    const request = order.modifiers.find(mod => mod.type === 'doneness' && mod.ingredientId === item.ingredient);
+    if (!request) return false;
+
+    const zoneIds = item.donenessZones.map(zone => zone.id);
+    const zone = zoneIds.indexOf(kitchen.stationManager.getStation(stationId).getDonenessZone(item));
+    return zone !== -1 && zone < zoneIds.indexOf(request.doneness);
+}
+
+// Pick the next move for the selected order, following the recipe like a player would
+function playStep(kitchen) {
+    const { stationManager } = kitchen;
+
+    if (restockStep(kitchen)) return true;
+
+    const order = kitchen.getActiveOrder();
+    if (!order) {
+        const [next] = kitchen.orderSystem.getActiveOrders();
+        return next ? kitchen.handleInput({ action: 'selectOrder', args: [next.id] }) : false;
+    }
+
+    const dish = order.dish;
+
+    // Never run ahead of something that is still cooking for this dish
+    const cooking = stationManager.getAllStations().some(station =>
+        Array.from(station.currentItems.values()).some(item => item.dish === dish && !item.isReady));
+    if (cooking) return false;
+
+    // Leave anything the customer wants cooked further on its station until it gets there
+    const readyItems = stationManager.getReadyItems(dish);
+    if (readyItems.length > 0) {
+        return readyItems.some(ready => isShortOfRequest(kitchen, order, ready)) ? false : kitchen.handleInput({ key: 'enter' });
+    }
+
+    // Required ingredients plus whatever the customer asked to add
+    const requested = new Set(order.modifiers.filter(mod => mod.type !== 'exclude').map(mod => mod.ingredientId));
+    for (const ingredient of dish.ingredients.filter(ing => ing.required || requested.has(ing.id))) {
+        if (!dish.currentIngredients.has(ingredient.id)) {
+            return pressFor(kitchen, dish, 'ingredient', ingredient.id);
+        }
+
+        const state = dish.ingredientStates.get(ingredient.id);
+        const nextStep = ingredient.prepSteps[state.prepStepsCompleted];
+        if (!state.isReady && nextStep) {
+            return pressFor(kitchen, dish, 'tool', nextStep.action);
+        }
+
+        if (kitchen.dishSystem.canDoubleIngredient(dish, ingredient.id)) {
+            return pressFor(kitchen, dish, 'ingredient', ingredient.id);
+        }
+    }
+
+    // Space-bound final steps (plating) happen as part of serving
+    const nextFinalStep = dish.finalSteps && dish.finalSteps[dish.finalStepsProgress];
+    if (nextFinalStep && nextFinalStep.key !== 'space') {
+        return pressFor(kitchen, dish, 'tool', nextFinalStep.action);
+    }
+
+    return kitchen.handleInput({ key: ' ' });
+}
+
+// The preset named by --difficulty, or undefined for the kitchen's fixed default pacing
+function getDifficulty() {
+    if (!difficultyArg) return undefined;
+
+    const presetId = difficultyArg.split('=')[1];
+    const preset = new DifficultyPresets(difficultyConfig).getPreset(presetId);
+    assert.ok(preset, `no difficulty preset "${presetId}"`);
+    return preset;
+}
+
+function createKitchen(menuConfig = menu) {
+    const dishSystem = new DishSystem();
+    dishSystem.loadMenu(menuConfig);
+
+    const clock = new GameClock({ autoTick: false });
+    const seed = seedArg ? parseSeed(seedArg.split('=')[1]) : undefined;
+    return new Kitchen(dishSystem, { clock, seed, difficulty: getDifficulty(), customers: new CustomerRoster(customerConfig) });
+}
+
+// Play the recording back on a fresh kitchen; the shift must end exactly the same
+function checkReplay(recording, menuConfig = menu) {
+    const replayed = replayShift(createKitchen(menuConfig), recording);
+    assert.deepStrictEqual(replayed, recording.stats, `replay of seed ${recording.seed} diverged`);
+
+    if (recordArg) {
+        fs.writeFileSync(recordArg.split('=')[1], JSON.stringify(recording, null, 2));
+    }
+}
+
+// An in-memory stand-in for window.localStorage
+function createMemoryStorage() {
+    const saved = new Map();
+    return { getItem: key => saved.get(key) || null, setItem: (key, value) => saved.set(key, value) };
+}
+
+// Run a feature's checks in order; a failure names the check that broke. Run
+// as a script (featureModule is require.main), the checks start straight away
+function defineChecks(featureModule, feature, checks) {
+    const run = () => {
+        for (const check of checks) {
+            try {
+                check();
+            } catch (error) {
+                console.log = log;
+                console.error(`${feature}: ${check.name} failed`);
+                throw error;
+            }
+        }
+    };
+
+    if (require.main === featureModule) {
+        run();
+        console.log = log;
+        console.log(`${feature} checks passed`);
+    }
+    return run;
+}
+
+module.exports = {
+    STEP_MS, log, pressFor, playStep, createKitchen, checkReplay, createMemoryStorage, defineChecks
+};
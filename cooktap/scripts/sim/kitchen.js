@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Simulation checks: kitchen rules
+ * Short burger-only shifts check that an expired order's patty leaves the
+ * grill, that a held patty is taken instead of stock and spoils when left too
+ * long, and that doneness requests are rated a tier down per zone missed. A
+ * pizza shift checks that a one-slot oven added only in config bakes.
+ *
+ * Usage: node scripts/sim/kitchen.js [--seed=N] [--difficulty=id] [--verbose]
+ */
+
+const assert = require('assert');
+
+const menu = require('../../config/menu.json');
+const { STEP_MS, createKitchen, defineChecks, playStep, pressFor } = require('./helpers');
+
+// An order that runs out of time takes what was cooking for it off the stations
+function checkExpiredOrder() {
+    const kitchen = createKitchen();
+    const { clock, stationManager } = kitchen;
+    kitchen.configureShift({ dishIds: ['classic_burger'] });
+    kitchen.start();
+
+    const [order] = kitchen.orderSystem.getActiveOrders();
+    let expired = false;
+    kitchen.orderSystem.on('orderExpired', expiredOrder => {
+        if (expiredOrder === order) expired = true;
+    });
+
+    // The patty goes on a couple of seconds before time runs out, so it is still cooking then
+    while (order.getRemainingTime() > 2) {
+        clock.advance(STEP_MS);
+    }
+    kitchen.handleInput({ action: 'selectOrder', args: [order.id] });
+    pressFor(kitchen, order.dish, 'ingredient', 'beef_patty');
+    assert.ok(pressFor(kitchen, order.dish, 'tool', 'grill'), 'the patty did not go on the grill');
+    while (!expired) {
+        clock.advance(STEP_MS);
+    }
+    assert.strictEqual(stationManager.getStation('grill').currentItems.size, 0, 'the expired order\'s patty stayed on the grill');
+    assert.strictEqual(stationManager.currentDish, null, 'the expired order\'s dish is still selected');
+
+    clock.advance(60 * 1000);
+    assert.strictEqual(kitchen.getStats().burntItems, 0, 'the expired order\'s patty burnt');
+}
+
+// A station added in config alone cooks, even with a single slot
+function checkNewStation() {
+    const ovenMenu = JSON.parse(JSON.stringify(menu));
+    ovenMenu.cookingStations.oven = { name: 'Wood Oven', allowedActions: ['bake'], color: '#b5651d', cookingSlots: 1 };
+    const pizza = ovenMenu.dishes.find(dish => dish.id === 'margherita_pizza');
+    pizza.finalSteps.filter(step => step.action === 'bake').forEach(step => { step.station = 'oven'; });
+
+    const kitchen = createKitchen(ovenMenu);
+    kitchen.configureShift({ dishIds: ['margherita_pizza'] });
+    let baked = 0;
+    kitchen.stationManager.on('slotChanged', station => {
+        if (station.id === 'oven' && station.currentItems.size > 0) baked++;
+    });
+
+    kitchen.start();
+    while (kitchen.clock.now() < 2 * 60 * 1000) {
+        playStep(kitchen);
+        kitchen.clock.advance(STEP_MS);
+    }
+    assert.ok(baked > 0, 'nothing was baked in the one-slot oven');
+    assert.ok(kitchen.getStats().ordersCompleted > 0, 'no pizza came out of the one-slot oven');
+}
+
+// Batch cooking: a patty grilled ahead is held, then taken instead of cooking another
+function checkHolding() {
+    const kitchen = createKitchen();
+    const { clock, holdingStation, inventory } = kitchen;
+    kitchen.configureShift({ dishIds: ['classic_burger'] });
+
+    let spoiled = 0;
+    kitchen.on('itemSpoiled', () => spoiled++);
+
+    kitchen.start();
+    const [order] = kitchen.orderSystem.getActiveOrders();
+    const { dish } = order;
+    const grillPatty = () => {
+        pressFor(kitchen, dish, 'ingredient', 'beef_patty');
+        pressFor(kitchen, dish, 'tool', 'grill');
+        clock.advance(dish.ingredients.find(ing => ing.id === 'beef_patty').prepSteps[0].time);
+    };
+
+    kitchen.handleInput({ action: 'selectOrder', args: [order.id] });
+    grillPatty();
+    assert.ok(kitchen.handleInput({ key: 'enter', shift: true }), 'the cooked patty was not held');
+    assert.ok(!dish.currentIngredients.has('beef_patty'), 'the dish kept the held patty');
+
+    const stock = inventory.getStock('beef_patty');
+    pressFor(kitchen, dish, 'ingredient', 'beef_patty');
+    assert.ok(dish.ingredientStates.get('beef_patty').isReady, 'the held patty still needed grilling');
+    assert.strictEqual(inventory.getStock('beef_patty'), stock, 'taking a held patty used stock');
+    assert.strictEqual(holdingStation.items.size, 0, 'the taken patty is still held');
+
+    // Left too long, a held patty is thrown out
+    kitchen.handleInput({ key: 'escape' });
+    kitchen.handleInput({ action: 'selectOrder', args: [order.id] });
+    grillPatty();
+    kitchen.handleInput({ key: 'enter', shift: true });
+    clock.advance(holdingStation.holdTime);
+    assert.strictEqual(spoiled, 1, 'the held patty never spoiled');
+    assert.strictEqual(holdingStation.items.size, 0, 'a spoiled patty is still held');
+}
+
+// A burger ordered medium rare: each zone the patty comes off the grill away
+// from the request costs a tier, and overcooked counts as past well done
+function checkDoneness() {
+    const request = { type: 'doneness', ingredientId: 'beef_patty', doneness: 'medium_rare', donenessName: 'Medium Rare' };
+    const cookBurger = retrieveIn => {
+        const kitchen = createKitchen();
+        const { clock, stationManager } = kitchen;
+        kitchen.configureShift({ dishIds: ['classic_burger'], autoSpawn: false });
+
+        let served = null;
+        kitchen.on('orderServed', order => { served = order; });
+        kitchen.start();
+        const order = kitchen.orderSystem.spawnOrder('classic_burger', { modifiers: [request], expires: false });
+        kitchen.handleInput({ action: 'selectOrder', args: [order.id] });
+
+        // The cook follows the recipe but takes the patty off in the zone under test
+        while (!served && clock.now() < 60 * 1000) {
+            const [ready] = stationManager.getReadyItems(order.dish);
+            if (!ready) {
+                playStep(kitchen);
+            } else if (stationManager.getStation(ready.stationId).getDonenessZone(ready.item) === retrieveIn) {
+                kitchen.handleInput({ key: 'enter' });
+            }
+            clock.advance(STEP_MS);
+        }
+        assert.ok(served, `the burger retrieved ${retrieveIn} was never served`);
+        assert.strictEqual(served.dish.cookedDoneness.get('beef_patty'), retrieveIn, `the patty was not noted as ${retrieveIn}`);
+        return served;
+    };
+
+    const onTarget = cookBurger('medium_rare');
+    assert.strictEqual(onTarget.rating, 'perfect', 'a medium rare patty missed a medium rare request');
+    assert.deepStrictEqual(onTarget.unmetModifiers, [], 'a met doneness request was reported missed');
+
+    const twoOff = cookBurger('well_done');
+    assert.strictEqual(twoOff.rating, 'average', 'a well done patty was not rated two tiers down');
+    assert.deepStrictEqual(twoOff.unmetModifiers, [request], 'a missed doneness request was not reported');
+
+    assert.strictEqual(cookBurger('overcooked').rating, 'bad', 'an overcooked patty was not rated past well done');
+}
+
+module.exports = defineChecks(module, 'Kitchen', [checkExpiredOrder, checkNewStation, checkHolding, checkDoneness]);
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Simulation checks: menu validation
+ * A menu whose cookingStations is missing, null or an array, or whose steps
+ * name a station only inherited from Object, comes back as a report of errors
+ * instead of throwing a TypeError the menu loaders would not catch.
+ *
+ * Usage: node scripts/sim/menu-validation.js [--verbose]
+ */
+
+const assert = require('assert');
+
+const { validateMenu } = require('../../js/core');
+const menu = require('../../config/menu.json');
+const { defineChecks } = require('./helpers');
+
+// Broken menus are reported, never thrown, so the kitchen can list what is wrong
+function checkMenuValidation() {
+    assert.ok(validateMenu(menu).isValid, 'config/menu.json does not validate');
+
+    const inherited = JSON.parse(JSON.stringify(menu));
+    inherited.dishes[0].ingredients.find(ing => ing.prepSteps.length > 0).prepSteps[0].station = 'toString';
+    const broken = {
+        'missing cookingStations': { ...menu, cookingStations: undefined },
+        'null cookingStations': { ...menu, cookingStations: null },
+        'array cookingStations': { ...menu, cookingStations: [] },
+        'a step on an inherited station': inherited
+    };
+
+    for (const [problem, brokenMenu] of Object.entries(broken)) {
+        let report = null;
+        assert.doesNotThrow(() => { report = validateMenu(brokenMenu); }, `validating a menu with ${problem} threw`);
+        assert.ok(report.errors.length > 0, `a menu with ${problem} was not reported`);
+    }
+}
+
+module.exports = defineChecks(module, 'Menu validation', [checkMenuValidation]);
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Simulation checks: menu packs
+ * Every built-in menu pack in config/packs.json plays a short shift that must
+ * replay. Pack imports must be rejected with a built-in id, markup, a color
+ * that is not hex, an unsafe id or no pack info, and be saved, chosen and
+ * removed.
+ *
+ * Usage: node scripts/sim/packs.js [--seed=N] [--difficulty=id] [--verbose]
+ */
+
+const assert = require('assert');
+
+const { MenuPackLibrary, MenuValidationError, ShiftRecorder } = require('../../js/core');
+const packConfig = require('../../config/packs.json');
+const { STEP_MS, checkReplay, createKitchen, createMemoryStorage, defineChecks, playStep } = require('./helpers');
+
+// Each built-in restaurant plays and replays a short shift; imports are validated and saved
+function checkPacks() {
+    const builtIn = packConfig.packs.map(file => require(`../../config/${file}`));
+
+    for (const pack of builtIn) {
+        const kitchen = createKitchen(pack);
+        const recorder = new ShiftRecorder(kitchen);
+        kitchen.start();
+        while (kitchen.clock.now() < 2 * 60 * 1000) {
+            playStep(kitchen);
+            kitchen.clock.advance(STEP_MS);
+        }
+
+        const recording = recorder.getRecording();
+        assert.strictEqual(recording.pack, pack.pack.id, `the ${pack.pack.id} shift recorded the wrong pack`);
+        assert.ok(recording.stats.ordersCompleted > 0, `no ${pack.pack.id} orders were served`);
+        checkReplay(recording, pack);
+    }
+
+    const storage = createMemoryStorage();
+    const library = new MenuPackLibrary(builtIn, storage);
+    const copyOf = (pack, info) => ({ ...JSON.parse(JSON.stringify(pack)), pack: { ...pack.pack, ...info } });
+    const rejects = (pack, message) => assert.throws(() => library.importPack(pack), MenuValidationError, message);
+
+    assert.strictEqual(library.getSelectedPack(), builtIn[0], 'the first built-in pack is not the default');
+    rejects(copyOf(builtIn[1], {}), 'an import took a built-in pack\'s id');
+    rejects(copyOf(builtIn[1], { id: 'tagged', name: '<b>Tagged</b>' }), 'an import with markup was accepted');
+    rejects({ ...builtIn[1], pack: undefined }, 'an import without pack info was accepted');
+
+    // Colors end up in style attributes and ids in element ids, so neither may break out of them
+    const styled = copyOf(builtIn[1], { id: 'styled' });
+    styled.dishes[0].baseColor = 'red" onmouseover="alert(1)';
+    rejects(styled, 'an import with a color that is not a hex color was accepted');
+    const spaced = copyOf(builtIn[1], { id: 'spaced' });
+    spaced.cookingStations['1 oven'] = { ...spaced.cookingStations.stove };
+    rejects(spaced, 'an import with a station id that is not an identifier was accepted');
+
+    library.importPack(copyOf(builtIn[1], { id: 'my_pizzeria', name: 'My Pizzeria' }));
+    assert.ok(library.select('my_pizzeria'), 'the import could not be chosen');
+
+    const reloaded = new MenuPackLibrary(builtIn, storage);
+    assert.strictEqual(reloaded.getPacks().length, builtIn.length + 1, 'the import was not saved');
+    assert.strictEqual(reloaded.getSelectedPack().pack.id, 'my_pizzeria', 'the chosen pack was not saved');
+    assert.ok(!reloaded.removePack(builtIn[0].pack.id), 'a built-in pack was removed');
+    assert.ok(reloaded.removePack('my_pizzeria'), 'the import could not be removed');
+    assert.strictEqual(reloaded.getSelectedPack(), builtIn[0], 'removing the chosen pack did not fall back to the default');
+}
+
+module.exports = defineChecks(module, 'Menu packs', [checkPacks]);
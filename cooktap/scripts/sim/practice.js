@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Simulation checks: practice
+ * Every dish is practiced twice to check its step breakdown, wrong keys and
+ * saved personal best.
+ *
+ * Usage: node scripts/sim/practice.js [--seed=N] [--difficulty=id] [--verbose]
+ */
+
+const assert = require('assert');
+
+const { PracticeSession, loadPracticeBests } = require('../../js/core');
+const { STEP_MS, createKitchen, createMemoryStorage, defineChecks, playStep } = require('./helpers');
+
+// Two practice attempts at every dish: untimed, broken down step by step, with a saved best
+function checkPractice() {
+    const storage = createMemoryStorage();
+
+    for (const dish of createKitchen().dishSystem.getAllDishes()) {
+        const kitchen = createKitchen();
+        const { clock } = kitchen;
+        const practice = new PracticeSession(kitchen, dish.id, storage);
+        const results = [];
+        practice.on('attemptCompleted', result => results.push(result));
+        kitchen.configureShift(practice.getShift());
+
+        kitchen.start();
+        practice.start();
+        [0, 1].forEach(attempt => {
+            // A practice order never runs out, however long it waits
+            clock.advance(attempt === 0 ? 10 * 60 * 1000 : 0);
+            assert.strictEqual(kitchen.orderSystem.getActiveOrders().length, 1, `${dish.id} practice order expired`);
+
+            kitchen.handleInput({ action: 'selectOrder', args: [practice.order.id] });
+            kitchen.handleInput({ key: 'escape' });
+            kitchen.handleInput({ key: 'escape' }); // Nothing left to cancel: a wrong key
+            while (results.length === attempt && clock.now() < 20 * 60 * 1000) {
+                playStep(kitchen);
+                clock.advance(STEP_MS);
+            }
+            assert.strictEqual(results.length, attempt + 1, `${dish.id} practice attempt was never served`);
+            practice.nextAttempt();
+        });
+
+        const [first, second] = results;
+        const stations = dish.ingredients.filter(ing => ing.required)
+            .flatMap(ing => ing.prepSteps || [])
+            .concat(dish.finalSteps || [])
+            .filter(step => step.station && step.station !== 'prep');
+        assert.strictEqual(first.rating, 'perfect', `${dish.id} practice was rated down for taking its time`);
+        assert.strictEqual(first.wrongKeys, 1, `${dish.id} practice miscounted wrong keys`);
+        assert.ok(first.steps.some(step => step.type === 'ingredient'), `${dish.id} practice recorded no ingredients`);
+        assert.strictEqual(first.steps.filter(step => step.type === 'wait').length, stations.length, `${dish.id} practice missed a station wait`);
+        assert.ok(first.totals.ingredient >= 10 * 60 * 1000, `${dish.id} practice did not time the first step from the order`);
+        assert.ok(second.time < first.time && second.isBest, `${dish.id} faster attempt was not a personal best`);
+        assert.strictEqual(loadPracticeBests(storage)[dish.id].time, second.time, `${dish.id} personal best was not saved`);
+    }
+}
+
+module.exports = defineChecks(module, 'Practice', [checkPractice]);
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Simulation checks: tutorials
+ * Every lesson in config/tutorials.json is played through to the end, and a
+ * lesson whose step needs an order nobody spawned is refused.
+ *
+ * Usage: node scripts/sim/tutorials.js [--seed=N] [--difficulty=id] [--verbose]
+ */
+
+const assert = require('assert');
+
+const { TutorialRunner, validateTutorial } = require('../../js/core');
+const tutorialConfig = require('../../config/tutorials.json');
+const { STEP_MS, createKitchen, defineChecks, playStep } = require('./helpers');
+
+// Every lesson in config/tutorials.json, played by following its steps
+function checkTutorials() {
+    for (const tutorial of tutorialConfig.tutorials) {
+        const kitchen = createKitchen();
+        const runner = new TutorialRunner(kitchen, tutorial);
+        let failure = null;
+        runner.on('failed', reason => {
+            failure = reason;
+        });
+        kitchen.configureShift(runner.getShift());
+
+        kitchen.start();
+        assert.strictEqual(kitchen.orderSystem.getActiveOrders().length, 0, 'a tutorial shift spawned its own order');
+        runner.start();
+        while (!runner.isComplete && !failure && kitchen.clock.now() < 5 * 60 * 1000) {
+            const step = runner.getStep();
+            const { until } = tutorial.steps[step.index];
+            if (step.waitsForContinue) {
+                runner.continue();
+            } else if (until.type === 'stationClean' && !kitchen.stationManager.getStation(until.station).isBeingCleaned) {
+                kitchen.handleInput({ key: 'backspace' });
+            } else {
+                playStep(kitchen);
+            }
+            kitchen.clock.advance(STEP_MS);
+        }
+
+        assert.ok(!failure, `tutorial "${tutorial.id}" failed: ${failure}`);
+        assert.ok(runner.isComplete, `tutorial "${tutorial.id}" got stuck at step ${runner.stepIndex + 1}`);
+        assert.strictEqual(kitchen.orderSystem.getActiveOrders().length, 0, `tutorial "${tutorial.id}" left an order behind`);
+    }
+
+    const dishSystem = createKitchen().dishSystem;
+    const broken = { id: 'broken', name: 'Broken', steps: [{ text: 'Add it', until: { type: 'ingredientAdded', ingredient: 'beef_patty' } }] };
+    assert.throws(() => validateTutorial(broken, dishSystem), /no earlier step spawns one/, 'a step without an order was accepted');
+}
+
+module.exports = defineChecks(module, 'Tutorials', [checkTutorials]);
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Headless shift simulation
+ * Plays a scripted shift against the DOM-free core on a manually stepped game
+ * clock, then asserts on the kitchen's getStats().
+ *
+ * With --day=N it plays campaign day N from config/campaign.json until
+ * closing time instead, and asserts on the end-of-day report.
+ *
+ * The cook plays through Kitchen.handleInput like the keyboard does, so the
+ * shift is recorded; it is replayed afterwards and must end identically.
+ * Every feature's checks in scripts/sim then run in turn (menu validation,
+ * kitchen rules, controls, career stats, tutorials, practice, kitchen events
+ * and menu packs); each file also runs on its own, so a failure can be rerun
+ * for just the feature that broke. scripts/sim/helpers.js holds the scripted
+ * cook.
+ * --seed fixes the random seed and --record=file.json saves the recording.
+ * --difficulty=id plays a preset from config/difficulty.json instead of the
+ * fixed default pacing.
+ *
+ * Usage: node scripts/simulate-shift.js [--minutes=5] [--day=N] [--seed=N] [--difficulty=id] [--record=file.json] [--verbose]
+ */
+
+const assert = require('assert');
+
+const { Campaign, ShiftRecorder } = require('../js/core');
+const campaignConfig = require('../config/campaign.json');
+const { STEP_MS, checkReplay, createKitchen, log, playStep } = require('./sim/helpers');
+
+const args = process.argv.slice(2);
+const minutesArg = args.find(arg => arg.startsWith('--minutes='));
+const shiftMinutes = minutesArg ? Number(minutesArg.split('=')[1]) : 5;
+const dayArg = args.find(arg => arg.startsWith('--day='));
+const difficultyArg = args.find(arg => arg.startsWith('--difficulty='));
+
+// Each feature's checks, run in this order after the main shift
+const featureChecks = ['menu-validation', 'kitchen', 'controls', 'career-stats', 'tutorials', 'practice', 'events', 'packs']
+    .map(feature => require(`./sim/${feature}`));
+
+function runShift() {
+    const kitchen = createKitchen();
+    const { clock } = kitchen;
+    const recorder = new ShiftRecorder(kitchen);
+
+    // The director must keep every setting inside the preset's bounds
+    const { preset } = kitchen.director;
+    kitchen.director.on('adjusted', settings => {
+        assert.ok(settings.spawnInterval >= preset.spawnInterval.min && settings.spawnInterval <= preset.spawnInterval.max,
+            `spawn interval ${settings.spawnInterval} left its bounds`);
+        assert.ok(settings.timeLimitScale >= preset.timeLimitScale.min && settings.timeLimitScale <= preset.timeLimitScale.max,
+            `time limit scale ${settings.timeLimitScale} left its bounds`);
+    });
+
+    // The scripted cook follows every request, so none should be missed
+    let requestedOrders = 0;
+    kitchen.on('orderServed', order => {
+        if (order.modifiers.length > 0) requestedOrders++;
+        assert.deepStrictEqual(order.unmetModifiers, [], `missed requests on ${order.dishName}`);
+    });
+
+    kitchen.start();
+
+    const shiftMs = shiftMinutes * 60 * 1000;
+    while (clock.now() < shiftMs) {
+        playStep(kitchen);
+        clock.advance(STEP_MS);
+    }
+
+    checkReplay(recorder.getRecording());
+
+    // A paused kitchen must be fully frozen
+    const remainingTimes = () => kitchen.orderSystem.getActiveOrders().map(order => order.getRemainingTime());
+    const beforePause = { stats: kitchen.getStats(), timers: remainingTimes() };
+    kitchen.pause();
+    clock.advance(60 * 1000);
+    assert.deepStrictEqual(kitchen.getStats(), beforePause.stats, 'stats changed while paused');
+    assert.deepStrictEqual(remainingTimes(), beforePause.timers, 'order timers moved while paused');
+    kitchen.resume();
+
+    assert.ok(requestedOrders > 0, 'no order came with requests');
+    return kitchen.getStats();
+}
+
+// Play one campaign day until the kitchen closes itself
+function runDay(dayNumber) {
+    const campaign = new Campaign(campaignConfig);
+    const day = campaign.days[dayNumber - 1];
+    assert.ok(day, `campaign has no day ${dayNumber}`);
+
+    const kitchen = createKitchen();
+    const { clock } = kitchen;
+    const recorder = new ShiftRecorder(kitchen);
+    kitchen.configureShift({ dishIds: day.dishes, duration: campaign.getDayLength(day) });
+
+    const servedDishes = new Set();
+    kitchen.on('orderServed', order => servedDishes.add(order.dishId));
+
+    kitchen.start();
+    while (!kitchen.isClosed && clock.now() < campaign.getDayLength(day) + 60 * 1000) {
+        playStep(kitchen);
+        clock.advance(STEP_MS);
+    }
+
+    assert.ok(kitchen.isClosed, 'kitchen never closed');
+    checkReplay(recorder.getRecording());
+    assert.strictEqual(clock.now(), campaign.getDayLength(day), 'kitchen did not close at closing time');
+    assert.ok(Array.from(servedDishes).every(id => day.dishes.includes(id)), 'served a dish that is not on the day\'s menu');
+
+    return { day, report: campaign.buildReport(day, kitchen.orderSystem) };
+}
+
+function reportDay(dayNumber) {
+    const { day, report } = runDay(dayNumber);
+    console.log = log;
+
+    console.log(`Simulated Day ${day.number}: ${day.name} (${day.openingTime}-${day.closingTime}):`);
+    console.log(JSON.stringify(report, null, 2));
+
+    assert.ok(report.served > 0, 'no orders were served');
+    assert.ok(report.stars > 0, `missed the target revenue: ${report.earnings}/${report.targetRevenue}`);
+
+    console.log('Day simulation passed');
+}
+
+if (dayArg) {
+    reportDay(Number(dayArg.split('=')[1]));
+    process.exit(0);
+}
+
+const stats = runShift();
+featureChecks.forEach(run => run());
+console.log = log;
+
+console.log(`Simulated ${shiftMinutes} minute shift:`);
+console.log(JSON.stringify(stats, null, 2));
+
+assert.strictEqual(stats.gameTime, shiftMinutes * 60, 'game clock did not cover the whole shift');
+assert.ok(stats.ordersCompleted > 0, 'no orders were served');
+assert.ok(stats.totalScore > 0, 'shift ended without a positive score');
+// The floor is tuned for the fixed default pacing; a preset like Rush is meant to outpace the scripted cook
+if (!difficultyArg) assert.ok(stats.perfectRate >= 50, `perfect rate too low: ${stats.perfectRate}%`);
+assert.ok(stats.expenses > 0, 'the shift never needed a restock');
+assert.ok(stats.tips > 0, 'nobody tipped');
+assert.ok(stats.expenses < stats.totalScore, 'restocking cost more than the shift earned');
+
+console.log('Shift simulation passed');
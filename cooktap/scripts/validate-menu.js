@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Validate a menu configuration without opening the game
+ * Prints every problem with its JSON path and exits non-zero on errors.
+ * Without a path it checks every built-in menu pack in config/packs.json. A
+ * file with pack info is checked as a pack, with the rules imports follow.
+ *
+ * Usage: node scripts/validate-menu.js [path/to/menu.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { validateMenu, validatePack, formatReport } = require('../js/core');
+
+const configDir = path.join(__dirname, '..', 'config');
+
+// Returns whether the file is free of errors
+function validateFile(menuPath, asPack) {
+    let menu;
+    try {
+        menu = JSON.parse(fs.readFileSync(menuPath, 'utf8'));
+    } catch (error) {
+        console.error(`error   $: cannot read ${menuPath}: ${error.message}`);
+        return false;
+    }
+    
+    const report = asPack || (menu && menu.pack !== undefined) ? validatePack(menu) : validateMenu(menu);
+    
+    if (report.errors.length > 0 || report.warnings.length > 0) {
+        console.log(formatReport(report));
+    }
+    
+    console.log(`${path.relative(process.cwd(), menuPath)}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+    return report.isValid;
+}
+
+let isValid;
+if (process.argv[2]) {
+    isValid = validateFile(path.resolve(process.argv[2]), false);
+} else {
+    const { packs } = JSON.parse(fs.readFileSync(path.join(configDir, 'packs.json'), 'utf8'));
+    isValid = packs
+        .map(file => validateFile(path.join(configDir, file), true))
+        .every(Boolean);
+}
+process.exit(isValid ? 0 : 1);